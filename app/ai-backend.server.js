@@ -0,0 +1,47 @@
+import crypto from "node:crypto";
+
+export const getBackendUrl = (path = "") => {
+  const baseUrl = process.env.AI_DESCRIBER_ENDPOINT;
+  if (!baseUrl) {
+    console.error("AI_DESCRIBER_ENDPOINT environment variable is not set");
+    return null;
+  }
+
+  return `${baseUrl.replace(/\/$/, "")}${path}`;
+};
+
+// The AI backend only trusts requests signed with the secret we share with it,
+// so every call is attributed to the shop that made it.
+const signRequest = (shop, timestamp, payload) => {
+  const secret = process.env.AI_DESCRIBER_SECRET;
+  if (!secret) {
+    throw new Error("AI_DESCRIBER_SECRET environment variable is not set");
+  }
+
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${shop}.${timestamp}.${payload}`)
+    .digest("hex");
+};
+
+export const backendFetch = async (shop, path, { method = "GET", body, signal } = {}) => {
+  const url = getBackendUrl(path);
+  if (!url) {
+    throw new Error("API endpoint not configured");
+  }
+
+  const payload = body === undefined ? "" : JSON.stringify({ ...body, shop });
+  const timestamp = Date.now().toString();
+
+  return fetch(url, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shop-Domain": shop,
+      "X-Request-Timestamp": timestamp,
+      "X-Request-Signature": signRequest(shop, timestamp, payload),
+    },
+    ...(body !== undefined && { body: payload }),
+    signal,
+  });
+};
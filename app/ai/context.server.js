@@ -0,0 +1,71 @@
+import { CONTEXT_FIELDS, DEFAULT_CONTEXT_FIELDS } from "../context-fields";
+
+const MAX_DESCRIPTION_LENGTH = 1500;
+const MAX_METAFIELD_LENGTH = 300;
+const TEXT_METAFIELD_TYPES = [
+  "single_line_text_field",
+  "multi_line_text_field",
+  "number_integer",
+  "number_decimal",
+  "boolean",
+  "dimension",
+  "volume",
+  "weight",
+];
+
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length).trimEnd()}…` : text;
+
+const CONTEXT_BUILDERS = {
+  vendor: (node) => node.vendor || null,
+  productType: (node) => node.productType || null,
+  tags: (node) => (node.tags?.length ? node.tags : null),
+  options: (node) => {
+    const options = (node.options || []).filter(
+      (option) => !(option.name === "Title" && option.values?.[0] === "Default Title")
+    );
+    return options.length ? options.map((option) => ({ name: option.name, values: option.values })) : null;
+  },
+  variantPrices: (node) => {
+    const variants = node.variants?.nodes || [];
+    if (!variants.length) return null;
+    return variants.map((variant) => ({
+      title: variant.title,
+      price: `${variant.price} ${node.currencyCode || ""}`.trim(),
+    }));
+  },
+  existingDescription: (node) =>
+    node.description ? truncate(node.description, MAX_DESCRIPTION_LENGTH) : null,
+  metafields: (node) => {
+    const metafields = (node.metafields?.nodes || []).filter(
+      (metafield) =>
+        TEXT_METAFIELD_TYPES.includes(metafield.type) &&
+        metafield.value?.length <= MAX_METAFIELD_LENGTH
+    );
+    return metafields.length
+      ? metafields.map((metafield) => ({ key: `${metafield.namespace}.${metafield.key}`, value: metafield.value }))
+      : null;
+  },
+  productTitles: (node) => {
+    const titles = (node.products?.nodes || []).map((product) => product.title);
+    return titles.length ? titles : null;
+  },
+};
+
+// Builds the `item` part of a generation request from a node returned by `fetchItem`,
+// keeping only the fields the merchant chose to share. Field names come from
+// the client, so anything not offered for the page type is ignored.
+export const buildItemContext = (node, pageType, fields = DEFAULT_CONTEXT_FIELDS[pageType]) => {
+  const context = { title: node.title };
+  const allowedFields = (CONTEXT_FIELDS[pageType] || []).map((field) => field.value);
+
+  for (const field of Array.isArray(fields) ? fields : []) {
+    if (!allowedFields.includes(field)) continue;
+    const value = CONTEXT_BUILDERS[field](node);
+    if (value !== null && value !== undefined) {
+      context[field] = value;
+    }
+  }
+
+  return context;
+};
@@ -0,0 +1,19 @@
+export class ProviderError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+  }
+}
+
+export const providerErrorFromResponse = async (provider, response) => {
+  let detail = response.statusText;
+  try {
+    const data = await response.json();
+    detail = data.error?.message || data.error || data.message || detail;
+  } catch {
+    // Keep the status text when the body is not JSON
+  }
+
+  return new ProviderError(`${provider} request failed: ${detail}`, response.status);
+};
@@ -0,0 +1,102 @@
+import { buildItemContext } from "./context.server";
+import { getBrandVoice, toGenerationVoice } from "../brand-voices.server";
+import { renderPromptTemplate, resolvePromptTemplate } from "../prompt-templates.server";
+import { ContentError } from "../content.server";
+import { fetchItem } from "../catalog.server";
+import { ProviderError } from "./errors.server";
+
+// Passing `templateId: "none"` skips merchant templates and uses the built-in prompt.
+export const NO_TEMPLATE = "none";
+
+// Assembles the provider-agnostic request for one item from everything the
+// shop configured: context fields, brand voice and prompt template.
+export const buildGenerationRequest = async (shop, {
+  node,
+  pageType,
+  contentType,
+  seoKeywords,
+  contextFields,
+  brandVoiceId,
+  templateId,
+}) => {
+  const brandVoice = await getBrandVoice(shop, brandVoiceId);
+  if (brandVoiceId && !brandVoice) {
+    throw new ContentError("The selected brand voice no longer exists", 404);
+  }
+
+  const template = templateId === NO_TEMPLATE
+    ? null
+    : await resolvePromptTemplate(shop, { contentType, productType: node.productType, templateId });
+  if (templateId && templateId !== NO_TEMPLATE && !template) {
+    throw new ContentError("The selected prompt template no longer exists", 404);
+  }
+
+  return {
+    seoKeywords,
+    pageType,
+    contentType,
+    item: buildItemContext(node, pageType, contextFields),
+    brandVoice: toGenerationVoice(brandVoice),
+    ...(template && {
+      instructions: renderPromptTemplate(template, node, pageType, seoKeywords),
+    }),
+  };
+};
+
+// Validates a generator request body, loads the item and builds the request
+// for it. Shared by the JSON and the streaming generate routes. A body with
+// `refineInstruction` revises `currentContent` instead of writing new copy.
+export const loadGenerationRequest = async (admin, shop, body) => {
+  const {
+    seoKeywords,
+    pageType,
+    contentType,
+    itemId,
+    contextFields,
+    brandVoiceId,
+    templateId,
+    refineInstruction,
+    currentContent,
+  } = body;
+
+  if (!seoKeywords?.trim() || !pageType || !contentType || !itemId ||
+    (refineInstruction && !currentContent?.trim())) {
+    throw new ContentError("Invalid request parameters", 400);
+  }
+
+  const node = await fetchItem(admin, itemId);
+  if (!node) {
+    throw new ContentError(`This ${pageType} could not be found`, 404);
+  }
+
+  const request = await buildGenerationRequest(shop, {
+    node,
+    pageType,
+    contentType,
+    seoKeywords: seoKeywords.trim(),
+    contextFields,
+    brandVoiceId,
+    templateId,
+  });
+
+  if (refineInstruction?.trim()) {
+    request.refinement = { instruction: refineInstruction.trim(), currentText: currentContent };
+  }
+
+  return { node, request };
+};
+
+// The message and status a generate route reports for `error`.
+export const describeGenerationError = (error) => {
+  if (error instanceof ProviderError) {
+    return error.status === 429
+      ? { status: 429, message: "You've reached the current usage limit. Please try again later." }
+      : { status: 502, message: error.message };
+  }
+
+  if (error instanceof ContentError) {
+    return { status: error.status, message: error.message };
+  }
+
+  return { status: 500, message: `Failed to generate content: ${error.message}` };
+};
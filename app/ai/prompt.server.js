@@ -0,0 +1,146 @@
+import { htmlToText } from "../content-normalizer";
+
+const CONTENT_INSTRUCTIONS = {
+  description: (target) =>
+    `Write an engaging, persuasive description for the ${target}. ` +
+    "Use short paragraphs separated by a blank line and bullet points starting with \"•\" for key features.",
+  "seo-description": (target) =>
+    `Write an SEO meta description for the ${target}. ` +
+    "Keep it under 160 characters, on a single line, without quotes or hashtags.",
+  "seo-title": (target) =>
+    `Write an SEO title for the ${target}. ` +
+    "Keep it under 60 characters, on a single line, without quotes, and put the most important keyword first.",
+  "alt-text": (target) =>
+    `Write alt text for an image of the ${target}. ` +
+    "Describe what the image shows for a visually impaired shopper in under 125 characters, on a single line. " +
+    "Do not start with \"Image of\" or \"Picture of\".",
+};
+
+const CONTENT_NAMES = {
+  description: "description",
+  "seo-description": "SEO meta description",
+  "seo-title": "SEO title",
+  "alt-text": "image alt text",
+};
+
+const CONTEXT_LABELS = {
+  vendor: "Vendor",
+  productType: "Product type",
+  tags: "Tags",
+  options: "Options",
+  variantPrices: "Variant prices",
+  existingDescription: "Current description",
+  metafields: "Additional details",
+  productTitles: "Products in this collection",
+};
+
+export const formatContextValue = (field, value) => {
+  switch (field) {
+    case "options":
+      return value.map((option) => `${option.name}: ${option.values.join(", ")}`).join("; ");
+    case "variantPrices":
+      return value.map((variant) => `${variant.title} – ${variant.price}`).join("; ");
+    case "metafields":
+      return value.map((metafield) => `${metafield.key}: ${metafield.value}`).join("; ");
+    default:
+      return Array.isArray(value) ? value.join(", ") : String(value);
+  }
+};
+
+export const formatItemContext = (item) =>
+  Object.entries(item)
+    .filter(([field]) => CONTEXT_LABELS[field])
+    .map(([field, value]) => `- ${CONTEXT_LABELS[field]}: ${formatContextValue(field, value)}`)
+    .join("\n");
+
+const LENGTH_GUIDELINES = {
+  short: "Keep it brief, around 50 words.",
+  medium: "Aim for around 120 words.",
+  long: "Write a detailed piece of around 250 words.",
+};
+
+export const formatBrandVoice = (brandVoice, contentType) => {
+  if (!brandVoice) return "";
+
+  const lines = [];
+  if (brandVoice.tone) lines.push(`- Tone: ${brandVoice.tone}`);
+  if (brandVoice.audience) lines.push(`- Target audience: ${brandVoice.audience}`);
+  if (brandVoice.formality) lines.push(`- Formality: ${brandVoice.formality}`);
+  if (brandVoice.bannedPhrases?.length) {
+    lines.push(`- Never use these words or phrases: ${brandVoice.bannedPhrases.map((phrase) => `"${phrase}"`).join(", ")}`);
+  }
+  if (contentType === "description" && LENGTH_GUIDELINES[brandVoice.preferredLength]) {
+    lines.push(`- Length: ${LENGTH_GUIDELINES[brandVoice.preferredLength]}`);
+  }
+  if (brandVoice.exampleCopy) {
+    lines.push(`- Match the style of this example copy:\n"""\n${brandVoice.exampleCopy}\n"""`);
+  }
+
+  return lines.join("\n");
+};
+
+// `instructions` is a merchant template that was already rendered with the
+// item's variables; it replaces the built-in instructions and item context.
+// `sourceText` asks for a translation of existing copy instead of new copy,
+// `refinement` for a revision of the current draft, sent back as bulleted text.
+const buildUserPrompt = ({
+  pageType,
+  contentType,
+  seoKeywords,
+  item,
+  image,
+  instructions,
+  language,
+  sourceText,
+  refinement,
+}) => {
+  const target = `${pageType} "${item.title}"`;
+
+  if (sourceText) {
+    return (
+      `Translate the following ${CONTENT_NAMES[contentType] || "copy"} of the ${target} into ${language.name}. ` +
+      "Keep the meaning, formatting and any HTML tags exactly as they are, and translate only the text." +
+      `\n"""\n${sourceText}\n"""`
+    );
+  }
+
+  const defaultInstructions = CONTENT_INSTRUCTIONS[contentType] || CONTENT_INSTRUCTIONS.description;
+
+  if (refinement) {
+    return (
+      `${defaultInstructions(target)}\nNaturally include these SEO keywords: ${seoKeywords}.` +
+      `\n\nHere is the current draft:\n"""\n${htmlToText(refinement.currentText)}\n"""` +
+      `\n\nRevise it following this instruction: ${refinement.instruction}\n` +
+      "Keep everything else as it is unless the instruction says otherwise, and respond with the complete revised copy."
+    );
+  }
+  if (instructions) return instructions;
+
+  const context = formatItemContext(item);
+
+  return (
+    `${defaultInstructions(target)}\nNaturally include these SEO keywords: ${seoKeywords}.` +
+    (image ? `\n\nImage URL: ${image.url}` + (image.alt ? `\nCurrent alt text: ${image.alt}` : "") : "") +
+    (context ? `\n\nUse these details about the ${pageType} and do not invent facts that contradict them:\n${context}` : "")
+  );
+};
+
+export const buildMessages = (request) => {
+  const voice = formatBrandVoice(request.brandVoice, request.contentType);
+
+  return [
+    {
+      role: "system",
+      content:
+        "You are an expert e-commerce copywriter for a Shopify store. " +
+        "Respond with the requested copy only, in plain text, with no preamble.",
+    },
+    {
+      role: "user",
+      content:
+        buildUserPrompt(request) +
+        (voice ? `\n\nFollow the brand voice guidelines:\n${voice}` : "") +
+        (request.language && !request.sourceText ? `\n\nWrite the copy in ${request.language.name}.` : ""),
+    },
+  ];
+};
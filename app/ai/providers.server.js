@@ -0,0 +1,60 @@
+import { getShopSettings } from "../settings.server";
+import { describer } from "./providers/describer.server";
+import { openai } from "./providers/openai.server";
+import { ollama } from "./providers/ollama.server";
+
+export { ProviderError } from "./errors.server";
+
+export const providers = {
+  [describer.id]: describer,
+  [openai.id]: openai,
+  [ollama.id]: ollama,
+};
+
+export const listProviders = () =>
+  Object.values(providers).map((provider) => ({
+    id: provider.id,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    defaultModel: provider.defaultModel(),
+  }));
+
+const resolveProvider = async (shop) => {
+  const settings = await getShopSettings(shop);
+  const provider = providers[settings.provider] || describer;
+  return { provider, model: settings.model || provider.defaultModel() };
+};
+
+// Single entry point for every text generation in the app. Routes describe
+// *what* they want ({ pageType, contentType, seoKeywords, item }) and the
+// shop's configured provider decides *how* it is produced.
+export const generateText = async (shop, request, { signal } = {}) => {
+  const { provider, model } = await resolveProvider(shop);
+  return provider.generate({ shop, request, model, signal });
+};
+
+// Yields the text in chunks as the provider produces it. Providers that
+// cannot stream produce the whole text as a single chunk.
+export async function* streamText(shop, request, { signal } = {}) {
+  const { provider, model } = await resolveProvider(shop);
+
+  if (provider.stream) {
+    yield* provider.stream({ shop, request, model, signal });
+    return;
+  }
+
+  yield await provider.generate({ shop, request, model, signal });
+}
+
+// Same as `generateText` but returns `count` independent candidates.
+export const generateCandidates = async (shop, request, { count = 1, signal } = {}) => {
+  const { provider, model } = await resolveProvider(shop);
+
+  if (count > 1 && provider.generateMany) {
+    return provider.generateMany({ shop, request, model, count, signal });
+  }
+
+  return Promise.all(
+    Array.from({ length: count }, () => provider.generate({ shop, request, model, signal }))
+  );
+};
@@ -0,0 +1,69 @@
+import { backendFetch, getBackendUrl } from "../../ai-backend.server";
+import { ProviderError } from "../errors.server";
+
+// The backend sometimes returns descriptions with JSON-escaped newlines. Other
+// fields are single lines, where a backslash is part of the text.
+const unescapeNewlines = (text, contentType) =>
+  contentType === "description" && !text.includes("\n") ? text.replace(/\\n/g, "\n") : text;
+
+// Adapter for our own AI Describer backend and its `/generate-content` contract.
+export const describer = {
+  id: "describer",
+  label: "AI Describer",
+  isConfigured: () => Boolean(process.env.AI_DESCRIBER_ENDPOINT && process.env.AI_DESCRIBER_SECRET),
+  defaultModel: () => null,
+
+  async generate({ shop, request, model, signal }) {
+    if (!getBackendUrl()) {
+      throw new ProviderError("API endpoint not configured", 500);
+    }
+
+    const { title, ...context } = request.item;
+    const requestBody = {
+      seoKeywords: request.seoKeywords,
+      pageType: request.pageType,
+      contentType: request.contentType,
+      context,
+      ...(request.brandVoice && { brandVoice: request.brandVoice }),
+      ...(request.instructions && { prompt: request.instructions }),
+      ...(request.image && { imageUrl: request.image.url }),
+      ...(request.language && { language: request.language.locale }),
+      ...(request.sourceText && { sourceText: request.sourceText }),
+      ...(request.refinement && { refinement: request.refinement }),
+      ...(model && { model }),
+    };
+
+    if (request.pageType === "product") {
+      requestBody.productName = title;
+    } else if (request.pageType === "collection") {
+      requestBody.collectionName = title;
+    }
+
+    const response = await backendFetch(shop, "/generate-content", {
+      method: "POST",
+      body: requestBody,
+      signal,
+    });
+
+    // Error bodies are not always JSON, e.g. HTML pages from a proxy.
+    if (!response.ok) {
+      const body = await response.text();
+      let error = null;
+      try {
+        error = JSON.parse(body);
+      } catch {
+        // Report the raw body instead
+      }
+      throw new ProviderError(
+        `API request failed: ${error?.message || body.slice(0, 200)} ${response.statusText}`.trim(),
+        error?.statusCode === 429 ? 429 : response.status,
+      );
+    }
+
+    const data = await response.json();
+
+    if (typeof data === "string") return unescapeNewlines(data, request.contentType);
+    if (typeof data?.message === "string") return unescapeNewlines(data.message, request.contentType);
+    return JSON.stringify(data?.message || data || "", null, 2);
+  },
+};
@@ -0,0 +1,66 @@
+import { buildMessages } from "../prompt.server";
+import { ProviderError, providerErrorFromResponse } from "../errors.server";
+import { readLines } from "../stream.server";
+
+const getBaseUrl = () =>
+  (process.env.OLLAMA_BASE_URL || "http://localhost:11434").replace(/\/$/, "");
+
+// Adapter for a local Ollama server (or anything speaking its /api/chat API).
+export const ollama = {
+  id: "ollama",
+  label: "Ollama (self-hosted)",
+  isConfigured: () => Boolean(process.env.OLLAMA_BASE_URL),
+  defaultModel: () => process.env.OLLAMA_MODEL || "llama3.1",
+
+  async generate({ request, model, signal }) {
+    const response = await fetch(`${getBaseUrl()}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        messages: buildMessages(request),
+        stream: false,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await providerErrorFromResponse("Ollama", response);
+    }
+
+    const data = await response.json();
+    const text = data.message?.content;
+    if (!text) {
+      throw new ProviderError("Ollama returned an empty response");
+    }
+
+    return text;
+  },
+
+  // With `stream: true` Ollama answers with one JSON object per line.
+  async *stream({ request, model, signal }) {
+    const response = await fetch(`${getBaseUrl()}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        messages: buildMessages(request),
+        stream: true,
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw await providerErrorFromResponse("Ollama", response);
+    }
+
+    for await (const line of readLines(response.body)) {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new ProviderError(`Ollama request failed: ${data.error}`);
+      }
+      if (data.message?.content) yield data.message.content;
+      if (data.done) return;
+    }
+  },
+};
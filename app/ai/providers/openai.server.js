@@ -0,0 +1,84 @@
+import { buildMessages } from "../prompt.server";
+import { ProviderError, providerErrorFromResponse } from "../errors.server";
+import { readLines } from "../stream.server";
+
+const getBaseUrl = () =>
+  (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+
+const postCompletions = async ({ request, model, count = 1, stream = false, signal }) => {
+  const response = await fetch(`${getBaseUrl()}/chat/completions`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(process.env.OPENAI_API_KEY && {
+        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      }),
+    },
+    body: JSON.stringify({
+      model,
+      messages: buildMessages(request),
+      temperature: 0.7,
+      ...(count > 1 && { n: count }),
+      ...(stream && { stream: true }),
+    }),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw await providerErrorFromResponse("OpenAI", response);
+  }
+
+  return response;
+};
+
+const requestCompletions = async ({ request, model, count, signal }) => {
+  const response = await postCompletions({ request, model, count, signal });
+  const data = await response.json();
+  const texts = (data.choices || [])
+    .map((choice) => choice.message?.content)
+    .filter(Boolean);
+  if (!texts.length) {
+    throw new ProviderError("OpenAI returned an empty response");
+  }
+
+  return texts;
+};
+
+// Works with any server exposing the OpenAI chat-completions API
+// (OpenAI, Azure-style gateways, vLLM, LM Studio, OpenRouter, ...).
+export const openai = {
+  id: "openai",
+  label: "OpenAI-compatible API",
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL),
+  defaultModel: () => process.env.OPENAI_MODEL || "gpt-4o-mini",
+
+  async generate({ request, model, signal }) {
+    const [text] = await requestCompletions({ request, model, count: 1, signal });
+    return text;
+  },
+
+  // Asks for all candidates in one call with `n`; some compatible servers ignore
+  // it, in which case the missing ones are requested individually.
+  async generateMany({ request, model, count, signal }) {
+    const texts = await requestCompletions({ request, model, count, signal });
+    const missing = Math.max(0, count - texts.length);
+    const extra = await Promise.all(
+      Array.from({ length: missing }, () => this.generate({ request, model, signal }))
+    );
+    return [...texts.slice(0, count), ...extra];
+  },
+
+  // Relays the server-sent `data:` chunks of a streamed completion.
+  async *stream({ request, model, signal }) {
+    const response = await postCompletions({ request, model, stream: true, signal });
+
+    for await (const line of readLines(response.body)) {
+      if (!line.startsWith("data:")) continue;
+      const payload = line.slice("data:".length).trim();
+      if (payload === "[DONE]") return;
+
+      const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  },
+};
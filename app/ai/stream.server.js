@@ -0,0 +1,26 @@
+// Splits a streamed response body into lines as they arrive. Both
+// server-sent events and newline-delimited JSON are line based.
+export async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer.trim();
+  } finally {
+    reader.releaseLock();
+  }
+}
@@ -0,0 +1,186 @@
+import prisma from "./db.server";
+import { ContentError } from "./content.server";
+import { normalizeContent } from "./content-normalizer";
+import { getContentUpdate } from "./content-types";
+import { publishContent } from "./publish.server";
+import { getShopSettings } from "./settings.server";
+
+// Drafts move Draft → In review → Approved → Published. A rejection sends the
+// draft back to Draft with the reviewer's comment. Every step is stored as an
+// event attributed to the staff member who took it.
+export const DRAFT_TYPES = ["description", "seo-description", "seo-title"];
+
+export const requiresApproval = async (shop) => (await getShopSettings(shop)).requireApproval;
+
+// Guards every path that writes generated content to Shopify without a review.
+export const assertCanPublishDirectly = async (shop) => {
+  if (await requiresApproval(shop)) {
+    throw new ContentError("This store requires content to be approved before it is published. Submit it for review instead.", 403);
+  }
+};
+
+// Offline sessions carry no user details, so the staff member's own online
+// session row is looked up from the session token's user ID.
+export const getStaffMember = async (session, sessionToken) => {
+  let user = session?.userId ? session : null;
+  if (!user && /^\d+$/.test(sessionToken?.sub || "")) {
+    user = await prisma.session.findFirst({
+      where: { shop: session.shop, userId: Number(sessionToken.sub) },
+      orderBy: { expires: "desc" },
+    });
+  }
+
+  const userId = user?.userId?.toString() || sessionToken?.sub || null;
+  const name = [user?.firstName, user?.lastName].filter(Boolean).join(" ");
+
+  return {
+    userId,
+    userName: name || user?.email || (userId ? `Staff ${userId}` : null),
+    userEmail: user?.email || null,
+    accountOwner: Boolean(user?.accountOwner),
+  };
+};
+
+const draftInclude = { events: { orderBy: { createdAt: "asc" } } };
+
+export const listDrafts = (shop, take = 100) =>
+  prisma.contentDraft.findMany({
+    where: { shop },
+    orderBy: { updatedAt: "desc" },
+    include: draftInclude,
+    take,
+  });
+
+const getDraft = async (shop, id) => {
+  const draft = await prisma.contentDraft.findFirst({ where: { id, shop } });
+  if (!draft) {
+    throw new ContentError("This draft no longer exists", 404);
+  }
+  return draft;
+};
+
+const moveDraft = async (draft, fromStatuses, status, event, data = {}) => {
+  // The status check is part of the update so two reviewers cannot both act on it.
+  const { count } = await prisma.contentDraft.updateMany({
+    where: { id: draft.id, status: { in: fromStatuses } },
+    data: { ...data, status },
+  });
+  if (count === 0) {
+    throw new ContentError("Someone else has already updated this draft. Reload to see its current state.", 409);
+  }
+
+  await prisma.draftEvent.create({ data: { ...event, draftId: draft.id } });
+  return prisma.contentDraft.findUnique({ where: { id: draft.id }, include: draftInclude });
+};
+
+export const createDraft = async (shop, staff, { itemId, pageType, title, contentType, content, seoKeywords, submit }) => {
+  if (!DRAFT_TYPES.includes(contentType)) {
+    throw new ContentError("This content type cannot be reviewed", 400);
+  }
+  const normalized = normalizeContent(content || "", contentType);
+  if (!normalized.trim()) {
+    throw new ContentError("There is no content to review", 400);
+  }
+
+  const draft = await prisma.contentDraft.create({
+    data: {
+      shop,
+      itemId,
+      pageType,
+      title,
+      contentType,
+      content: normalized,
+      seoKeywords: seoKeywords?.trim() || null,
+      status: submit ? "in_review" : "draft",
+      authorId: staff.userId,
+      authorName: staff.userName,
+      events: {
+        create: [
+          { ...staff, action: "create" },
+          ...(submit ? [{ ...staff, action: "submit" }] : []),
+        ],
+      },
+    },
+  });
+
+  return prisma.contentDraft.findUnique({ where: { id: draft.id }, include: draftInclude });
+};
+
+// Only drafts that are not under review can be changed, so what a reviewer
+// approved is exactly what gets published.
+export const updateDraft = async (shop, staff, id, { content, submit }) => {
+  const draft = await getDraft(shop, id);
+  const normalized = normalizeContent(content || "", draft.contentType);
+  if (!normalized.trim()) {
+    throw new ContentError("There is no content to review", 400);
+  }
+
+  return moveDraft(draft, ["draft"], submit ? "in_review" : "draft",
+    { ...staff, action: submit ? "submit" : "edit" },
+    { content: normalized });
+};
+
+export const submitDraft = async (shop, staff, id) =>
+  moveDraft(await getDraft(shop, id), ["draft"], "in_review", { ...staff, action: "submit" });
+
+export const commentOnDraft = async (shop, staff, id, comment) => {
+  const draft = await getDraft(shop, id);
+  if (!comment?.trim()) {
+    throw new ContentError("Write a comment first", 400);
+  }
+
+  await prisma.draftEvent.create({ data: { ...staff, draftId: draft.id, action: "comment", comment: comment.trim() } });
+  return prisma.contentDraft.update({ where: { id: draft.id }, data: { updatedAt: new Date() }, include: draftInclude });
+};
+
+// Staff cannot approve their own drafts; the account owner can approve anything.
+export const reviewDraft = async (shop, staff, id, { approve, comment }) => {
+  const draft = await getDraft(shop, id);
+
+  if (approve && draft.authorId && draft.authorId === staff.userId && !staff.accountOwner) {
+    throw new ContentError("Someone other than the author has to approve this draft", 403);
+  }
+  if (!approve && !comment?.trim()) {
+    throw new ContentError("Explain what needs to change when rejecting a draft", 400);
+  }
+
+  return moveDraft(draft, ["in_review"], approve ? "approved" : "draft", {
+    ...staff,
+    action: approve ? "approve" : "reject",
+    comment: comment?.trim() || null,
+  });
+};
+
+// The draft is claimed before Shopify is updated so it cannot be published
+// twice, and handed back to the approved state if the update fails.
+export const publishDraft = async (admin, shop, staff, id) => {
+  const draft = await getDraft(shop, id);
+  const { count } = await prisma.contentDraft.updateMany({
+    where: { id: draft.id, status: "approved" },
+    data: { status: "published" },
+  });
+  if (count === 0) {
+    throw new ContentError("Only approved drafts can be published", 409);
+  }
+
+  let updatedItem;
+  try {
+    // The reviewer has signed off on the content, so validation does not block it.
+    updatedItem = await publishContent(admin, shop, {
+      itemId: draft.itemId,
+      pageType: draft.pageType,
+      ...getContentUpdate(draft.contentType, draft.content),
+      seoKeywords: draft.seoKeywords || "",
+      overrideValidation: true,
+      action: "publish",
+      author: staff.userName,
+    });
+  } catch (error) {
+    await prisma.contentDraft.update({ where: { id: draft.id }, data: { status: "approved" } });
+    throw error;
+  }
+
+  await prisma.draftEvent.create({ data: { ...staff, draftId: draft.id, action: "publish" } });
+  const published = await prisma.contentDraft.findUnique({ where: { id: draft.id }, include: draftInclude });
+  return { draft: published, updatedItem };
+};
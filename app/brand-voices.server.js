@@ -0,0 +1,70 @@
+import prisma from "./db.server";
+
+export const FORMALITY_OPTIONS = ["casual", "neutral", "formal"];
+export const LENGTH_OPTIONS = ["short", "medium", "long"];
+
+const BRAND_VOICE_FIELDS = [
+  "name",
+  "tone",
+  "audience",
+  "formality",
+  "bannedPhrases",
+  "exampleCopy",
+  "preferredLength",
+];
+
+const pickFields = (data) =>
+  Object.fromEntries(
+    BRAND_VOICE_FIELDS.filter((field) => data[field] !== undefined).map((field) => [
+      field,
+      typeof data[field] === "string" ? data[field].trim() || null : data[field],
+    ])
+  );
+
+export const listBrandVoices = (shop) =>
+  prisma.brandVoice.findMany({ where: { shop }, orderBy: { name: "asc" } });
+
+export const getBrandVoice = (shop, id) =>
+  id ? prisma.brandVoice.findFirst({ where: { id, shop } }) : null;
+
+export const saveBrandVoice = async (shop, data, id = null) => {
+  const fields = pickFields(data);
+
+  if (!fields.name) {
+    throw new Error("Brand voice name is required");
+  }
+  if (fields.formality && !FORMALITY_OPTIONS.includes(fields.formality)) {
+    throw new Error("Invalid formality");
+  }
+  if (fields.preferredLength && !LENGTH_OPTIONS.includes(fields.preferredLength)) {
+    throw new Error("Invalid preferred length");
+  }
+
+  if (id) {
+    const { count } = await prisma.brandVoice.updateMany({ where: { id, shop }, data: fields });
+    if (count === 0) throw new Error("Brand voice not found");
+    return prisma.brandVoice.findUnique({ where: { id } });
+  }
+
+  return prisma.brandVoice.create({ data: { shop, ...fields } });
+};
+
+export const deleteBrandVoice = (shop, id) =>
+  prisma.brandVoice.deleteMany({ where: { id, shop } });
+
+// The part of a brand voice that is sent with a generation request.
+export const toGenerationVoice = (brandVoice) =>
+  brandVoice
+    ? {
+        name: brandVoice.name,
+        tone: brandVoice.tone,
+        audience: brandVoice.audience,
+        formality: brandVoice.formality,
+        bannedPhrases: (brandVoice.bannedPhrases || "")
+          .split("\n")
+          .map((phrase) => phrase.trim())
+          .filter(Boolean),
+        exampleCopy: brandVoice.exampleCopy,
+        preferredLength: brandVoice.preferredLength,
+      }
+    : null;
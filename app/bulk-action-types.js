@@ -0,0 +1,74 @@
+// Bulk actions the dashboard offers, and how they map onto its items. Shared
+// by the selection bar and the server, which builds the same entries when an
+// action applies to every item matching the filters.
+
+// How each dashboard field is read off an item.
+export const BULK_FIELDS = {
+  description: {
+    label: "Description",
+    isGenerated: (item) => item.hasAiDescription,
+    original: (item) => item.originalDescription,
+    current: (item) => item.currentDescriptionHtml,
+  },
+  "seo-description": {
+    label: "SEO description",
+    isGenerated: (item) => item.hasAiSeo,
+    original: (item) => item.originalSeoDescription,
+    current: (item) => item.currentSeoDescription,
+  },
+  "seo-title": {
+    label: "SEO title",
+    isGenerated: (item) => item.hasAiSeoTitle,
+    original: (item) => item.originalSeoTitle,
+    current: (item) => item.currentSeoTitle || "",
+  },
+};
+
+export const BULK_ACTIONS = {
+  "revert-description": {
+    label: "Revert descriptions",
+    fields: ["description"],
+    needsOriginal: true,
+    confirm: "Each description goes back to the content it had before it was generated.",
+  },
+  "revert-seo": {
+    label: "Revert SEO",
+    fields: ["seo-description"],
+    needsOriginal: true,
+    confirm: "Each SEO description goes back to the content it had before it was generated.",
+  },
+  "revert-seo-title": {
+    label: "Revert SEO titles",
+    fields: ["seo-title"],
+    needsOriginal: true,
+    confirm: "Each SEO title goes back to the one it had before it was generated, even if that was empty.",
+  },
+  regenerate: {
+    label: "Regenerate",
+    fields: Object.keys(BULK_FIELDS),
+    confirm: "Every generated field is generated again and published as soon as it is ready.",
+  },
+  export: {
+    label: "Export",
+    fields: Object.keys(BULK_FIELDS),
+    confirm: "The live and original content of every generated field is collected into a CSV file.",
+  },
+};
+
+// One entry per field the action applies to. Fields the app never generated,
+// or reverts without an original, are left out.
+export const buildBulkItems = (type, items) => {
+  const { fields, needsOriginal } = BULK_ACTIONS[type];
+  return items.flatMap((item) =>
+    fields
+      .filter((contentType) => BULK_FIELDS[contentType].isGenerated(item))
+      .filter((contentType) => !needsOriginal || BULK_FIELDS[contentType].original(item) != null)
+      .map((contentType) => ({
+        itemId: item.id,
+        pageType: item.type,
+        title: item.title,
+        contentType,
+        base: BULK_FIELDS[contentType].current(item) ?? null,
+      }))
+  );
+};
@@ -0,0 +1,292 @@
+import prisma from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { fetchItem } from "./catalog.server";
+import { fetchOriginalContents, updateItemContent } from "./content.server";
+import { isSameContent } from "./content-normalizer";
+import { getContentUpdate, getCurrentContent } from "./content-types";
+import { getOriginalVersion, listVersions, recordVersion } from "./content-versions.server";
+import { generateAndPublish } from "./jobs.server";
+import { findConflict } from "./publish.server";
+
+// Bulk actions started from the dashboard. Like generation jobs they run
+// in-process, one item at a time, with their state in the database so they
+// survive a restart. Every item ends with a result for the report.
+export const BULK_ACTION_TYPES = ["revert-description", "revert-seo", "revert-seo-title", "regenerate", "export"];
+export const BULK_FIELD_TYPES = ["description", "seo-description", "seo-title"];
+
+const REVERT_TYPES = {
+  "revert-description": "description",
+  "revert-seo": "seo-description",
+  "revert-seo-title": "seo-title",
+};
+
+export const getBulkFieldTypes = (type) => (REVERT_TYPES[type] ? [REVERT_TYPES[type]] : BULK_FIELD_TYPES);
+
+const runningActions = global.bulkActionsRunning ?? new Set();
+global.bulkActionsRunning = runningActions;
+
+// Thrown for items that are left alone on purpose, such as ones that already
+// match their original.
+class SkippedItem extends Error {}
+
+// Originals are looked up here rather than taken from the request, so a
+// revert can only write content that was stored for the field: the local
+// version history first, then the copy stored by the backend for items
+// changed before the history existed. An empty original is a real one.
+const findOriginal = async (bulkAction, item, context) => {
+  const versions = await listVersions(bulkAction.shop, [item.itemId]);
+  const original = getOriginalVersion(versions, item.itemId, item.contentType);
+  if (original) return original.content;
+
+  context.backendOriginals ??= fetchOriginalContents(bulkAction.shop);
+  const stored = (await context.backendOriginals)
+    .find((record) => record.originId === item.itemId && record.contentType === item.contentType);
+  return (item.contentType === "description" ? stored?.originalContentHtml || stored?.originalContent : stored?.originalContent) ?? null;
+};
+
+const revertItem = async (admin, bulkAction, item, current, context) => {
+  const original = await findOriginal(bulkAction, item, context);
+  if (original == null) {
+    throw new SkippedItem("No original content is stored for this field");
+  }
+
+  const live = getCurrentContent(current, item.contentType);
+  if (isSameContent(live, original)) {
+    throw new SkippedItem("Already matches the original");
+  }
+  if (findConflict(current, { contentType: item.contentType, base: item.base, incoming: original })) {
+    throw new SkippedItem("Changed in Shopify after the dashboard loaded");
+  }
+
+  await updateItemContent(admin, {
+    shop: bulkAction.shop,
+    itemId: item.itemId,
+    pageType: item.pageType,
+    ...getContentUpdate(item.contentType, original),
+  });
+  const version = await recordVersion(bulkAction.shop, {
+    itemId: item.itemId,
+    pageType: item.pageType,
+    contentType: item.contentType,
+    content: original,
+    action: "revert",
+    author: bulkAction.author,
+  });
+
+  return { result: "Reverted to the original", original, versionId: version.id };
+};
+
+// Regenerating reuses the keywords the field was last generated with. Like a
+// revert it leaves fields alone that were edited in Shopify since the
+// dashboard loaded.
+const regenerateItem = async (admin, bulkAction, item, current) => {
+  if (findConflict(current, { contentType: item.contentType, base: item.base, incoming: null })) {
+    throw new SkippedItem("Changed in Shopify after the dashboard loaded");
+  }
+
+  const lastGenerated = await prisma.contentVersion.findFirst({
+    where: { shop: bulkAction.shop, itemId: item.itemId, contentType: item.contentType, seoKeywords: { not: null } },
+    orderBy: { createdAt: "desc" },
+  });
+  const seoKeywords = lastGenerated?.seoKeywords || bulkAction.seoKeywords;
+  if (!seoKeywords) {
+    throw new Error("No SEO keywords are stored for this field. Enter keywords to use instead.");
+  }
+
+  const { output, version } = await generateAndPublish(admin, bulkAction.shop, {
+    current,
+    itemId: item.itemId,
+    pageType: item.pageType,
+    contentType: item.contentType,
+    seoKeywords,
+  });
+
+  return { result: "Regenerated and published", output, versionId: version.id };
+};
+
+const exportItem = async (admin, bulkAction, item, current, context) => ({
+  result: "Exported",
+  original: await findOriginal(bulkAction, item, context),
+  output: getCurrentContent(current, item.contentType),
+});
+
+const HANDLERS = {
+  "revert-description": revertItem,
+  "revert-seo": revertItem,
+  "revert-seo-title": revertItem,
+  regenerate: regenerateItem,
+  export: exportItem,
+};
+
+const processItem = async (bulkAction, item, context) => {
+  await prisma.bulkActionItem.update({
+    where: { id: item.id },
+    data: { status: "running", attempts: { increment: 1 } },
+  });
+
+  try {
+    const { admin } = await unauthenticated.admin(bulkAction.shop);
+    const current = await fetchItem(admin, item.itemId);
+    if (!current) {
+      throw new Error(`This ${item.pageType} no longer exists`);
+    }
+
+    const outcome = await HANDLERS[bulkAction.type](admin, bulkAction, item, current, context);
+    await prisma.bulkActionItem.update({
+      where: { id: item.id },
+      data: { ...outcome, status: "succeeded", error: null },
+    });
+  } catch (error) {
+    const skipped = error instanceof SkippedItem;
+    if (!skipped) {
+      console.error(`Bulk action ${bulkAction.id} failed for ${item.itemId}:`, error);
+    }
+    await prisma.bulkActionItem.update({
+      where: { id: item.id },
+      data: skipped
+        ? { status: "skipped", result: error.message, error: null }
+        : { status: "failed", error: error.message },
+    });
+  }
+};
+
+const runBulkAction = async (id) => {
+  await prisma.bulkAction.updateMany({
+    where: { id, status: { in: ["queued", "running"] } },
+    data: { status: "running" },
+  });
+
+  // Shared by the items of one run, e.g. the originals stored by the backend.
+  const context = {};
+  for (;;) {
+    const bulkAction = await prisma.bulkAction.findUnique({ where: { id } });
+    if (!bulkAction || bulkAction.status !== "running") return;
+
+    const item = await prisma.bulkActionItem.findFirst({
+      where: { bulkActionId: id, status: "pending" },
+      orderBy: { createdAt: "asc" },
+    });
+
+    if (!item) {
+      await prisma.bulkAction.update({ where: { id }, data: { status: "completed" } });
+      return;
+    }
+
+    await processItem(bulkAction, item, context);
+  }
+};
+
+const startBulkAction = (id) => {
+  if (runningActions.has(id)) return;
+  runningActions.add(id);
+
+  runBulkAction(id)
+    .catch((error) => console.error(`Bulk action ${id} crashed:`, error))
+    .finally(() => runningActions.delete(id));
+};
+
+export const createBulkAction = async (shop, { type, author, seoKeywords, items }) => {
+  const bulkAction = await prisma.bulkAction.create({
+    data: {
+      shop,
+      type,
+      author: author || null,
+      seoKeywords: seoKeywords?.trim() || null,
+      items: {
+        createMany: {
+          data: items.map(({ itemId, pageType, title, contentType, base }) => ({
+            itemId,
+            pageType,
+            title,
+            contentType,
+            base: base ?? null,
+          })),
+        },
+      },
+    },
+  });
+
+  startBulkAction(bulkAction.id);
+  return bulkAction;
+};
+
+export const cancelBulkAction = async (shop, id) => {
+  const { count } = await prisma.bulkAction.updateMany({
+    where: { id, shop, status: { in: ["queued", "running"] } },
+    data: { status: "cancelled" },
+  });
+
+  if (count > 0) {
+    await prisma.bulkActionItem.updateMany({
+      where: { bulkActionId: id, status: "pending" },
+      data: { status: "cancelled" },
+    });
+  }
+
+  return count > 0;
+};
+
+// The report lists every item with its result, plus the versions the action
+// recorded so the dashboard can update its rows without a reload.
+export const getBulkAction = async (shop, id) => {
+  const bulkAction = await prisma.bulkAction.findFirst({
+    where: { shop, ...(id ? { id } : {}) },
+    orderBy: { createdAt: "desc" },
+    include: { items: { orderBy: { createdAt: "asc" } } },
+  });
+  if (!bulkAction) return null;
+
+  const versionIds = bulkAction.items.map((item) => item.versionId).filter(Boolean);
+  const versions = versionIds.length > 0
+    ? await prisma.contentVersion.findMany({ where: { id: { in: versionIds } } })
+    : [];
+
+  const counts = bulkAction.items.reduce(
+    (acc, item) => ({ ...acc, [item.status]: (acc[item.status] || 0) + 1 }),
+    {}
+  );
+
+  return { ...bulkAction, counts, versions };
+};
+
+const CSV_COLUMNS = [
+  ["Title", (item) => item.title],
+  ["Type", (item) => item.pageType],
+  ["Shopify ID", (item) => item.itemId],
+  ["Field", (item) => item.contentType],
+  ["Status", (item) => item.status],
+  ["Result", (item) => item.error || item.result],
+  ["Original", (item) => item.original],
+  ["Content", (item) => item.output],
+];
+
+// Cells a spreadsheet would run as a formula are prefixed with a quote.
+const toCsvCell = (value) => {
+  const raw = value == null ? "" : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (bulkAction) =>
+  [
+    CSV_COLUMNS.map(([label]) => label),
+    ...bulkAction.items.map((item) => CSV_COLUMNS.map(([, value]) => value(item))),
+  ].map((row) => row.map(toCsvCell).join(",")).join("\r\n");
+
+export const resumeBulkActions = async () => {
+  await prisma.bulkActionItem.updateMany({
+    where: { status: "running" },
+    data: { status: "pending" },
+  });
+
+  const bulkActions = await prisma.bulkAction.findMany({
+    where: { status: { in: ["queued", "running"] } },
+    select: { id: true },
+  });
+  bulkActions.forEach((bulkAction) => startBulkAction(bulkAction.id));
+};
+
+if (!global.bulkActionsResumed) {
+  global.bulkActionsResumed = true;
+  resumeBulkActions().catch((error) => console.error("Failed to resume bulk actions:", error));
+}
@@ -0,0 +1,422 @@
+import prisma from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { fetchCatalogPage } from "./catalog.server";
+import { readLines } from "./ai/stream.server";
+
+// A per-shop copy of the product and collection fields the app lists and
+// searches. It is seeded with a bulk operation on install, kept fresh by the
+// `products/*` and `collections/*` webhooks and can be resynced by hand.
+// Until the first sync completes, reads go to Shopify instead.
+const PAGE_TYPES = ["product", "collection"];
+
+const POLL_INTERVAL_MS = 5000;
+const WRITE_BATCH_SIZE = 200;
+
+const ITEM_FIELDS = {
+  product: `
+    id
+    title
+    handle
+    status
+    vendor
+    tags
+    updatedAt
+    description
+    descriptionHtml
+    seo {
+      title
+      description
+    }
+    featuredImage {
+      url
+    }`,
+  collection: `
+    id
+    title
+    handle
+    updatedAt
+    description
+    descriptionHtml
+    seo {
+      title
+      description
+    }
+    image {
+      url
+    }`,
+};
+
+// Variants come back as separate lines of the bulk operation's results.
+const BULK_QUERIES = {
+  product: `{
+  products {
+    edges {
+      node {${ITEM_FIELDS.product}
+        variants {
+          edges {
+            node {
+              sku
+            }
+          }
+        }
+      }
+    }
+  }
+}`,
+  collection: `{
+  collections {
+    edges {
+      node {${ITEM_FIELDS.collection}
+      }
+    }
+  }
+}`,
+};
+
+const ITEM_QUERY = `
+  query getCatalogItem($id: ID!) {
+    node(id: $id) {
+      ... on Product {${ITEM_FIELDS.product}
+        variants(first: 100) {
+          nodes {
+            sku
+          }
+        }
+      }
+      ... on Collection {${ITEM_FIELDS.collection}
+      }
+    }
+  }
+`;
+
+const RUN_BULK_QUERY_MUTATION = `
+  mutation runCatalogBulkQuery($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation {
+        id
+        status
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const BULK_OPERATION_QUERY = `
+  query getBulkOperation($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation {
+        id
+        status
+        errorCode
+        url
+      }
+    }
+  }
+`;
+
+const getPageType = (id) =>
+  id?.includes("/Collection/") ? "collection" : id?.includes("/Product/") ? "product" : null;
+
+const toRecord = (node, pageType, skus = []) => ({
+  pageType,
+  title: node.title,
+  handle: node.handle,
+  status: node.status ?? null,
+  vendor: node.vendor || null,
+  tags: node.tags?.length ? node.tags.join(", ") : null,
+  skus: skus.filter(Boolean).join(" ") || null,
+  description: node.description || "",
+  descriptionHtml: node.descriptionHtml || "",
+  seoTitle: node.seo?.title ?? null,
+  seoDescription: node.seo?.description ?? null,
+  imageUrl: (pageType === "product" ? node.featuredImage?.url : node.image?.url) ?? null,
+  shopifyUpdatedAt: new Date(node.updatedAt),
+  syncedAt: new Date(),
+});
+
+// Mirrored items are handed out in the shape the Admin API returns them in,
+// so callers do not need to know where an item came from.
+const toNode = (record) => ({
+  id: record.itemId,
+  title: record.title,
+  handle: record.handle,
+  ...(record.pageType === "product" ? { status: record.status } : {}),
+  updatedAt: record.shopifyUpdatedAt.toISOString(),
+  description: record.description,
+  descriptionHtml: record.descriptionHtml,
+  seo: { title: record.seoTitle, description: record.seoDescription },
+  [record.pageType === "product" ? "featuredImage" : "image"]: record.imageUrl ? { url: record.imageUrl } : null,
+});
+
+// Item pickers only show the title and image, so they get nothing else.
+// Takes mirrored records as well as Admin API nodes.
+const SUMMARY_FIELDS = { itemId: true, title: true, imageUrl: true };
+
+const toSummary = (item) => ({
+  id: item.itemId ?? item.id,
+  title: item.title,
+  imageUrl: item.imageUrl ?? (item.featuredImage ?? item.image)?.url ?? null,
+});
+
+const saveItem = (shop, itemId, data) =>
+  prisma.catalogItem.upsert({
+    where: { shop_itemId: { shop, itemId } },
+    create: { shop, itemId, ...data },
+    update: data,
+  });
+
+export const refreshCatalogItem = async (admin, shop, itemId) => {
+  const response = await admin.graphql(ITEM_QUERY, { variables: { id: itemId } });
+  const json = await response.json();
+  const node = json.data?.node;
+  if (!node?.id) {
+    await removeCatalogItem(shop, itemId);
+    return null;
+  }
+
+  const pageType = getPageType(node.id);
+  return saveItem(shop, node.id, toRecord(node, pageType, node.variants?.nodes.map((variant) => variant.sku)));
+};
+
+export const removeCatalogItem = (shop, itemId) =>
+  prisma.catalogItem.deleteMany({ where: { shop, itemId } });
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const startBulkQuery = async (admin, pageType) => {
+  const response = await admin.graphql(RUN_BULK_QUERY_MUTATION, { variables: { query: BULK_QUERIES[pageType] } });
+  const json = await response.json();
+  const { bulkOperation, userErrors } = json.data?.bulkOperationRunQuery || {};
+  if (userErrors?.length) {
+    throw new Error(userErrors.map((error) => error.message).join(", "));
+  }
+  if (!bulkOperation) {
+    throw new Error(json.errors?.[0]?.message || `Failed to start the ${pageType} sync`);
+  }
+  return bulkOperation.id;
+};
+
+const waitForBulkOperation = async (admin, id) => {
+  for (;;) {
+    const response = await admin.graphql(BULK_OPERATION_QUERY, { variables: { id } });
+    const json = await response.json();
+    const operation = json.data?.node;
+    if (!operation) {
+      throw new Error("The bulk operation could not be found");
+    }
+    if (operation.status === "COMPLETED") return operation;
+    if (["FAILED", "CANCELED", "EXPIRED"].includes(operation.status)) {
+      throw new Error(`The bulk operation ended with status ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ""}`);
+    }
+    await wait(POLL_INTERVAL_MS);
+  }
+};
+
+// Results are JSON lines. Child lines such as variants carry the ID of their
+// parent in `__parentId`, so items are only written once the file is read.
+const importBulkResults = async (shop, pageType, url) => {
+  // Operations that matched nothing have no results file.
+  if (!url) return 0;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download the ${pageType} sync results: ${response.status}`);
+  }
+
+  const nodes = new Map();
+  const skus = new Map();
+  for await (const line of readLines(response.body)) {
+    const node = JSON.parse(line);
+    if (node.__parentId) {
+      skus.set(node.__parentId, [...(skus.get(node.__parentId) || []), node.sku]);
+    } else {
+      nodes.set(node.id, node);
+    }
+  }
+
+  const entries = [...nodes.values()];
+  for (let index = 0; index < entries.length; index += WRITE_BATCH_SIZE) {
+    await prisma.$transaction(entries.slice(index, index + WRITE_BATCH_SIZE)
+      .map((node) => saveItem(shop, node.id, toRecord(node, pageType, skus.get(node.id)))));
+  }
+  return entries.length;
+};
+
+const runningSyncs = global.catalogSyncsRunning ?? new Set();
+global.catalogSyncsRunning = runningSyncs;
+
+// Products and collections are synced one after the other, since a shop can
+// only run one bulk query at a time. A sync resumed after a restart picks up
+// the operation it was waiting for.
+const runCatalogSync = async (shop) => {
+  const { admin } = await unauthenticated.admin(shop);
+  let sync = await prisma.catalogSync.findUnique({ where: { shop } });
+  if (!sync) return;
+
+  await prisma.catalogSync.update({ where: { shop }, data: { status: "running" } });
+
+  for (const pageType of PAGE_TYPES.slice(PAGE_TYPES.indexOf(sync.pageType || PAGE_TYPES[0]))) {
+    let operationId = sync.pageType === pageType ? sync.operationId : null;
+    if (!operationId) {
+      operationId = await startBulkQuery(admin, pageType);
+      await prisma.catalogSync.update({ where: { shop }, data: { pageType, operationId } });
+    }
+
+    const operation = await waitForBulkOperation(admin, operationId);
+    const count = await importBulkResults(shop, pageType, operation.url);
+
+    // Items the sync did not see again were deleted in Shopify.
+    await prisma.catalogItem.deleteMany({ where: { shop, pageType, syncedAt: { lt: sync.startedAt } } });
+    sync = await prisma.catalogSync.update({
+      where: { shop },
+      data: { operationId: null, itemCount: { increment: count } },
+    });
+  }
+
+  await prisma.catalogSync.update({
+    where: { shop },
+    data: { status: "completed", pageType: null, lastSyncedAt: new Date() },
+  });
+};
+
+const startRunner = (shop) => {
+  if (runningSyncs.has(shop)) return;
+  runningSyncs.add(shop);
+
+  runCatalogSync(shop)
+    .catch(async (error) => {
+      console.error(`Catalog sync failed for ${shop}:`, error);
+      await prisma.catalogSync.update({
+        where: { shop },
+        data: { status: "failed", operationId: null, pageType: null, error: error.message },
+      }).catch(() => {});
+    })
+    .finally(() => runningSyncs.delete(shop));
+};
+
+export const getCatalogSync = (shop) => prisma.catalogSync.findUnique({ where: { shop } });
+
+const isSyncing = (sync) => sync?.status === "queued" || sync?.status === "running";
+
+// Starts a full sync, unless one is already running.
+export const startCatalogSync = async (shop) => {
+  const existing = await getCatalogSync(shop);
+  if (isSyncing(existing)) {
+    startRunner(shop);
+    return existing;
+  }
+
+  const data = { status: "queued", pageType: null, operationId: null, itemCount: 0, error: null, startedAt: new Date() };
+  const sync = await prisma.catalogSync.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+  startRunner(shop);
+  return sync;
+};
+
+// Shops that have never been synced, including ones installed before the
+// mirror existed, are seeded the first time they open the app.
+export const ensureCatalogSync = async (shop) =>
+  (await getCatalogSync(shop)) || startCatalogSync(shop);
+
+export const deleteCatalogMirror = (shop) =>
+  prisma.$transaction([
+    prisma.catalogItem.deleteMany({ where: { shop } }),
+    prisma.catalogSync.deleteMany({ where: { shop } }),
+  ]);
+
+const MIRROR_SORTS = {
+  "title-asc": { title: "asc" },
+  "title-desc": { title: "desc" },
+  "updated-desc": { shopifyUpdatedAt: "desc" },
+  "updated-asc": { shopifyUpdatedAt: "asc" },
+};
+
+const SEARCH_FIELDS = {
+  product: ["title", "handle", "skus", "vendor", "tags"],
+  collection: ["title", "handle"],
+};
+
+// Like the Admin API search, every word has to match one of the fields.
+const buildMirrorSearch = (search, pageType) =>
+  (search || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => ({ OR: SEARCH_FIELDS[pageType].map((field) => ({ [field]: { contains: word } })) }));
+
+// Cursors into the mirror are offsets, so ties are broken by ID to keep pages
+// stable. There is no search ranking, so relevance sorts by title. Products
+// and collections can be listed together in one ordering.
+export const searchCatalogMirror = async (shop, pageTypes, { search = "", sort, after, first = 25, ids, summary = false } = {}) => {
+  const skip = Number(after) || 0;
+  const records = await prisma.catalogItem.findMany({
+    where: {
+      shop,
+      ...(ids ? { itemId: { in: [...ids] } } : {}),
+      OR: pageTypes.map((pageType) => ({ pageType, AND: buildMirrorSearch(search, pageType) })),
+    },
+    orderBy: [MIRROR_SORTS[sort] || MIRROR_SORTS["title-asc"], { itemId: "asc" }],
+    ...(summary ? { select: SUMMARY_FIELDS } : {}),
+    skip,
+    take: first + 1,
+  });
+
+  const hasNextPage = records.length > first;
+  return {
+    items: records.slice(0, first).map(summary ? toSummary : toNode),
+    pageInfo: { hasNextPage, endCursor: hasNextPage ? String(skip + first) : null },
+  };
+};
+
+export const isCatalogMirrorReady = async (shop) => !!(await getCatalogSync(shop))?.lastSyncedAt;
+
+// One page of products or collections, from the mirror once it has been
+// synced and from Shopify before that. `ids` restricts the page to some items.
+// With `summary` items only carry what pickers render, see `toSummary`.
+export const searchCatalog = async (admin, shop, pageType, { search = "", sort, after, first = 25, ids, summary = false } = {}) => {
+  if (await isCatalogMirrorReady(shop)) {
+    return searchCatalogMirror(shop, [pageType], { search, sort, after, first, ids, summary });
+  }
+
+  const page = await fetchCatalogPage(admin, pageType, {
+    search,
+    sort,
+    after,
+    first,
+    filter: ids ? `(${[...ids].map((id) => `id:${id.split("/").pop()}`).join(" OR ")})` : undefined,
+  });
+  return summary ? { ...page, items: page.items.map(toSummary) } : page;
+};
+
+const LIST_PAGE_SIZE = 250;
+
+// Every item matching `search`, for pages where the merchant selected all of
+// them rather than the ones loaded in the browser.
+export const listCatalogSummaries = async (admin, shop, pageType, { search = "" } = {}) => {
+  const items = [];
+  let after = null;
+  do {
+    const page = await searchCatalog(admin, shop, pageType, { search, sort: "title-asc", after, first: LIST_PAGE_SIZE, summary: true });
+    items.push(...page.items);
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+  return items;
+};
+
+export const resumeCatalogSyncs = async () => {
+  const syncs = await prisma.catalogSync.findMany({
+    where: { status: { in: ["queued", "running"] } },
+    select: { shop: true },
+  });
+  syncs.forEach((sync) => startRunner(sync.shop));
+};
+
+if (!global.catalogSyncsResumed) {
+  global.catalogSyncsResumed = true;
+  resumeCatalogSyncs().catch((error) => console.error("Failed to resume catalog syncs:", error));
+}
@@ -0,0 +1,370 @@
+const PRODUCTS_QUERY = `
+  query getProducts($first: Int!, $after: String, $query: String, $sortKey: ProductSortKeys, $reverse: Boolean) {
+    products(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
+      edges {
+        cursor
+        node {
+          id
+          title
+          handle
+          status
+          updatedAt
+          description
+          descriptionHtml
+          seo {
+            description
+            title
+          }
+          featuredImage {
+            url
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const COLLECTIONS_QUERY = `
+  query getCollections($first: Int!, $after: String, $query: String, $sortKey: CollectionSortKeys, $reverse: Boolean) {
+    collections(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
+      edges {
+        cursor
+        node {
+          id
+          title
+          handle
+          updatedAt
+          description
+          descriptionHtml
+          seo {
+            description
+            title
+          }
+          image {
+            url
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// Everything the generator may send to the AI as context about a single item.
+const ITEM_QUERY = `
+  query getItem($id: ID!) {
+    node(id: $id) {
+      ... on Product {
+        id
+        title
+        handle
+        description
+        descriptionHtml
+        seo {
+          description
+          title
+        }
+        vendor
+        productType
+        tags
+        options {
+          name
+          values
+        }
+        variants(first: 20) {
+          nodes {
+            title
+            price
+          }
+        }
+        metafields(first: 20) {
+          nodes {
+            namespace
+            key
+            type
+            value
+          }
+        }
+        media(first: 20) {
+          nodes {
+            ... on MediaImage {
+              id
+              alt
+              image {
+                url
+              }
+            }
+          }
+        }
+      }
+      ... on Collection {
+        id
+        title
+        handle
+        description
+        descriptionHtml
+        seo {
+          description
+          title
+        }
+        products(first: 25) {
+          nodes {
+            title
+          }
+        }
+        image {
+          id
+          url
+          altText
+        }
+      }
+    }
+    shop {
+      currencyCode
+    }
+  }
+`;
+
+// Images are fetched in smaller pages so the nested media connection stays
+// within the query cost limit.
+const PRODUCT_IMAGES_QUERY = `
+  query getProductImages($first: Int!, $after: String) {
+    products(first: $first, after: $after) {
+      edges {
+        cursor
+        node {
+          id
+          title
+          media(first: 20) {
+            nodes {
+              ... on MediaImage {
+                id
+                alt
+                image {
+                  url
+                }
+              }
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }
+`;
+
+const COLLECTION_IMAGES_QUERY = `
+  query getCollectionImages($first: Int!, $after: String) {
+    collections(first: $first, after: $after) {
+      edges {
+        cursor
+        node {
+          id
+          title
+          image {
+            id
+            url
+            altText
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }
+`;
+
+// Follows the connection page by page. `maxPages` stops early on large
+// catalogs; `hasNextPage` tells the caller whether anything was left out.
+const fetchPages = async (admin, query, dataPath, { first = 100, maxPages = Infinity } = {}) => {
+  let items = [];
+  let hasNextPage = true;
+  let afterCursor = null;
+
+  for (let page = 0; hasNextPage && page < maxPages; page++) {
+    const response = await admin.graphql(query, {
+      variables: { first, after: afterCursor }
+    });
+    const json = await response.json();
+    const edges = json.data[dataPath].edges;
+
+    items = [...items, ...edges.map(edge => edge.node)];
+    hasNextPage = json.data[dataPath].pageInfo.hasNextPage;
+    afterCursor = edges.length > 0 ? edges[edges.length - 1].cursor : null;
+  }
+  return { items, hasNextPage };
+};
+
+const fetchPaginated = async (admin, query, dataPath, first = 100) =>
+  (await fetchPages(admin, query, dataPath, { first })).items;
+
+export const fetchAllProducts = (admin) =>
+  fetchPaginated(admin, PRODUCTS_QUERY, "products");
+
+export const fetchAllCollections = (admin) =>
+  fetchPaginated(admin, COLLECTIONS_QUERY, "collections");
+
+export const CATALOG_SORTS = {
+  relevance: { sortKey: "RELEVANCE", reverse: false },
+  "title-asc": { sortKey: "TITLE", reverse: false },
+  "title-desc": { sortKey: "TITLE", reverse: true },
+  "updated-desc": { sortKey: "UPDATED_AT", reverse: true },
+  "updated-asc": { sortKey: "UPDATED_AT", reverse: false },
+};
+
+const SEARCH_FIELDS = {
+  product: ["title", "handle", "sku", "vendor", "tag"],
+  collection: ["title", "handle"],
+};
+
+// Every word has to match one of the searchable fields. Words are prefix
+// matches, except tags, which Shopify only matches whole.
+export const buildSearchQuery = (search, pageType) =>
+  (search || "")
+    .split(/\s+/)
+    .map((word) => word.replace(/[\\():"'*]/g, ""))
+    .filter(Boolean)
+    .map((word) => `(${SEARCH_FIELDS[pageType]
+      .map((field) => (field === "tag" ? `tag:${word}` : `${field}:${word}*`))
+      .join(" OR ")})`)
+    .join(" AND ");
+
+// One page of products or collections, searched and sorted by Shopify.
+// `filter` is added to the search as is, e.g. to restrict it to some IDs.
+export const fetchCatalogPage = async (admin, pageType, { search, sort, after, first = 25, filter } = {}) => {
+  const dataPath = pageType === "collection" ? "collections" : "products";
+  const query = [buildSearchQuery(search, pageType), filter].filter(Boolean).join(" AND ");
+  // Relevance only means something for a search.
+  const { sortKey, reverse } = CATALOG_SORTS[sort === "relevance" && !search?.trim() ? "title-asc" : sort] || CATALOG_SORTS["title-asc"];
+
+  const response = await admin.graphql(pageType === "collection" ? COLLECTIONS_QUERY : PRODUCTS_QUERY, {
+    variables: { first, after: after || null, query: query || null, sortKey, reverse }
+  });
+  const json = await response.json();
+  if (json.errors?.length) {
+    throw new Error(`Failed to load ${dataPath}: ${json.errors[0].message}`);
+  }
+
+  const connection = json.data[dataPath];
+  return {
+    items: connection.edges.map((edge) => edge.node),
+    pageInfo: {
+      hasNextPage: connection.pageInfo.hasNextPage,
+      endCursor: connection.pageInfo.endCursor,
+    },
+  };
+};
+
+const SHOP_DOMAIN_QUERY = `
+  query getShopDomain {
+    shop {
+      primaryDomain {
+        url
+      }
+    }
+  }
+`;
+
+// The storefront's primary domain, e.g. for building item URLs in previews.
+export const fetchStorefrontUrl = async (admin) => {
+  const response = await admin.graphql(SHOP_DOMAIN_QUERY);
+  const json = await response.json();
+  return json.data?.shop?.primaryDomain?.url || null;
+};
+
+export const fetchItem = async (admin, id) => {
+  const response = await admin.graphql(ITEM_QUERY, { variables: { id } });
+  const json = await response.json();
+  const node = json.data?.node;
+  return node ? { ...node, currencyCode: json.data.shop?.currencyCode } : null;
+};
+
+// Normalizes product media and collection images to `{ id, url, alt }`.
+// Non-image media (videos, 3D models) have no alt text of their own here.
+export const getItemImages = (node, pageType) => {
+  if (pageType === "collection") {
+    return node.image
+      ? [{ id: node.image.id, url: node.image.url, alt: node.image.altText || "" }]
+      : [];
+  }
+
+  return (node.media?.nodes || [])
+    .filter((media) => media.id && media.image)
+    .map((media) => ({ id: media.id, url: media.image.url, alt: media.alt || "" }));
+};
+
+const withItem = (pageType) => (item) =>
+  getItemImages(item, pageType).map((image) => ({
+    ...image,
+    itemId: item.id,
+    itemTitle: item.title,
+    pageType,
+  }));
+
+// Scans at most `maxPages` pages of each type; `complete` is false when the
+// catalog has more items than that.
+export const fetchAllImages = async (admin, { maxPages } = {}) => {
+  const [products, collections] = await Promise.all([
+    fetchPages(admin, PRODUCT_IMAGES_QUERY, "products", { first: 25, maxPages }),
+    fetchPages(admin, COLLECTION_IMAGES_QUERY, "collections", { maxPages }),
+  ]);
+
+  return {
+    images: [...products.items.flatMap(withItem("product")), ...collections.items.flatMap(withItem("collection"))],
+    complete: !products.hasNextPage && !collections.hasNextPage,
+  };
+};
+
+const ITEM_IMAGES_QUERY = `
+  query getItemImages($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        title
+        media(first: 20) {
+          nodes {
+            ... on MediaImage {
+              id
+              alt
+              image {
+                url
+              }
+            }
+          }
+        }
+      }
+      ... on Collection {
+        id
+        title
+        image {
+          id
+          url
+          altText
+        }
+      }
+    }
+  }
+`;
+
+// Images of just the given items, in batches of the `nodes` limit.
+export const fetchItemImages = async (admin, ids) => {
+  const images = [];
+  for (let start = 0; start < ids.length; start += 250) {
+    const response = await admin.graphql(ITEM_IMAGES_QUERY, { variables: { ids: ids.slice(start, start + 250) } });
+    const json = await response.json();
+    (json.data?.nodes || []).filter(Boolean).forEach((node) => {
+      images.push(...withItem(node.id.includes("/Collection/") ? "collection" : "product")(node));
+    });
+  }
+  return images;
+};
@@ -0,0 +1,55 @@
+import { Badge, BlockStack, Button, Card, InlineStack, Text, TextField, Thumbnail } from "@shopify/polaris";
+
+export const ALT_TEXT_LIMIT = 125;
+
+export default function AltTextEditor({ images, onChange, onPublish, isPublishing }) {
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingMd" as="h2">Generated Alt Text</Text>
+          <Badge>{`${images.length} image${images.length === 1 ? "" : "s"}`}</Badge>
+        </InlineStack>
+
+        {images.map((image) => (
+          <InlineStack key={image.id} gap="400" wrap={false} blockAlign="start">
+            <Thumbnail source={image.url} alt={image.alt} size="large" />
+            <div style={{ flex: 1 }}>
+              <BlockStack gap="200">
+                {image.alt ? (
+                  <Text variant="bodySm" tone="subdued">Current: {image.alt}</Text>
+                ) : (
+                  <InlineStack>
+                    <Badge tone="warning">Missing alt text</Badge>
+                  </InlineStack>
+                )}
+                <TextField
+                  label="Alt text"
+                  labelHidden
+                  value={image.generated}
+                  onChange={(value) => onChange(image.id, value)}
+                  autoComplete="off"
+                  showCharacterCount
+                  error={image.generated.length > ALT_TEXT_LIMIT
+                    ? `Screen readers work best with alt text under ${ALT_TEXT_LIMIT} characters`
+                    : undefined}
+                />
+              </BlockStack>
+            </div>
+          </InlineStack>
+        ))}
+
+        <InlineStack align="end">
+          <Button
+            variant="primary"
+            onClick={onPublish}
+            loading={isPublishing}
+            disabled={isPublishing || images.every((image) => !image.generated.trim())}
+          >
+            {isPublishing ? "Publishing..." : "Publish alt text to Shopify"}
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,278 @@
+import { useEffect, useRef, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+import {
+  Badge,
+  BlockStack,
+  Button,
+  Card,
+  Checkbox,
+  Collapsible,
+  InlineStack,
+  Modal,
+  ProgressBar,
+  Text,
+  TextField,
+} from "@shopify/polaris";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { BULK_ACTIONS, BULK_FIELDS, buildBulkItems } from "../bulk-action-types";
+
+const STATUS_BADGES = {
+  pending: { tone: undefined, label: "Waiting" },
+  running: { tone: "attention", label: "Running" },
+  succeeded: { tone: "success", label: "Done" },
+  skipped: { tone: "info", label: "Skipped" },
+  failed: { tone: "critical", label: "Failed" },
+  cancelled: { tone: undefined, label: "Cancelled" },
+};
+
+const isActive = (bulkAction) => bulkAction?.status === "queued" || bulkAction?.status === "running";
+
+const downloadReport = async (bulkAction) => {
+  const response = await fetch(`/app/api/bulk_actions?id=${bulkAction.id}&format=csv`);
+  if (!response.ok) {
+    throw new Error("The report could not be downloaded");
+  }
+
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${bulkAction.type}-${new Date(bulkAction.createdAt).toISOString().slice(0, 10)}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Selection bar, progress and report for bulk actions on the dashboard.
+// Versions recorded by the action are handed to `onVersions` as they arrive.
+// With `allMatching` the action applies to every item matching `filters`,
+// including ones not loaded yet, which the server looks up when it starts.
+export default function BulkActions({
+  selectedItems,
+  matchingCount,
+  allMatching = false,
+  allMatchingSelected,
+  filters,
+  onSelectAllMatching,
+  onClearSelection,
+  initialBulkAction,
+  onVersions,
+  hasMoreItems = false,
+}) {
+  const startFetcher = useFetcher();
+  const progressFetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [bulkAction, setBulkAction] = useState(initialBulkAction);
+  const [pendingType, setPendingType] = useState(null);
+  const [seoKeywords, setSeoKeywords] = useState("");
+  const [showReport, setShowReport] = useState(false);
+  const appliedVersions = useRef(new Set((initialBulkAction?.versions || []).map((version) => version.id)));
+  // The dashboard passes new callbacks on every render.
+  const callbacks = useRef({ onClearSelection, onVersions });
+  callbacks.current = { onClearSelection, onVersions };
+
+  useEffect(() => {
+    if (startFetcher.data?.success) {
+      shopify.toast.show(startFetcher.data.message);
+      setBulkAction(startFetcher.data.bulkAction);
+      setShowReport(false);
+      setPendingType(null);
+      callbacks.current.onClearSelection();
+    } else if (startFetcher.data?.success === false) {
+      shopify.toast.show("Error: " + startFetcher.data.error, { isError: true });
+    }
+  }, [startFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (progressFetcher.data?.bulkAction) {
+      setBulkAction(progressFetcher.data.bulkAction);
+    }
+  }, [progressFetcher.data]);
+
+  useEffect(() => {
+    const versions = (bulkAction?.versions || []).filter((version) => !appliedVersions.current.has(version.id));
+    if (versions.length === 0) return;
+    versions.forEach((version) => appliedVersions.current.add(version.id));
+    callbacks.current.onVersions(versions);
+  }, [bulkAction]);
+
+  // Keep progress fresh while the action is running.
+  useEffect(() => {
+    if (!isActive(bulkAction)) return;
+    const interval = setInterval(() => {
+      if (progressFetcher.state === "idle") progressFetcher.load(`/app/api/bulk_actions?id=${bulkAction.id}`);
+    }, 2000);
+    return () => clearInterval(interval);
+  }, [bulkAction, progressFetcher]);
+
+  const pendingItems = pendingType ? buildBulkItems(pendingType, selectedItems) : [];
+  const pendingItemCount = new Set(pendingItems.map((item) => item.itemId)).size;
+  const running = isActive(bulkAction);
+  const isStarting = startFetcher.state !== "idle";
+
+  const hasSelection = allMatching || selectedItems.length > 0;
+
+  const handleStart = () => {
+    startFetcher.submit(
+      allMatching
+        ? { action: "create", type: pendingType, seoKeywords, allMatching: true, filters }
+        : { action: "create", type: pendingType, seoKeywords, items: pendingItems },
+      { method: "POST", action: "/app/api/bulk_actions", encType: "application/json" }
+    );
+  };
+
+  const handleCancel = () => {
+    startFetcher.submit(
+      { action: "cancel", id: bulkAction.id },
+      { method: "POST", action: "/app/api/bulk_actions", encType: "application/json" }
+    );
+  };
+
+  const handleDownload = () => {
+    downloadReport(bulkAction).catch((error) => shopify.toast.show(error.message, { isError: true }));
+  };
+
+  const counts = bulkAction?.counts || {};
+  const total = bulkAction?.items.length || 0;
+  const done = total - (counts.pending || 0) - (counts.running || 0);
+
+  return (
+    <>
+      <Card>
+        <BlockStack gap="300">
+          <InlineStack align="space-between" blockAlign="center" gap="300">
+            <InlineStack gap="400" blockAlign="center">
+              <Checkbox
+                label={hasMoreItems
+                  ? "Select all items matching the current filters"
+                  : `Select all ${matchingCount} matching item${matchingCount === 1 ? "" : "s"}`}
+                checked={allMatchingSelected ? true : selectedItems.length > 0 ? "indeterminate" : false}
+                onChange={onSelectAllMatching}
+                disabled={matchingCount === 0}
+              />
+              {hasSelection && (
+                <>
+                  <Text variant="bodySm" tone="subdued">
+                    {allMatching ? "All matching items selected" : `${selectedItems.length} selected`}
+                  </Text>
+                  <Button variant="plain" onClick={onClearSelection}>Clear selection</Button>
+                </>
+              )}
+            </InlineStack>
+            <InlineStack gap="200">
+              {Object.entries(BULK_ACTIONS).map(([type, { label }]) => (
+                <Button
+                  key={type}
+                  size="slim"
+                  tone={type.startsWith("revert") ? "critical" : undefined}
+                  disabled={!hasSelection || running}
+                  onClick={() => setPendingType(type)}
+                >
+                  {label}
+                </Button>
+              ))}
+            </InlineStack>
+          </InlineStack>
+
+          {bulkAction && (
+            <BlockStack gap="200">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingSm" as="h3">
+                  {`${BULK_ACTIONS[bulkAction.type]?.label || bulkAction.type} · ${new Date(bulkAction.createdAt).toLocaleString()}`}
+                </Text>
+                <InlineStack gap="200">
+                  <Button size="slim" onClick={() => setShowReport(!showReport)}>
+                    {showReport ? "Hide report" : "Show report"}
+                  </Button>
+                  {!running && (
+                    <Button size="slim" onClick={handleDownload}>
+                      {bulkAction.type === "export" ? "Download CSV" : "Download report"}
+                    </Button>
+                  )}
+                  {running && (
+                    <Button size="slim" tone="critical" onClick={handleCancel} disabled={isStarting}>
+                      Cancel
+                    </Button>
+                  )}
+                </InlineStack>
+              </InlineStack>
+              <ProgressBar progress={total ? Math.round((done / total) * 100) : 0} size="small" />
+              <Text variant="bodySm">
+                {`${done} of ${total} done · ${counts.succeeded || 0} succeeded · ${counts.skipped || 0} skipped · ${counts.failed || 0} failed`}
+                {counts.cancelled ? ` · ${counts.cancelled} cancelled` : ""}
+              </Text>
+              <Collapsible open={showReport} id={`bulk-report-${bulkAction.id}`}>
+                <div style={{ maxHeight: "320px", overflowY: "auto" }}>
+                  <BlockStack gap="100">
+                    {bulkAction.items.map((item) => {
+                      const badge = STATUS_BADGES[item.status] || { label: item.status };
+                      return (
+                        <InlineStack key={item.id} gap="200" blockAlign="center" wrap={false}>
+                          <Badge tone={badge.tone} size="small">{badge.label}</Badge>
+                          <Text variant="bodySm" fontWeight="semibold">
+                            {`${item.title} · ${BULK_FIELDS[item.contentType]?.label || item.contentType}`}
+                          </Text>
+                          {(item.error || item.result) && (
+                            <Text variant="bodySm" tone={item.error ? "critical" : "subdued"}>{item.error || item.result}</Text>
+                          )}
+                        </InlineStack>
+                      );
+                    })}
+                  </BlockStack>
+                </div>
+              </Collapsible>
+            </BlockStack>
+          )}
+        </BlockStack>
+      </Card>
+
+      <Modal
+        open={!!pendingType}
+        onClose={() => setPendingType(null)}
+        title={!pendingType ? "" : allMatching
+          ? `${BULK_ACTIONS[pendingType].label} on all matching items`
+          : `${BULK_ACTIONS[pendingType].label} on ${pendingItemCount} item${pendingItemCount === 1 ? "" : "s"}`}
+        primaryAction={{
+          content: "Start",
+          destructive: pendingType?.startsWith("revert"),
+          loading: isStarting,
+          disabled: !allMatching && pendingItems.length === 0,
+          onAction: handleStart,
+        }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setPendingType(null) }]}
+      >
+        <Modal.Section>
+          {pendingType && (
+            <BlockStack gap="300">
+              <Text variant="bodyMd">{BULK_ACTIONS[pendingType].confirm}</Text>
+              {allMatching ? (
+                <Text variant="bodySm" tone="subdued">
+                  Every item matching the current filters is included, also those not loaded yet. Items with nothing to {pendingType === "export" ? "export" : "change"} are left alone.
+                </Text>
+              ) : (
+                <Text variant="bodySm" tone="subdued">
+                  {`${pendingItems.length} field${pendingItems.length === 1 ? "" : "s"} will be processed.`}
+                  {selectedItems.length > pendingItemCount
+                    ? ` ${selectedItems.length - pendingItemCount} selected item${selectedItems.length - pendingItemCount === 1 ? " has" : "s have"} nothing to ${pendingType === "export" ? "export" : "change"} and will be left alone.`
+                    : ""}
+                </Text>
+              )}
+              {pendingType.startsWith("revert") && (
+                <Text variant="bodySm" tone="subdued">
+                  Fields edited in Shopify since this page loaded are skipped and listed in the report.
+                </Text>
+              )}
+              {pendingType === "regenerate" && (
+                <TextField
+                  label="SEO keywords"
+                  value={seoKeywords}
+                  onChange={setSeoKeywords}
+                  autoComplete="off"
+                  helpText="Only used for fields without keywords from their last generation"
+                />
+              )}
+            </BlockStack>
+          )}
+        </Modal.Section>
+      </Modal>
+    </>
+  );
+}
@@ -0,0 +1,74 @@
+import { Badge, BlockStack, Button, Card, InlineStack, Text } from "@shopify/polaris";
+
+const BLOCK_PATTERN = /<(p|ul|ol|h[1-6]|blockquote)(?:\s[^>]*)?>[\s\S]*?<\/\1>/gi;
+
+const toPlainText = (html) => html.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+
+// Splits formatted description HTML into its top-level paragraphs and lists.
+const splitBlocks = (html) => html.match(BLOCK_PATTERN) || [html];
+
+export default function CandidateComparison({ candidates, contentType, selectedIndex, onUse, onInsert }) {
+  const isHtml = contentType === "description";
+
+  return (
+    <div style={{
+      display: "grid",
+      gridTemplateColumns: `repeat(${Math.min(candidates.length, 3)}, minmax(0, 1fr))`,
+      gap: "16px"
+    }}>
+      {candidates.map((candidate, index) => (
+        <Card key={index}>
+          <BlockStack gap="300">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="headingSm" as="h3">Variant {index + 1}</Text>
+              <InlineStack gap="100">
+                {selectedIndex === index && <Badge tone="success">In editor</Badge>}
+                <Badge>{`${toPlainText(candidate).length} chars`}</Badge>
+              </InlineStack>
+            </InlineStack>
+
+            {isHtml ? (
+              <BlockStack gap="200">
+                {splitBlocks(candidate).map((block, blockIndex) => (
+                  <div
+                    key={blockIndex}
+                    style={{
+                      padding: "8px 12px",
+                      background: "#f9fafb",
+                      borderRadius: "8px",
+                      border: "1px solid #e5e7eb",
+                      fontSize: "13px"
+                    }}
+                  >
+                    <div dangerouslySetInnerHTML={{ __html: block }} />
+                    <div style={{ marginTop: "6px", textAlign: "right" }}>
+                      <Button size="micro" variant="plain" onClick={() => onInsert(block)}>
+                        Add to editor
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </BlockStack>
+            ) : (
+              <div style={{
+                padding: "12px",
+                background: "#f9fafb",
+                borderRadius: "8px",
+                border: "1px solid #e5e7eb",
+                whiteSpace: "pre-wrap",
+                fontSize: "13px",
+                lineHeight: "1.5"
+              }}>
+                {candidate}
+              </div>
+            )}
+
+            <Button onClick={() => onUse(index)} disabled={selectedIndex === index} fullWidth>
+              Use this variant
+            </Button>
+          </BlockStack>
+        </Card>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Badge, BlockStack, Button, Card, InlineStack, Text } from "@shopify/polaris";
+
+const STATUS_BADGES = {
+  queued: { tone: "attention", label: "Syncing" },
+  running: { tone: "attention", label: "Syncing" },
+  completed: { tone: "success", label: "Up to date" },
+  failed: { tone: "critical", label: "Sync failed" },
+};
+
+const isSyncing = (catalogSync) => catalogSync?.status === "queued" || catalogSync?.status === "running";
+
+// When the catalog mirror was last synced, with a manual resync. Webhooks
+// keep it fresh in between, so a resync is only needed to recover from
+// missed updates.
+export default function CatalogSync({ catalogSync: initialSync }) {
+  const resyncFetcher = useFetcher();
+  const progressFetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [catalogSync, setCatalogSync] = useState(initialSync);
+
+  useEffect(() => {
+    if (resyncFetcher.data?.success) {
+      shopify.toast.show(resyncFetcher.data.message);
+      setCatalogSync(resyncFetcher.data.catalogSync);
+    } else if (resyncFetcher.data?.success === false) {
+      shopify.toast.show("Error: " + resyncFetcher.data.error, { isError: true });
+    }
+  }, [resyncFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (progressFetcher.data?.catalogSync) {
+      setCatalogSync(progressFetcher.data.catalogSync);
+    }
+  }, [progressFetcher.data]);
+
+  // Keep the status fresh while a sync is running.
+  useEffect(() => {
+    if (!isSyncing(catalogSync)) return;
+    const interval = setInterval(() => {
+      if (progressFetcher.state === "idle") progressFetcher.load("/app/api/catalog_sync");
+    }, 5000);
+    return () => clearInterval(interval);
+  }, [catalogSync, progressFetcher]);
+
+  const syncing = isSyncing(catalogSync);
+  const badge = STATUS_BADGES[catalogSync?.status];
+
+  const handleResync = () => {
+    resyncFetcher.submit({}, { method: "POST", action: "/app/api/catalog_sync", encType: "application/json" });
+  };
+
+  return (
+    <Card>
+      <InlineStack align="space-between" blockAlign="center" gap="300">
+        <BlockStack gap="100">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingSm" as="h2">Catalog</Text>
+            {badge && <Badge tone={badge.tone} size="small">{badge.label}</Badge>}
+          </InlineStack>
+          <Text variant="bodySm" tone="subdued">
+            {catalogSync?.lastSyncedAt
+              ? `Last synced ${new Date(catalogSync.lastSyncedAt).toLocaleString()}`
+              : "Search and filters read your products and collections from Shopify until the first sync finishes."}
+            {syncing && catalogSync.pageType ? ` · Syncing ${catalogSync.pageType}s` : ""}
+          </Text>
+          {catalogSync?.status === "failed" && catalogSync.error && (
+            <Text variant="bodySm" tone="critical">{catalogSync.error}</Text>
+          )}
+        </BlockStack>
+        <Button size="slim" onClick={handleResync} loading={resyncFetcher.state !== "idle"} disabled={syncing}>
+          Resync
+        </Button>
+      </InlineStack>
+    </Card>
+  );
+}
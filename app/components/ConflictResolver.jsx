@@ -0,0 +1,89 @@
+import { Banner, BlockStack, InlineGrid, Modal, Text } from "@shopify/polaris";
+import { htmlToText } from "../content-normalizer";
+
+const FIELD_LABELS = {
+  description: "description",
+  "seo-description": "SEO description",
+  seo: "SEO description",
+  "seo-title": "SEO title",
+  "alt-text": "alt text",
+};
+
+const getFieldLabel = (contentType) =>
+  contentType.startsWith("translation:")
+    ? `${contentType.slice("translation:".length).toUpperCase()} translation`
+    : FIELD_LABELS[contentType] || contentType;
+
+// Alt text and translations are stored as JSON and shown one line per image
+// or translated field.
+const toDisplayText = (contentType, content) => {
+  try {
+    if (contentType === "alt-text") {
+      return JSON.parse(content || "[]").map((image, index) => `Image ${index + 1}: ${image.alt || "(empty)"}`).join("\n");
+    }
+    if (contentType.startsWith("translation:")) {
+      return Object.entries(JSON.parse(content || "{}"))
+        .map(([key, value]) => `${key}: ${value === null ? "(not translated)" : htmlToText(value)}`)
+        .join("\n");
+    }
+  } catch {
+    return content || "";
+  }
+  return htmlToText(content || "");
+};
+
+const Column = ({ title, caption, text }) => (
+  <BlockStack gap="100">
+    <Text variant="headingSm" as="h3">{title}</Text>
+    <Text variant="bodySm" tone="subdued">{caption}</Text>
+    <div
+      style={{
+        maxHeight: "320px",
+        overflowY: "auto",
+        padding: "12px",
+        background: "#f9fafb",
+        border: "1px solid #e5e7eb",
+        borderRadius: "8px",
+        whiteSpace: "pre-wrap"
+      }}
+    >
+      <Text variant="bodySm">{text || "(empty)"}</Text>
+    </div>
+  </BlockStack>
+);
+
+// Three-way view for a field that changed in Shopify after the page loaded:
+// what the merchant saw, what Shopify holds now and what we were about to write.
+export default function ConflictResolver({ conflict, incomingLabel = "Your draft", loading, onKeepOurs, onKeepTheirs, onEdit, onClose }) {
+  if (!conflict) return null;
+
+  const field = getFieldLabel(conflict.contentType);
+  const display = (content) => toDisplayText(conflict.contentType, content);
+
+  return (
+    <Modal
+      open
+      size="large"
+      title={`The ${field} changed in Shopify`}
+      onClose={onClose}
+      primaryAction={{ content: `Overwrite with ${incomingLabel.toLowerCase()}`, destructive: true, loading, onAction: onKeepOurs }}
+      secondaryActions={[
+        { content: "Keep Shopify's version", disabled: loading, onAction: onKeepTheirs },
+        ...(onEdit ? [{ content: "Edit before publishing", disabled: loading, onAction: onEdit }] : [])
+      ]}
+    >
+      <Modal.Section>
+        <BlockStack gap="400">
+          <Banner tone="warning">
+            <p>Someone edited this {field} after you opened the page. Overwriting discards their change.</p>
+          </Banner>
+          <InlineGrid columns={{ xs: 1, md: 3 }} gap="400">
+            <Column title="When you loaded it" caption="The version your change was based on" text={display(conflict.base)} />
+            <Column title="Now in Shopify" caption="Includes the other edit" text={display(conflict.current)} />
+            <Column title={incomingLabel} caption="What will be published if you overwrite" text={display(conflict.incoming)} />
+          </InlineGrid>
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
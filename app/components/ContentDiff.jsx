@@ -0,0 +1,96 @@
+import { useState } from "react";
+import { Badge, BlockStack, Button, ButtonGroup, Checkbox, InlineStack, Text } from "@shopify/polaris";
+import { diffWords, summarizeDiff } from "../text-diff";
+
+const STYLES = {
+  insert: { background: "#dcfce7", color: "#166534", borderRadius: "3px" },
+  delete: { background: "#fee2e2", color: "#991b1b", textDecoration: "line-through", borderRadius: "3px" },
+  changeBefore: { background: "#fef3c7", color: "#92400e", textDecoration: "line-through", borderRadius: "3px" },
+  changeAfter: { background: "#fef3c7", color: "#92400e", borderRadius: "3px" },
+};
+
+const paneStyle = {
+  padding: "16px",
+  background: "#fff",
+  border: "1px solid #e5e7eb",
+  borderRadius: "8px",
+  maxHeight: "360px",
+  overflowY: "auto",
+  whiteSpace: "pre-wrap",
+  wordBreak: "break-word",
+  lineHeight: 1.6,
+  fontSize: "14px",
+};
+
+// Inline shows both sides in one text; side by side keeps each version whole.
+const renderOps = (ops, side) =>
+  ops.map((op, index) => {
+    if (op.type === "equal") return <span key={index}>{op.value}</span>;
+    if (op.type === "change") {
+      if (side === "before") return <span key={index} style={STYLES.changeBefore}>{op.before}</span>;
+      if (side === "after") return <span key={index} style={STYLES.changeAfter}>{op.after}</span>;
+      return (
+        <span key={index}>
+          <span style={STYLES.changeBefore}>{op.before}</span>
+          <span style={STYLES.changeAfter}>{op.after}</span>
+        </span>
+      );
+    }
+    if (op.type === "insert" && side === "before") return null;
+    if (op.type === "delete" && side === "after") return null;
+    return <span key={index} style={STYLES[op.type]}>{op.value}</span>;
+  });
+
+// Word-level diff between two versions of a field. Compares the normalized
+// text by default; markup changes can be included.
+export default function ContentDiff({ before, after, beforeLabel = "Before", afterLabel = "After", allowMarkup = true }) {
+  const [mode, setMode] = useState("inline");
+  const [showMarkup, setShowMarkup] = useState(false);
+
+  const ops = diffWords(before, after, { markup: showMarkup });
+  const { inserted, deleted, changed } = summarizeDiff(ops);
+  const hasChanges = inserted + deleted + changed > 0;
+
+  return (
+    <BlockStack gap="300">
+      <InlineStack align="space-between" blockAlign="center">
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="headingSm" as="h3">Changes</Text>
+          {hasChanges ? (
+            <>
+              {inserted > 0 && <Badge tone="success">{`+${inserted} added`}</Badge>}
+              {deleted > 0 && <Badge tone="critical">{`−${deleted} removed`}</Badge>}
+              {changed > 0 && <Badge tone="warning">{`${changed} changed`}</Badge>}
+            </>
+          ) : (
+            <Badge>{showMarkup ? "Identical" : "Same text"}</Badge>
+          )}
+        </InlineStack>
+        <InlineStack gap="300" blockAlign="center">
+          {allowMarkup && (
+            <Checkbox label="Show markup changes" checked={showMarkup} onChange={setShowMarkup} />
+          )}
+          <ButtonGroup variant="segmented">
+            <Button size="slim" pressed={mode === "inline"} onClick={() => setMode("inline")}>Inline</Button>
+            <Button size="slim" pressed={mode === "split"} onClick={() => setMode("split")}>Side by side</Button>
+          </ButtonGroup>
+        </InlineStack>
+      </InlineStack>
+
+      {mode === "inline" ? (
+        <div style={paneStyle}>{renderOps(ops, "both")}</div>
+      ) : (
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
+          <BlockStack gap="100">
+            <Text variant="bodySm" tone="subdued">{beforeLabel}</Text>
+            <div style={paneStyle}>{renderOps(ops, "before")}</div>
+          </BlockStack>
+          <BlockStack gap="100">
+            <Text variant="bodySm" tone="subdued">{afterLabel}</Text>
+            <div style={paneStyle}>{renderOps(ops, "after")}</div>
+          </BlockStack>
+        </div>
+      )}
+    </BlockStack>
+  );
+}
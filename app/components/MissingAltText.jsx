@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { Badge, BlockStack, Button, Card, InlineStack, Text, Thumbnail } from "@shopify/polaris";
+
+const COLLAPSED_COUNT = 6;
+
+// Images across the catalog that have no alt text yet, grouped by the item
+// they belong to so alt text can be generated for the whole item at once.
+// `complete` is false when only part of a large catalog was checked.
+export default function MissingAltText({ images, complete = true, onGenerate }) {
+  const [showAll, setShowAll] = useState(false);
+
+  const groups = Object.values(
+    images.reduce((acc, image) => {
+      acc[image.itemId] ??= { itemId: image.itemId, itemTitle: image.itemTitle, pageType: image.pageType, images: [] };
+      acc[image.itemId].images.push(image);
+      return acc;
+    }, {})
+  );
+  const visibleGroups = showAll ? groups : groups.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text variant="headingMd" as="h2">Images missing alt text</Text>
+            <Text variant="bodySm" tone="subdued">
+              {images.length} image{images.length === 1 ? "" : "s"} across {groups.length} item{groups.length === 1 ? "" : "s"}
+              {complete ? "" : " among the first products and collections in your catalog"}
+            </Text>
+          </BlockStack>
+          {groups.length > COLLAPSED_COUNT && (
+            <Button size="slim" onClick={() => setShowAll(!showAll)}>
+              {showAll ? "Show less" : `Show all ${groups.length}`}
+            </Button>
+          )}
+        </InlineStack>
+
+        {visibleGroups.map((group) => (
+          <InlineStack key={group.itemId} align="space-between" blockAlign="center" wrap={false}>
+            <InlineStack gap="300" blockAlign="center" wrap={false}>
+              <InlineStack gap="100" wrap={false}>
+                {group.images.slice(0, 3).map((image) => (
+                  <Thumbnail key={image.id} source={image.url} alt="" size="small" />
+                ))}
+              </InlineStack>
+              <BlockStack gap="100">
+                <Text variant="bodyMd" fontWeight="semibold">{group.itemTitle}</Text>
+                <InlineStack gap="100">
+                  <Badge size="small">{group.pageType === "product" ? "Product" : "Collection"}</Badge>
+                  <Badge tone="warning" size="small">
+                    {`${group.images.length} missing`}
+                  </Badge>
+                </InlineStack>
+              </BlockStack>
+            </InlineStack>
+            <Button size="slim" onClick={() => onGenerate(group)}>Generate alt text</Button>
+          </InlineStack>
+        ))}
+      </BlockStack>
+    </Card>
+  );
+}
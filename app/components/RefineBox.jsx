@@ -0,0 +1,45 @@
+import { BlockStack, Button, InlineStack, Text, TextField } from "@shopify/polaris";
+
+const SUGGESTIONS = ["Shorter", "More detailed", "Less salesy", "Add a bullet list of materials"];
+
+export default function RefineBox({ instruction, onInstructionChange, onRefine, onUndo, undoCount, isRefining, disabled }) {
+  const canRefine = instruction.trim() && !disabled && !isRefining;
+
+  return (
+    <BlockStack gap="200">
+      <Text variant="headingSm" as="h3">Refine this draft</Text>
+      <TextField
+        label="Refine instruction"
+        labelHidden
+        value={instruction}
+        onChange={onInstructionChange}
+        placeholder='e.g. "shorter", "add a bullet list of materials", "less salesy"'
+        autoComplete="off"
+        disabled={isRefining}
+        connectedRight={
+          <Button onClick={onRefine} loading={isRefining} disabled={!canRefine}>
+            Refine
+          </Button>
+        }
+      />
+      <InlineStack gap="200" align="space-between" blockAlign="center">
+        <InlineStack gap="100">
+          {SUGGESTIONS.map((suggestion) => (
+            <Button
+              key={suggestion}
+              size="slim"
+              variant="tertiary"
+              onClick={() => onInstructionChange(suggestion.toLowerCase())}
+              disabled={isRefining}
+            >
+              {suggestion}
+            </Button>
+          ))}
+        </InlineStack>
+        <Button size="slim" onClick={onUndo} disabled={undoCount === 0 || isRefining}>
+          {undoCount > 0 ? `Undo (${undoCount})` : "Undo"}
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
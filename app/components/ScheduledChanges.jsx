@@ -0,0 +1,153 @@
+import { useEffect, useState } from "react";
+import { useFetcher } from "@remix-run/react";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Badge, BlockStack, Button, Card, InlineStack, Text, TextField } from "@shopify/polaris";
+import { htmlToText } from "../content-normalizer";
+
+const FIELD_LABELS = {
+  description: "Description",
+  "seo-description": "SEO Description",
+  "seo-title": "SEO Title",
+};
+
+const STATUS_BADGES = {
+  scheduled: { tone: "info", label: "Scheduled" },
+  publishing: { tone: "attention", label: "Publishing" },
+  failed: { tone: "critical", label: "Failed" },
+};
+
+const PREVIEW_LENGTH = 160;
+
+// `datetime-local` inputs want local time without a zone.
+const toLocalInput = (date) => {
+  const value = new Date(date);
+  const offset = value.getTimezoneOffset() * 60 * 1000;
+  return new Date(value.getTime() - offset).toISOString().slice(0, 16);
+};
+
+// Upcoming scheduled changes, edited and cancelled in place.
+export default function ScheduledChanges({ changes: initialChanges }) {
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [changes, setChanges] = useState(initialChanges);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    if (!fetcher.data) return;
+
+    if (!fetcher.data.success) {
+      shopify.toast.show(`Error: ${fetcher.data.error}`, { isError: true });
+      return;
+    }
+
+    shopify.toast.show(fetcher.data.message);
+    const { change, cancelledId } = fetcher.data;
+    setChanges((prev) => (cancelledId
+      ? prev.filter((item) => item.id !== cancelledId)
+      : prev.map((item) => (item.id === change.id ? change : item))));
+    setEditing(null);
+  }, [fetcher.data, shopify]);
+
+  const submit = (data) =>
+    fetcher.submit(data, { method: "POST", action: "/app/api/schedule", encType: "application/json" });
+
+  const pendingId = fetcher.state !== "idle" ? fetcher.json?.id : null;
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <BlockStack gap="100">
+          <Text variant="headingMd" as="h2">Scheduled changes</Text>
+          <Text variant="bodySm" tone="subdued">
+            {changes.length} change{changes.length === 1 ? "" : "s"} waiting to go live
+          </Text>
+        </BlockStack>
+
+        {changes.map((change) => {
+          const badge = STATUS_BADGES[change.status] || { label: change.status };
+          const isEditing = editing?.id === change.id;
+          const preview = htmlToText(change.content);
+
+          return (
+            <div key={change.id} style={{ paddingTop: "12px", borderTop: "1px solid #e5e7eb" }}>
+              <BlockStack gap="200">
+                <InlineStack align="space-between" blockAlign="center">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="bodyMd" fontWeight="semibold">{change.title}</Text>
+                    <Badge size="small">{FIELD_LABELS[change.contentType] || change.contentType}</Badge>
+                    <Badge tone={badge.tone} size="small">{badge.label}</Badge>
+                  </InlineStack>
+                  {change.status !== "publishing" && !isEditing && (
+                    <InlineStack gap="200">
+                      <Button
+                        size="slim"
+                        onClick={() => setEditing({ id: change.id, content: change.content, publishAt: toLocalInput(change.publishAt) })}
+                      >
+                        Edit
+                      </Button>
+                      <Button
+                        size="slim"
+                        tone="critical"
+                        loading={pendingId === change.id && fetcher.json?.action === "cancel"}
+                        onClick={() => submit({ action: "cancel", id: change.id })}
+                      >
+                        Cancel
+                      </Button>
+                    </InlineStack>
+                  )}
+                </InlineStack>
+
+                <Text variant="bodySm" tone="subdued">
+                  {`Publishes ${new Date(change.publishAt).toLocaleString()}`}
+                  {change.author ? ` · Scheduled by ${change.author}` : ""}
+                </Text>
+                {change.status === "failed" && change.error && (
+                  <Text variant="bodySm" tone="critical">{change.error}</Text>
+                )}
+
+                {isEditing ? (
+                  <BlockStack gap="200">
+                    <TextField
+                      label="Content"
+                      value={editing.content}
+                      onChange={(content) => setEditing({ ...editing, content })}
+                      multiline={change.contentType === "description" ? 6 : 2}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      type="datetime-local"
+                      label="Publish on"
+                      value={editing.publishAt}
+                      onChange={(publishAt) => setEditing({ ...editing, publishAt })}
+                      autoComplete="off"
+                    />
+                    <InlineStack gap="200">
+                      <Button
+                        variant="primary"
+                        loading={pendingId === change.id}
+                        disabled={!editing.content.trim() || !editing.publishAt}
+                        onClick={() => submit({
+                          action: "update",
+                          id: change.id,
+                          content: editing.content,
+                          publishAt: new Date(editing.publishAt).toISOString()
+                        })}
+                      >
+                        Save
+                      </Button>
+                      <Button onClick={() => setEditing(null)}>Discard</Button>
+                    </InlineStack>
+                  </BlockStack>
+                ) : (
+                  <Text variant="bodySm">
+                    {preview.length > PREVIEW_LENGTH ? `${preview.slice(0, PREVIEW_LENGTH)}…` : preview}
+                  </Text>
+                )}
+              </BlockStack>
+            </div>
+          );
+        })}
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,46 @@
+import { Badge, BlockStack, Checkbox, InlineStack, Text } from "@shopify/polaris";
+
+const STATUS_TONES = {
+  pass: { tone: "success", label: "Pass" },
+  warning: { tone: "warning", label: "Warning" },
+  error: { tone: "critical", label: "Error" },
+};
+
+const READABILITY_TONES = { Easy: "success", Standard: "success", "Fairly difficult": "attention", Difficult: "warning" };
+
+export default function SeoChecks({ validation, override, onOverrideChange }) {
+  const errorCount = validation.checks.filter((check) => check.status === "error").length;
+  const warningCount = validation.checks.filter((check) => check.status === "warning").length;
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack gap="200" blockAlign="center">
+        <Text variant="headingSm" as="h3">SEO checks</Text>
+        {errorCount > 0 && <Badge tone="critical">{`${errorCount} error${errorCount === 1 ? "" : "s"}`}</Badge>}
+        {warningCount > 0 && <Badge tone="warning">{`${warningCount} warning${warningCount === 1 ? "" : "s"}`}</Badge>}
+        {errorCount === 0 && warningCount === 0 && <Badge tone="success">All checks passed</Badge>}
+        {validation.readability && (
+          <Badge tone={READABILITY_TONES[validation.readability.label]}>
+            {`Readability ${validation.readability.score} · ${validation.readability.label}`}
+          </Badge>
+        )}
+      </InlineStack>
+
+      {validation.checks.map((check) => (
+        <InlineStack key={check.id} gap="200" blockAlign="center" wrap={false}>
+          <Badge tone={STATUS_TONES[check.status].tone}>{STATUS_TONES[check.status].label}</Badge>
+          <Text variant="bodySm" tone={check.status === "pass" ? "subdued" : undefined}>{check.message}</Text>
+        </InlineStack>
+      ))}
+
+      {validation.hasErrors && (
+        <Checkbox
+          label="Publish anyway"
+          helpText="Errors block publishing. Tick this to publish the draft as it is."
+          checked={override}
+          onChange={onOverrideChange}
+        />
+      )}
+    </BlockStack>
+  );
+}
@@ -0,0 +1,94 @@
+import { useState } from "react";
+import { BlockStack, Button, ButtonGroup, InlineStack, Text } from "@shopify/polaris";
+
+// Google cuts titles and descriptions by rendered width, not characters.
+// Widths are in pixels for Arial at the size Google uses on each device.
+const LAYOUTS = {
+  desktop: { width: 600, titleSize: 20, titleWidth: 580, descriptionWidth: 920 },
+  mobile: { width: 360, titleSize: 18, titleWidth: 620, descriptionWidth: 680 },
+};
+const DESCRIPTION_SIZE = 14;
+
+// Approximate Arial advance widths in em. Measured once instead of with a
+// canvas so the server and the browser render the same truncation.
+const CHAR_WIDTHS = [
+  [/[ijl|.,:;!'`]/, 0.24],
+  [/[ftrI()[\]{}\-/" ]/, 0.31],
+  [/[sczJ*]/, 0.47],
+  [/[mwMW@%]/, 0.86],
+  [/[A-Z&]/, 0.68],
+  [/[0-9a-z$#?_+=<>~^]/, 0.55],
+];
+
+const getTextWidth = (text, fontSize) =>
+  [...text].reduce((width, char) => {
+    const match = CHAR_WIDTHS.find(([pattern]) => pattern.test(char));
+    return width + (match ? match[1] : 0.6) * fontSize;
+  }, 0);
+
+export const truncateToWidth = (text, maxWidth, fontSize) => {
+  if (getTextWidth(text, fontSize) <= maxWidth) return text;
+
+  const available = maxWidth - getTextWidth(" ...", fontSize);
+  let cut = "";
+  for (const word of text.split(/\s+/)) {
+    const next = cut ? `${cut} ${word}` : word;
+    if (getTextWidth(next, fontSize) > available) break;
+    cut = next;
+  }
+  return `${(cut || text.slice(0, 10)).replace(/[\s,;:.-]+$/, "")} ...`;
+};
+
+export const buildItemUrl = (storefrontUrl, pageType, handle) =>
+  storefrontUrl && handle ? `${storefrontUrl.replace(/\/$/, "")}/${pageType === "collection" ? "collections" : "products"}/${handle}` : null;
+
+const formatBreadcrumb = (url) => {
+  const { hostname, pathname } = new URL(url);
+  return [hostname, ...pathname.split("/").filter(Boolean)].join(" › ");
+};
+
+export default function SerpPreview({ title, url, description }) {
+  const [device, setDevice] = useState("desktop");
+  const layout = LAYOUTS[device];
+  const siteName = url ? new URL(url).hostname.replace(/^www\./, "") : "";
+
+  return (
+    <BlockStack gap="200">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text variant="headingSm" as="h3">Search result preview</Text>
+        <ButtonGroup variant="segmented">
+          <Button size="slim" pressed={device === "desktop"} onClick={() => setDevice("desktop")}>Desktop</Button>
+          <Button size="slim" pressed={device === "mobile"} onClick={() => setDevice("mobile")}>Mobile</Button>
+        </ButtonGroup>
+      </InlineStack>
+      <div
+        style={{
+          maxWidth: `${layout.width}px`,
+          padding: "16px",
+          background: "#fff",
+          border: "1px solid #e5e7eb",
+          borderRadius: device === "mobile" ? "16px" : "8px",
+          fontFamily: "Arial, sans-serif"
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", gap: "10px", marginBottom: "6px" }}>
+          <div style={{ width: "26px", height: "26px", borderRadius: "50%", background: "#f1f3f4", flexShrink: 0 }} />
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontSize: "14px", color: "#202124" }}>{siteName}</div>
+            <div style={{ fontSize: "12px", color: "#4d5156", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+              {url ? formatBreadcrumb(url) : "Storefront URL unavailable"}
+            </div>
+          </div>
+        </div>
+        <div style={{ fontSize: `${layout.titleSize}px`, lineHeight: 1.3, color: "#1a0dab", marginBottom: "4px" }}>
+          {truncateToWidth(title || "", layout.titleWidth, layout.titleSize)}
+        </div>
+        <div style={{ fontSize: `${DESCRIPTION_SIZE}px`, lineHeight: 1.58, color: "#4d5156" }}>
+          {description
+            ? truncateToWidth(description, layout.descriptionWidth, DESCRIPTION_SIZE)
+            : "Google will pick a snippet from the page because there is no meta description."}
+        </div>
+      </div>
+    </BlockStack>
+  );
+}
@@ -0,0 +1,110 @@
+import { Badge, BlockStack, Button, InlineStack, Text } from "@shopify/polaris";
+import { htmlToText } from "../content-normalizer";
+
+const FIELD_LABELS = {
+  description: "Description",
+  "seo-description": "SEO Description",
+  "seo-title": "SEO Title",
+  "alt-text": "Alt Text",
+};
+
+const ACTION_BADGES = {
+  original: { tone: "info", label: "Original" },
+  publish: { tone: "success", label: "Published" },
+  edit: { tone: "attention", label: "Edited & published" },
+  bulk: { tone: "success", label: "Bulk generated" },
+  scheduled: { tone: "success", label: "Scheduled publish" },
+  revert: { tone: "warning", label: "Reverted" },
+  restore: { tone: "info", label: "Restored" },
+  manual: { tone: "warning", label: "Edited in Shopify" },
+};
+
+const PREVIEW_LENGTH = 160;
+
+const getFieldLabel = (contentType) =>
+  contentType.startsWith("translation:")
+    ? `Translation (${contentType.slice("translation:".length)})`
+    : FIELD_LABELS[contentType] || contentType;
+
+const parseJson = (content, fallback) => {
+  try {
+    return JSON.parse(content || "") ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const getPreview = ({ contentType, content }) => {
+  let text;
+  if (contentType === "alt-text") {
+    const images = parseJson(content, []);
+    text = `${images.length} image${images.length === 1 ? "" : "s"}: ${images.map((image) => image.alt || "(empty)").join(" · ")}`;
+  } else if (contentType.startsWith("translation:")) {
+    text = Object.values(parseJson(content, {})).map((value) => (value === null ? "(removed)" : htmlToText(value))).join(" · ");
+  } else {
+    text = htmlToText(content || "");
+  }
+
+  if (!text) return "(empty)";
+  return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+};
+
+// Newest first. The newest version of each field is what is live, so only
+// older ones can be restored.
+export default function VersionHistory({ versions, onRestore, restoringId }) {
+  if (versions.length === 0) {
+    return <Text variant="bodySm" tone="subdued">No changes have been recorded for this item yet.</Text>;
+  }
+
+  const liveIds = new Set();
+  const seenFields = new Set();
+  for (const version of versions) {
+    if (!seenFields.has(version.contentType)) liveIds.add(version.id);
+    seenFields.add(version.contentType);
+  }
+
+  return (
+    <BlockStack gap="0">
+      {versions.map((version, index) => {
+        const badge = ACTION_BADGES[version.action] || { label: version.action };
+        const isLive = liveIds.has(version.id);
+
+        return (
+          <div
+            key={version.id}
+            style={{
+              display: "flex",
+              gap: "12px",
+              padding: "12px 0",
+              borderBottom: index === versions.length - 1 ? "none" : "1px solid #e5e7eb"
+            }}
+          >
+            <div style={{ width: "10px", height: "10px", borderRadius: "50%", marginTop: "6px", flexShrink: 0, background: isLive ? "#16a34a" : "#cbd5e1" }} />
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <BlockStack gap="100">
+                <InlineStack align="space-between" blockAlign="center" wrap={false}>
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="bodyMd" fontWeight="semibold">{getFieldLabel(version.contentType)}</Text>
+                    <Badge tone={badge.tone}>{badge.label}</Badge>
+                    {isLive && <Badge tone="success">Live</Badge>}
+                  </InlineStack>
+                  {!isLive && (
+                    <Button size="micro" onClick={() => onRestore(version)} loading={restoringId === version.id}>
+                      Restore
+                    </Button>
+                  )}
+                </InlineStack>
+                <Text variant="bodySm" tone="subdued">
+                  {new Date(version.createdAt).toLocaleString()}
+                  {version.author ? ` · ${version.author}` : ""}
+                  {version.seoKeywords ? ` · Keywords: ${version.seoKeywords}` : ""}
+                </Text>
+                <Text variant="bodySm">{getPreview(version)}</Text>
+              </BlockStack>
+            </div>
+          </div>
+        );
+      })}
+    </BlockStack>
+  );
+}
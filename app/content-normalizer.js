@@ -0,0 +1,237 @@
+// Turns AI output (Markdown, plain text or HTML) into what we publish: plain
+// text for SEO fields and alt text, Shopify-safe HTML for descriptions.
+// Shared by the generator, bulk jobs, translations and the dashboard preview,
+// so what merchants see is what gets published.
+export const PLAIN_TEXT_TYPES = ["seo-description", "seo-title", "alt-text"];
+
+// Tags a description may keep. Everything else is unwrapped to its text, and
+// only `a` keeps an attribute.
+const ALLOWED_TAGS = new Set([
+  "p", "br", "strong", "em", "b", "i", "u", "ul", "ol", "li",
+  "h2", "h3", "h4", "h5", "h6", "blockquote", "a",
+]);
+const RENAMED_TAGS = { h1: "h2", div: "p" };
+const VOID_TAGS = new Set(["br"]);
+const BLOCK_TAGS = new Set(["p", "ul", "ol", "li", "h2", "h3", "h4", "h5", "h6", "blockquote"]);
+const DROPPED_ELEMENTS = /<(script|style|iframe|object|embed|template|noscript)\b[\s\S]*?(<\/\1\s*>|$)/gi;
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^<>]*)>/g;
+// Only block markup means the text is already laid out as HTML; inline tags
+// inside Markdown are left for the sanitizer.
+const HTML_PATTERN = /<\/?(p|br|ul|ol|li|h[1-6]|div|blockquote|table)\b[^<>]*>/i;
+
+// Tags that sit inside words, so removing them must not add a space.
+const INLINE_TAGS = new Set(["a", "abbr", "b", "code", "em", "i", "mark", "s", "small", "span", "strong", "sub", "sup", "u"]);
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&(?!(#\d+|#x[\da-f]+|[a-z]+);)/gi, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const decodeEntities = (text) =>
+  text.replace(/&(#\d+|#x[\da-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+
+const isHtml = (text) => HTML_PATTERN.test(text);
+
+// Removes every tag, inline or not, leaving entities for the caller to decode.
+const stripTags = (text) =>
+  text
+    .replace(DROPPED_ELEMENTS, "")
+    .replace(TAG_PATTERN, (tag, closing, name = "") => (INLINE_TAGS.has(name.toLowerCase()) ? "" : " "));
+
+const getResponseText = (response) => {
+  const text =
+    typeof response === "string"
+      ? response
+      : typeof response?.message === "string"
+      ? response.message
+      : JSON.stringify(response?.message || response || "", null, 2);
+
+  return text.replace(/\r\n?/g, "\n");
+};
+
+const getSafeHref = (attributes) => {
+  const match = attributes.match(/href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+  const href = decodeEntities((match?.[1] ?? match?.[2] ?? match?.[3] ?? "").trim());
+  return /^(https?:|mailto:|\/)/i.test(href) ? href.replace(/&/g, "&amp;").replace(/"/g, "%22") : null;
+};
+
+const closeUpTo = (open, name) => {
+  const index = open.lastIndexOf(name);
+  if (index === -1) return "";
+  return open.splice(index).reverse().map((tag) => `</${tag}>`).join("");
+};
+
+// Keeps allowed tags without their attributes, unwraps the rest and closes
+// anything the input left open.
+export const sanitizeHtml = (html) => {
+  const source = html.replace(DROPPED_ELEMENTS, "");
+  const open = [];
+  let output = "";
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    output += escapeHtml(source.slice(lastIndex, match.index));
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const [, closing, rawName = "", attributes = ""] = match;
+    const name = RENAMED_TAGS[rawName.toLowerCase()] || rawName.toLowerCase();
+    if (!ALLOWED_TAGS.has(name)) {
+      // Unwrapped block tags still separate their text from what follows.
+      if (/^(tr|td|th|section|article|header|footer)$/.test(name)) output += " ";
+      continue;
+    }
+
+    if (VOID_TAGS.has(name)) {
+      if (!closing) output += `<${name}>`;
+    } else if (closing) {
+      output += closeUpTo(open, name);
+    } else if (name === "a") {
+      const href = getSafeHref(attributes);
+      if (!href) continue;
+      output += `<a href="${href}">`;
+      open.push(name);
+    } else {
+      // Like a browser, a new block ends an open paragraph and a new list
+      // item ends the previous one.
+      if (BLOCK_TAGS.has(name)) output += closeUpTo(open, "p");
+      if (name === "li" && open[open.length - 1] === "li") output += closeUpTo(open, "li");
+      output += `<${name}>`;
+      open.push(name);
+    }
+  }
+
+  output += escapeHtml(source.slice(lastIndex));
+  output += open.reverse().map((tag) => `</${tag}>`).join("");
+
+  return output
+    .replace(/<(p|li|h[2-6]|strong|em|b|i|u)>(\s|&nbsp;|<br>)*<\/\1>/g, "")
+    .replace(/<a href="[^"]*">\s*<\/a>/g, "")
+    .trim();
+};
+
+// Escaping is left to `sanitizeHtml`, which runs on the converted output.
+const formatInline = (text) =>
+  text
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (_, label, url) => `<a href="${url.replace(/"/g, "%22")}">${label}</a>`)
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?=[^\w]|$)/g, "$1<strong>$2</strong>")
+    .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?=[^\w]|$)/g, "$1<em>$2</em>");
+
+const LIST_ITEM = /^\s*(?:([-*+•])|(\d+)[.)])\s+(.*)$/;
+
+// Markdown and plain text share one converter: every line that is not part
+// of a list, heading or quote becomes its own paragraph.
+const markdownToHtml = (text) => {
+  const blocks = [];
+  let list = null;
+
+  const closeList = () => {
+    if (!list) return;
+    blocks.push(`<${list.tag}>${list.items.map((item) => `<li>${item}</li>`).join("")}</${list.tag}>`);
+    list = null;
+  };
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+    const item = line.match(LIST_ITEM);
+    // A lone "*" or "-" line, or a horizontal rule, carries no content.
+    if (!line || /^([-*_])(\s*\1){2,}$/.test(line)) {
+      closeList();
+      continue;
+    }
+
+    if (item) {
+      const tag = item[1] ? "ul" : "ol";
+      if (list?.tag !== tag) {
+        closeList();
+        list = { tag, items: [] };
+      }
+      list.items.push(formatInline(item[3]));
+      continue;
+    }
+
+    closeList();
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      const level = Math.max(heading[1].length, 2);
+      blocks.push(`<h${level}>${formatInline(heading[2])}</h${level}>`);
+    } else if (line.startsWith(">")) {
+      blocks.push(`<blockquote>${formatInline(line.replace(/^>\s?/, ""))}</blockquote>`);
+    } else {
+      blocks.push(`<p>${formatInline(line)}</p>`);
+    }
+  }
+  closeList();
+
+  return blocks.join("");
+};
+
+// Clean Shopify-safe HTML from Markdown, plain text or HTML.
+export const toSafeHtml = (text) => {
+  if (!text?.trim()) return "";
+  return sanitizeHtml(isHtml(text) ? text : markdownToHtml(text.trim()));
+};
+
+// Readable text that keeps paragraphs, list bullets and line breaks, e.g.
+// for sending an existing draft back to the model.
+export const htmlToText = (html) =>
+  decodeEntities(
+    sanitizeHtml(html)
+      .replace(/<li>/g, "• ")
+      .replace(/<br>|<\/(p|li|h[2-6]|blockquote)>/g, "\n")
+      .replace(/<\/(ul|ol)>/g, "\n")
+      .replace(/<[^>]*>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const stripMarkdown = (text) =>
+  text
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+    .replace(/`([^`]+)`/g, "$1")
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, "$2")
+    .replace(/(^|[^*\w])\*(?=[^\s*])([^*]*?[^\s*])\*(?![*\w])/g, "$1$2")
+    .replace(/^\s*#{1,6}\s+/gm, "")
+    .replace(/^\s*>\s?/gm, "");
+
+const QUOTE_PAIRS = { "\"": "\"", "“": "”", "„": "“”", "'": "'", "‘": "’", "«": "»" };
+
+// A single line of plain text. Punctuation is kept; only quotes wrapping the
+// whole line, which models like to add, are removed.
+export const toPlainText = (text) => {
+  if (!text) return "";
+  const plain = isHtml(text) ? htmlToText(text) : decodeEntities(stripTags(stripMarkdown(text)));
+
+  return plain
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(["“„'‘«])(.*)(["”“'’»])$/, (line, open, inner, close) =>
+      QUOTE_PAIRS[open].includes(close) && !inner.includes(close) ? inner : line)
+    .trim();
+};
+
+export const normalizeContent = (response, contentType = null) => {
+  const text = getResponseText(response);
+  return PLAIN_TEXT_TYPES.includes(contentType) ? toPlainText(text) : toSafeHtml(text);
+};
+
+// Compares content the way merchants read it: markup, case and whitespace
+// differences do not count as a change.
+export const isSameContent = (a, b) => {
+  const clean = (value) => decodeEntities(stripTags(value || "")).replace(/\s+/g, " ").trim().toLowerCase();
+  return clean(a) === clean(b);
+};
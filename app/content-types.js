@@ -0,0 +1,45 @@
+// Where each text content type lives on a product or collection. Shared by
+// the generator, bulk jobs and the dashboard.
+export const SEO_TITLE_LIMIT = 60;
+
+export const getCurrentContent = (item, contentType) => {
+  switch (contentType) {
+    case "seo-description":
+      return item.seo?.description || "";
+    case "seo-title":
+      return item.seo?.title || "";
+    default:
+      return item.descriptionHtml || item.description || "";
+  }
+};
+
+// The reverse of `getCurrentContent`, for keeping a loaded item in step.
+export const withCurrentContent = (item, contentType, value) => {
+  switch (contentType) {
+    case "seo-description":
+      return { ...item, seo: { ...item.seo, description: value } };
+    case "seo-title":
+      return { ...item, seo: { ...item.seo, title: value } };
+    default:
+      return { ...item, description: value, descriptionHtml: value };
+  }
+};
+
+// Maps generated content to the fields `updateItemContent` accepts.
+export const getContentUpdate = (contentType, value) => {
+  switch (contentType) {
+    case "seo-description":
+      return { seoDescription: value };
+    case "seo-title":
+      return { seoTitle: value };
+    default:
+      return { description: value };
+  }
+};
+
+// Keys the Admin translations API uses for each text content type.
+export const TRANSLATION_KEYS = {
+  description: "body_html",
+  "seo-description": "meta_description",
+  "seo-title": "meta_title",
+};
@@ -0,0 +1,81 @@
+import prisma from "./db.server";
+import { fetchItem, getItemImages } from "./catalog.server";
+import { ContentError, parseAltTexts, updateImageAltTexts, updateItemContent } from "./content.server";
+import { getContentUpdate } from "./content-types";
+import { restoreTranslations } from "./translations.server";
+
+// Every change we make to an item's content is stored as a version, per item
+// and content type. The first version of a field is the content it had before
+// the app first touched it, recorded with the "original" action.
+export const VERSION_ACTIONS = ["original", "publish", "edit", "bulk", "scheduled", "revert", "restore", "manual"];
+
+// Online sessions carry the staff member's name; offline ones only know the
+// user ID from the session token.
+export const getAuthor = (session, sessionToken) => {
+  const name = [session?.firstName, session?.lastName].filter(Boolean).join(" ");
+  if (name || session?.email) return name || session.email;
+  return sessionToken?.sub ? `Staff ${sessionToken.sub}` : null;
+};
+
+export const recordVersion = async (shop, { itemId, pageType, contentType, content, previous, action, author, seoKeywords }) => {
+  if (!VERSION_ACTIONS.includes(action)) {
+    throw new Error(`Unknown version action: ${action}`);
+  }
+
+  const data = { shop, itemId, pageType, contentType, author: author || null, seoKeywords: seoKeywords?.trim() || null };
+
+  if (previous !== undefined) {
+    const existing = await prisma.contentVersion.count({ where: { shop, itemId, contentType } });
+    if (existing === 0) {
+      await prisma.contentVersion.create({ data: { ...data, content: previous || "", action: "original" } });
+    }
+  }
+
+  return prisma.contentVersion.create({ data: { ...data, content: content || "", action } });
+};
+
+export const listVersions = (shop, itemIds) =>
+  prisma.contentVersion.findMany({
+    where: { shop, ...(itemIds && { itemId: { in: itemIds } }) },
+    orderBy: { createdAt: "desc" },
+  });
+
+// Every item with a history, without loading the history itself.
+export const listVersionedItemIds = async (shop) =>
+  (await prisma.contentVersion.findMany({ where: { shop }, distinct: ["itemId"], select: { itemId: true } }))
+    .map((version) => version.itemId);
+
+export const getVersion = (shop, id) =>
+  prisma.contentVersion.findFirst({ where: { id, shop } });
+
+// The content a field had before the app first changed it.
+export const getOriginalVersion = (versions, itemId, contentType) =>
+  versions.find((version) =>
+    version.itemId === itemId && version.contentType === contentType && version.action === "original") || null;
+
+// Writes a stored version back to Shopify. Alt text only touches images the
+// item still has.
+export const applyVersion = async (admin, { shop, itemId, pageType, contentType, content }) => {
+  if (contentType.startsWith("translation:")) {
+    return restoreTranslations(admin, {
+      resourceId: itemId,
+      locale: contentType.slice("translation:".length),
+      previous: JSON.parse(content || "{}"),
+    });
+  }
+
+  if (contentType === "alt-text") {
+    const node = await fetchItem(admin, itemId);
+    if (!node) {
+      throw new ContentError(`This ${pageType} no longer exists`, 404);
+    }
+    const imageIds = getItemImages(node, pageType).map((image) => image.id);
+    const images = parseAltTexts(content).filter((image) => imageIds.includes(image.id));
+    if (images.length === 0) {
+      throw new ContentError(`None of these images belong to this ${pageType} anymore`, 409);
+    }
+    return updateImageAltTexts(admin, { itemId, pageType, images });
+  }
+
+  return updateItemContent(admin, { shop, itemId, pageType, ...getContentUpdate(contentType, content) });
+};
@@ -0,0 +1,312 @@
+import prisma from "./db.server";
+import { backendFetch } from "./ai-backend.server";
+
+export class ContentError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "ContentError";
+    this.status = status;
+  }
+}
+
+// Someone changed the content in Shopify after the client loaded it. Each
+// conflict carries the loaded value, Shopify's current one and ours, so the
+// client can offer a three-way resolution.
+export class ConflictError extends ContentError {
+  constructor(conflicts) {
+    super("This content was changed in Shopify after you loaded it.", 409);
+    this.name = "ConflictError";
+    this.conflicts = conflicts;
+  }
+}
+
+const UPDATE_MUTATIONS = {
+  product: `
+    mutation productUpdate($input: ProductInput!) {
+      productUpdate(input: $input) {
+        product {
+          id
+          title
+          description
+          descriptionHtml
+          seo {
+            description
+            title
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+  collection: `
+    mutation collectionUpdate($input: CollectionInput!) {
+      collectionUpdate(input: $input) {
+        collection {
+          id
+          title
+          description
+          descriptionHtml
+          seo {
+            description
+            title
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+};
+
+// The content we last wrote to each field, stored before the request since
+// the update webhook may beat both the response and the version recorded
+// after it. Only recent writes count: by the time one expires its version
+// exists, so older entries could only hide a genuine manual edit.
+const CONTENT_WRITE_TTL_MS = 10 * 60 * 1000;
+
+const recordContentWrites = (shop, itemId, fields) =>
+  prisma.$transaction(fields.map(([contentType, content]) =>
+    prisma.contentWrite.upsert({
+      where: { shop_itemId_contentType: { shop, itemId, contentType } },
+      create: { shop, itemId, contentType, content },
+      update: { content, writtenAt: new Date() },
+    })));
+
+export const getRecentWrites = async (shop, itemId) => {
+  const writes = await prisma.contentWrite.findMany({
+    where: { shop, itemId, writtenAt: { gte: new Date(Date.now() - CONTENT_WRITE_TTL_MS) } },
+  });
+  return Object.fromEntries(writes.map((write) => [write.contentType, write.content]));
+};
+
+// Any field may be set to an empty string, which clears it.
+export const updateItemContent = async (admin, { shop, itemId, pageType, description, seoDescription, seoTitle }) => {
+  const mutation = UPDATE_MUTATIONS[pageType];
+  if (!mutation) {
+    throw new ContentError("Invalid page type", 400);
+  }
+
+  await recordContentWrites(shop, itemId, [
+    ["description", description],
+    ["seo-description", seoDescription],
+    ["seo-title", seoTitle],
+  ].filter(([, content]) => content != null));
+
+  const response = await admin.graphql(mutation, {
+    variables: {
+      input: {
+        id: itemId,
+        ...(description != null && { descriptionHtml: description }),
+        ...((seoDescription != null || seoTitle != null) && {
+          seo: {
+            ...(seoDescription != null && { description: seoDescription }),
+            ...(seoTitle != null && { title: seoTitle })
+          }
+        })
+      }
+    }
+  });
+  const result = await response.json();
+  const data = result.data?.[`${pageType}Update`];
+
+  if (!data) {
+    throw new ContentError("No data returned from GraphQL mutation", 500);
+  }
+
+  if (data.userErrors?.length > 0) {
+    throw new ContentError(
+      data.userErrors.map(err => `${err.field}: ${err.message}`).join(", "),
+      400
+    );
+  }
+
+  return data[pageType];
+};
+
+const PRODUCT_MEDIA_MUTATION = `
+  mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+    productUpdateMedia(productId: $productId, media: $media) {
+      media {
+        id
+        alt
+      }
+      mediaUserErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const COLLECTION_IMAGE_MUTATION = `
+  mutation collectionUpdate($input: CollectionInput!) {
+    collectionUpdate(input: $input) {
+      collection {
+        id
+        image {
+          id
+          altText
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// `images` is a list of `{ id, alt }`: media IDs for products, the image ID
+// for a collection (which only ever has one image).
+export const updateImageAltTexts = async (admin, { itemId, pageType, images }) => {
+  if (!images?.length) {
+    throw new ContentError("No images to update", 400);
+  }
+
+  let data;
+  let errors;
+
+  if (pageType === "product") {
+    const response = await admin.graphql(PRODUCT_MEDIA_MUTATION, {
+      variables: {
+        productId: itemId,
+        media: images.map(({ id, alt }) => ({ id, alt: alt || "" }))
+      }
+    });
+    const result = await response.json();
+    data = result.data?.productUpdateMedia;
+    errors = data?.mediaUserErrors;
+  } else if (pageType === "collection") {
+    const [image] = images;
+    const response = await admin.graphql(COLLECTION_IMAGE_MUTATION, {
+      variables: {
+        input: { id: itemId, image: { id: image.id, altText: image.alt || "" } }
+      }
+    });
+    const result = await response.json();
+    data = result.data?.collectionUpdate;
+    errors = data?.userErrors;
+  } else {
+    throw new ContentError("Invalid page type", 400);
+  }
+
+  if (!data) {
+    throw new ContentError("No data returned from GraphQL mutation", 500);
+  }
+
+  if (errors?.length > 0) {
+    throw new ContentError(
+      errors.map(err => `${err.field}: ${err.message}`).join(", "),
+      400
+    );
+  }
+
+  return images;
+};
+
+// Alt text is stored as one record per item holding every image's alt text.
+export const serializeAltTexts = (images) =>
+  JSON.stringify(images.map(({ id, alt }) => ({ id, alt: alt || "" })));
+
+export const parseAltTexts = (content) => {
+  try {
+    const images = JSON.parse(content || "[]");
+    return Array.isArray(images) ? images.filter((image) => image?.id) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Every original the backend stores for the shop. Failures are logged and
+// treated as none, so callers can fall back to the local version history.
+export const fetchOriginalContents = async (shop) => {
+  try {
+    const response = await backendFetch(shop, "/contents", {
+      // Add timeout to prevent hanging requests
+      signal: AbortSignal.timeout(30000)
+    });
+
+    if (!response.ok) {
+      console.error(`API request failed with status: ${response.status}`);
+      console.error("Response text:", await response.text());
+      return [];
+    }
+
+    const data = await response.json();
+
+    // Handle different response formats
+    if (Array.isArray(data)) {
+      return data;
+    } else if (data && typeof data === "object") {
+      if (data.data && Array.isArray(data.data)) {
+        return data.data;
+      }
+      return [data];
+    }
+
+    return [];
+  } catch (error) {
+    if (error.name === "TimeoutError") {
+      console.error("API request timed out");
+    } else if (error.name === "TypeError" && error.message.includes("fetch")) {
+      console.error("Network error - check if the API server is running:", error.message);
+    } else {
+      console.error("Failed to fetch original contents:", error);
+    }
+    return [];
+  }
+};
+
+// Keeps a copy of the content we are about to overwrite so it can be reverted from the dashboard.
+export const saveOriginalContent = async (shop, { originalContent, contentType, contentOrigin, originId }) => {
+  const response = await backendFetch(shop, "/content", {
+    method: "POST",
+    body: { originalContent: originalContent || "", contentType, contentOrigin, originId }
+  });
+
+  if (!response.ok) {
+    throw new ContentError(`External API request failed: ${response.status} ${response.statusText}`, 502);
+  }
+
+  return response.json();
+};
+
+// The backend returns the stored record, sometimes wrapped in `data`.
+const getRecordId = (record) => record?.id ?? record?.data?.id ?? null;
+
+export const deleteOriginalContent = async (shop, record) => {
+  const id = getRecordId(record);
+  if (id == null) {
+    throw new ContentError("The stored original has no ID to delete", 500);
+  }
+
+  const response = await backendFetch(shop, `/content/${encodeURIComponent(id)}`, { method: "DELETE" });
+
+  if (!response.ok && response.status !== 404) {
+    throw new ContentError(`External API request failed: ${response.status} ${response.statusText}`, 502);
+  }
+};
+
+// Stores the originals, then runs `apply`. If the change fails the originals
+// are deleted again, so the dashboard never offers to revert a change that
+// never reached Shopify.
+export const withOriginalContent = async (shop, originals, apply) => {
+  const records = [];
+  try {
+    for (const original of originals) {
+      records.push(await saveOriginalContent(shop, original));
+    }
+    return await apply();
+  } catch (error) {
+    for (const record of records) {
+      await deleteOriginalContent(shop, record).catch((rollbackError) =>
+        console.error("Failed to roll back stored original:", rollbackError));
+    }
+    throw error;
+  }
+};
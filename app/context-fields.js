@@ -0,0 +1,21 @@
+// Item fields the merchant can choose to send to the AI alongside the title.
+export const CONTEXT_FIELDS = {
+  product: [
+    { value: "vendor", label: "Vendor" },
+    { value: "productType", label: "Product type" },
+    { value: "tags", label: "Tags" },
+    { value: "options", label: "Options" },
+    { value: "variantPrices", label: "Variant prices" },
+    { value: "existingDescription", label: "Existing description" },
+    { value: "metafields", label: "Metafields" },
+  ],
+  collection: [
+    { value: "productTitles", label: "Product titles" },
+    { value: "existingDescription", label: "Existing description" },
+  ],
+};
+
+export const DEFAULT_CONTEXT_FIELDS = {
+  product: ["vendor", "productType", "tags", "options", "variantPrices"],
+  collection: ["productTitles"],
+};
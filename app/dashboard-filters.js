@@ -0,0 +1,21 @@
+// Statuses the dashboard can be filtered by. The server filters each page by
+// them, and the client keeps loaded items in step when a revert or restore
+// changes their status.
+export const DASHBOARD_STATUSES = ["all", "ai-active", "reverted", "manually-edited"];
+
+const isReverted = (item) =>
+  item.isDescriptionReverted || item.isSeoReverted || item.isSeoTitleReverted || item.isAltTextReverted;
+
+export const matchesStatus = (item, status) => {
+  const isManuallyEdited = item.manuallyEditedTypes?.length > 0;
+  switch (status) {
+    case "reverted":
+      return isReverted(item);
+    case "manually-edited":
+      return isManuallyEdited;
+    case "ai-active":
+      return !isManuallyEdited && !isReverted(item);
+    default:
+      return true;
+  }
+};
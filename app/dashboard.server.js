@@ -0,0 +1,331 @@
+import { fetchCatalogPage, fetchItemImages } from "./catalog.server";
+import { isCatalogMirrorReady, searchCatalog, searchCatalogMirror } from "./catalog-mirror.server";
+import { fetchOriginalContents, parseAltTexts } from "./content.server";
+import { isSameContent } from "./content-normalizer";
+import { getOriginalVersion, listVersionedItemIds, listVersions } from "./content-versions.server";
+import { getManuallyEditedTypes } from "./manual-edits.server";
+import { DASHBOARD_STATUSES, matchesStatus } from "./dashboard-filters";
+import { fetchShopLocales, fetchTranslationCoverage } from "./translations.server";
+
+// The dashboard lists only items the app has changed, a page at a time.
+// Items are searched and sorted in the catalog mirror, or by Shopify until it
+// has been synced; the changed items are known locally from the version
+// history and the originals stored by the backend.
+export const DASHBOARD_PAGE_SIZE = 25;
+
+// Without the mirror, Shopify is asked for exactly the changed items of a
+// type when there are up to this many. Above it, pages of the catalog are
+// scanned and filtered, at most `MAX_SCAN_PAGES` per request.
+const ID_FILTER_LIMIT = 100;
+const MAX_SCAN_PAGES = 5;
+
+const PAGE_TYPES = ["product", "collection"];
+
+const getPageType = (id) =>
+  id?.includes("/Collection/") ? "collection" : id?.includes("/Product/") ? "product" : null;
+
+// Without the mirror, Shopify is asked for the changed items of one type.
+const fetchChangedPage = async (admin, shop, pageType, ids, { search, sort, after }) => {
+  if (ids.size <= ID_FILTER_LIMIT) {
+    const { items, pageInfo } = await searchCatalog(admin, shop, pageType, { search, sort, after, first: DASHBOARD_PAGE_SIZE, ids });
+    return { nodes: items, ...pageInfo };
+  }
+
+  const nodes = [];
+  let endCursor = after || null;
+  let hasNextPage = true;
+  for (let page = 0; hasNextPage && nodes.length < DASHBOARD_PAGE_SIZE && page < MAX_SCAN_PAGES; page++) {
+    const result = await fetchCatalogPage(admin, pageType, { search, sort, after: endCursor, first: 100 });
+    nodes.push(...result.items.filter(item => ids.has(item.id)));
+    ({ hasNextPage, endCursor } = result.pageInfo);
+  }
+
+  return { nodes, hasNextPage, endCursor };
+};
+
+// The mirror lists both types in one ordering. Shopify sorts each type on its
+// own, so without the mirror the types are paged one after the other.
+// `cursor` continues from an earlier page.
+const fetchDashboardPage = async (admin, shop, pageTypes, changedIds, mirrorReady, { search, sort, cursor }) => {
+  if (mirrorReady) {
+    const ids = new Set(pageTypes.flatMap(pageType => [...changedIds[pageType]]));
+    if (ids.size === 0) {
+      return { nodes: [], cursor: null };
+    }
+
+    const { items, pageInfo } = await searchCatalogMirror(shop, pageTypes, { search, sort, after: cursor?.after, first: DASHBOARD_PAGE_SIZE, ids });
+    return {
+      nodes: items.map(node => ({ node, pageType: getPageType(node.id) })),
+      cursor: pageInfo.hasNextPage ? { after: pageInfo.endCursor } : null,
+    };
+  }
+
+  const remaining = pageTypes
+    .filter(pageType => changedIds[pageType].size > 0)
+    .filter((pageType, index, types) => !cursor?.pageType || index >= types.indexOf(cursor.pageType));
+  const [pageType, nextPageType] = remaining;
+  if (!pageType) {
+    return { nodes: [], cursor: null };
+  }
+
+  const page = await fetchChangedPage(admin, shop, pageType, changedIds[pageType], {
+    search,
+    sort,
+    after: cursor?.pageType === pageType ? cursor.after : undefined,
+  });
+  return {
+    nodes: page.nodes.map(node => ({ node, pageType })),
+    cursor: page.hasNextPage ? { pageType, after: page.endCursor } : nextPageType ? { pageType: nextPageType } : null,
+  };
+};
+
+// Which items the app has changed, loaded once per request.
+const loadChanges = async (shop) => {
+  const [originalContents, versionedIds, mirrorReady] = await Promise.all([
+    fetchOriginalContents(shop),
+    listVersionedItemIds(shop).catch(error => {
+      console.error("Failed to load version history:", error);
+      return [];
+    }),
+    isCatalogMirrorReady(shop),
+  ]);
+
+  const changedIds = { product: new Set(), collection: new Set() };
+  [...originalContents.map(oc => oc.originId), ...versionedIds].forEach(id => {
+    const pageType = getPageType(id);
+    if (pageType) changedIds[pageType].add(id);
+  });
+
+  return { originalContents, changedIds, mirrorReady };
+};
+
+// Dashboard rows for one page of catalog nodes.
+const buildItems = async (admin, shop, nodes, originalContents) => {
+  if (nodes.length === 0) return [];
+
+  // Only the history of the items on this page is loaded.
+  const versions = await listVersions(shop, nodes.map(({ node }) => node.id)).catch(error => {
+    console.error("Failed to load version history:", error);
+    return [];
+  });
+
+  // Only alt text comparisons need the items' images.
+  const altTextIds = nodes
+    .map(({ node }) => node.id)
+    .filter(id => originalContents.some(oc => oc.originId === id && oc.contentType === "alt-text") ||
+      versions.some(version => version.itemId === id && version.contentType === "alt-text"));
+  const images = altTextIds.length > 0
+    ? await fetchItemImages(admin, altTextIds).catch(error => {
+      console.error("Failed to fetch item images:", error);
+      return [];
+    })
+    : [];
+
+  // Originals come from the local version history. Items changed before the
+  // history existed fall back to the copy stored by the backend.
+  const getOriginal = (itemId, contentType, fallback) =>
+    getOriginalVersion(versions, itemId, contentType)?.content ?? fallback;
+  const hasHistory = (itemId, contentType) =>
+    versions.some(version => version.itemId === itemId && (!contentType || version.contentType === contentType));
+  const getHistory = (itemId) => versions
+    .filter(version => version.itemId === itemId)
+    .map(({ id, contentType, content, action, author, seoKeywords, createdAt }) =>
+      ({ id, contentType, content, action, author, seoKeywords, createdAt }));
+
+  // A field is reverted when its live content matches its original again.
+  const isRevertedToOriginal = (current, original) => !!current && !!original && isSameContent(current, original);
+
+  // Translations are stored per locale as `translation:<locale>` records.
+  const getTranslationOriginals = (itemId) => originalContents
+    .filter(oc => oc.originId === itemId && oc.contentType?.startsWith("translation:"))
+    .map(oc => ({ locale: oc.contentType.slice("translation:".length), originalContent: oc.originalContent }));
+
+  // Pairs each image's current alt text with the one stored before it was generated.
+  const getAltTextComparison = (itemId, originalContent) => {
+    const originals = parseAltTexts(originalContent);
+    return images
+      .filter(image => image.itemId === itemId)
+      .map(image => ({
+        id: image.id,
+        url: image.url,
+        current: image.alt,
+        original: originals.find(original => original.id === image.id)?.alt ?? null
+      }))
+      .filter(image => image.original !== null);
+  };
+
+  const toItem = ({ node, pageType }) => {
+    const findOriginal = (contentType) => originalContents.find(oc => oc.originId === node.id && oc.contentType === contentType);
+    const originalContent = findOriginal("description");
+    const originalseoContent = findOriginal("seo-description");
+    const originalSeoTitleContent = findOriginal("seo-title");
+    const originalAltContent = findOriginal("alt-text");
+    const translationOriginals = getTranslationOriginals(node.id);
+
+    // Check if description was AI-generated and if it's been reverted
+    const hasAiDescription = !!originalContent || hasHistory(node.id, "description");
+    const originalDescription = getOriginal(node.id, "description",
+      originalContent?.originalContentHtml || originalContent?.originalContent);
+    const isDescriptionReverted = hasAiDescription ? isRevertedToOriginal(node.descriptionHtml, originalDescription) : false;
+
+    // Check if SEO was AI-generated and if it's been reverted
+    const hasAiSeo = !!originalseoContent || hasHistory(node.id, "seo-description");
+    const originalSeoDescription = getOriginal(node.id, "seo-description", originalseoContent?.originalContent);
+    const isSeoReverted = hasAiSeo ? isRevertedToOriginal(node.seo?.description || "", originalSeoDescription || "") : false;
+
+    // Check if the SEO title was AI-generated and if it's been reverted. Titles
+    // are often empty before generation, so an empty original still counts.
+    const hasAiSeoTitle = !!originalSeoTitleContent || hasHistory(node.id, "seo-title");
+    const originalSeoTitle = getOriginal(node.id, "seo-title", originalSeoTitleContent?.originalContent) || "";
+    const isSeoTitleReverted = hasAiSeoTitle && (node.seo?.title || "").trim() === originalSeoTitle.trim();
+
+    // Check if alt text was AI-generated and if every image has been reverted
+    const hasAiAltText = !!originalAltContent || hasHistory(node.id, "alt-text");
+    const altTexts = hasAiAltText
+      ? getAltTextComparison(node.id, getOriginal(node.id, "alt-text", originalAltContent?.originalContent))
+      : [];
+    const isAltTextReverted = altTexts.length > 0 && altTexts.every(image => image.current === image.original);
+
+    return {
+      id: node.id,
+      title: node.title,
+      handle: node.handle,
+      type: pageType,
+      status: pageType === "product" ? node.status : "active",
+      currentDescription: node.description,
+      currentDescriptionHtml: node.descriptionHtml,
+      currentSeoTitle: node.seo?.title,
+      currentSeoDescription: node.seo?.description || "",
+
+      // AI generation flags
+      hasAiDescription,
+      hasAiSeo,
+      hasAiSeoTitle,
+      hasAiAltText,
+
+      // Original content (only if AI-generated)
+      originalDescription: hasAiDescription ? originalDescription : null,
+      originalSeoDescription: hasAiSeo ? originalSeoDescription : null,
+      originalSeoTitle: hasAiSeoTitle ? originalSeoTitle : null,
+
+      altTexts,
+      translationOriginals,
+      hasOriginalContent: hasAiDescription || hasAiSeo || hasAiSeoTitle || hasAiAltText || translationOriginals.length > 0,
+      history: getHistory(node.id),
+      updatedAt: node.updatedAt,
+      image: pageType === "product" ? node.featuredImage?.url : node.image?.url,
+      isDescriptionReverted,
+      isSeoReverted,
+      isSeoTitleReverted,
+      isAltTextReverted,
+      manuallyEditedTypes: getManuallyEditedTypes(versions, node.id),
+    };
+  };
+
+  return nodes.map(toItem);
+};
+
+// One page of changed items matching the filters. The status depends on live
+// content and history, so it is applied once the rows are built, and further
+// pages are scanned, at most `MAX_SCAN_PAGES`, to fill the page.
+const loadChangedPage = async (admin, shop, changes, { search = "", type = "all", sort = "updated-desc", status = "all", cursor } = {}) => {
+  const pageTypes = PAGE_TYPES.filter(pageType => type === "all" || type === pageType);
+  const items = [];
+  let next = cursor;
+  for (let page = 0; page < MAX_SCAN_PAGES; page++) {
+    const result = await fetchDashboardPage(admin, shop, pageTypes, changes.changedIds, changes.mirrorReady, { search, sort, cursor: next });
+    const built = await buildItems(admin, shop, result.nodes, changes.originalContents);
+    items.push(...built.filter(item => matchesStatus(item, status)));
+    next = result.cursor;
+    if (!next || items.length >= DASHBOARD_PAGE_SIZE) break;
+  }
+
+  return { items, cursor: next };
+};
+
+// Every changed item matching the filters, for bulk actions that apply to
+// all of them rather than the ones loaded in the browser.
+export const loadAllMatchingItems = async (admin, shop, filters) => {
+  const changes = await loadChanges(shop);
+  const items = [];
+  let cursor;
+  do {
+    const page = await loadChangedPage(admin, shop, changes, { ...filters, cursor });
+    items.push(...page.items);
+    cursor = page.cursor;
+  } while (cursor);
+  return items;
+};
+
+export const loadDashboardItems = async (admin, shop, filters) => {
+  const changes = await loadChanges(shop);
+  const { items, cursor } = await loadChangedPage(admin, shop, changes, filters);
+
+  // Translation coverage is best effort: shops that have not granted the
+  // locale and translation scopes yet still get the rest of the dashboard.
+  let locales = [];
+  let coverage = {};
+  try {
+    locales = await fetchShopLocales(admin);
+    coverage = await fetchTranslationCoverage(admin, items.map(item => item.id), locales);
+  } catch (error) {
+    console.error("Failed to fetch translation coverage:", error);
+  }
+
+  items.forEach(item => {
+    const itemCoverage = coverage[item.id] || {};
+    item.translationCoverage = Object.fromEntries(
+      Object.entries(itemCoverage).map(([locale, { values, ...counts }]) => [locale, counts])
+    );
+    // A locale is reverted once every stored key is back to its previous value.
+    item.translationOriginals = item.translationOriginals.map(original => {
+      let previous = {};
+      try {
+        previous = JSON.parse(original.originalContent || "{}");
+      } catch {
+        previous = {};
+      }
+      const values = itemCoverage[original.locale]?.values || {};
+      return {
+        ...original,
+        // What the locale holds now for the stored keys, sent back with a
+        // revert to detect edits. Unknown when coverage could not be loaded.
+        currentContent: itemCoverage[original.locale]
+          ? JSON.stringify(Object.fromEntries(Object.keys(previous).map(key => [key, values[key] ?? null])))
+          : null,
+        isReverted: Object.entries(previous).every(([key, value]) => (values[key] ?? null) === value),
+      };
+    });
+  });
+
+  return {
+    items,
+    cursor,
+    locales,
+    productCount: changes.changedIds.product.size,
+    collectionCount: changes.changedIds.collection.size,
+  };
+};
+
+const DASHBOARD_SORTS = ["updated-desc", "updated-asc", "title-asc", "title-desc", "relevance"];
+
+// Shared by the dashboard loader and the route that loads further pages.
+export const parseDashboardParams = (searchParams) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(searchParams.get("cursor") || "null") || undefined;
+  } catch {
+    cursor = undefined;
+  }
+
+  const type = searchParams.get("type");
+  const sort = searchParams.get("sort");
+  const status = searchParams.get("status");
+  return {
+    search: searchParams.get("q") || "",
+    type: PAGE_TYPES.includes(type) ? type : "all",
+    sort: DASHBOARD_SORTS.includes(sort) ? sort : "updated-desc",
+    status: DASHBOARD_STATUSES.includes(status) ? status : "all",
+    cursor,
+  };
+};
@@ -0,0 +1,22 @@
+// Parses a server-sent events response body in the browser, where
+// EventSource cannot be used because it only supports GET requests.
+export async function* readEventStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) return;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split("\n\n");
+    buffer = messages.pop();
+
+    for (const message of messages) {
+      const event = message.match(/^event: (.*)$/m)?.[1] || "message";
+      const data = message.match(/^data: (.*)$/m)?.[1];
+      if (data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
@@ -0,0 +1,251 @@
+import prisma from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { generateText } from "./ai/providers.server";
+import { buildGenerationRequest } from "./ai/generation-request.server";
+import { fetchItem } from "./catalog.server";
+import { ContentError, updateItemContent, withOriginalContent } from "./content.server";
+import { normalizeContent } from "./content-normalizer";
+import { getContentUpdate, getCurrentContent } from "./content-types";
+import { recordVersion } from "./content-versions.server";
+import { formatValidationErrors, validateContent } from "./seo-validator";
+
+// Jobs run in-process, one item at a time. All of their state lives in the
+// database so a job picks up where it left off after a server restart.
+const runningJobs = global.generationJobsRunning ?? new Set();
+global.generationJobsRunning = runningJobs;
+
+const publishOutput = async (admin, shop, { itemId, pageType, contentType, seoKeywords, action }, current, output) => {
+  const previous = getCurrentContent(current, contentType);
+
+  const original = {
+    originalContent: previous,
+    contentType,
+    contentOrigin: pageType,
+    originId: itemId,
+  };
+
+  await withOriginalContent(shop, [original], () =>
+    updateItemContent(admin, {
+      shop,
+      itemId,
+      pageType,
+      ...getContentUpdate(contentType, output),
+    }));
+
+  return recordVersion(shop, {
+    itemId,
+    pageType,
+    contentType,
+    content: output,
+    previous,
+    action,
+    seoKeywords,
+  });
+};
+
+// Generates one field of an item and publishes it straight away. Shared with
+// the dashboard's bulk regenerate.
+export const generateAndPublish = async (admin, shop, { current, itemId, pageType, contentType, seoKeywords, brandVoiceId, action = "bulk" }) => {
+  const generationRequest = await buildGenerationRequest(shop, {
+    node: current,
+    pageType,
+    contentType,
+    seoKeywords,
+    brandVoiceId,
+  });
+  const text = await generateText(shop, generationRequest);
+  const output = normalizeContent(text, contentType);
+
+  // Nobody reviews the output before it goes live, so hard failures block it
+  // just like they do on the generator's publish.
+  const error = formatValidationErrors(validateContent({ contentType, content: output, seoKeywords }));
+  if (error) {
+    throw new ContentError(`Not published: ${error}`, 422);
+  }
+
+  const version = await publishOutput(admin, shop, { itemId, pageType, contentType, seoKeywords, action }, current, output);
+  return { output, version };
+};
+
+const processItem = async (job, item) => {
+  await prisma.generationJobItem.update({
+    where: { id: item.id },
+    data: { status: "running", attempts: { increment: 1 } },
+  });
+
+  try {
+    const { admin } = await unauthenticated.admin(job.shop);
+    const current = await fetchItem(admin, item.itemId);
+    if (!current) {
+      throw new Error(`This ${job.pageType} no longer exists`);
+    }
+
+    const { output } = await generateAndPublish(admin, job.shop, {
+      current,
+      itemId: item.itemId,
+      pageType: job.pageType,
+      contentType: item.contentType,
+      seoKeywords: job.seoKeywords,
+      brandVoiceId: job.brandVoiceId,
+    });
+
+    await prisma.generationJobItem.update({
+      where: { id: item.id },
+      data: { status: "succeeded", output, error: null },
+    });
+  } catch (error) {
+    console.error(`Generation job ${job.id} failed for ${item.itemId}:`, error);
+    await prisma.generationJobItem.update({
+      where: { id: item.id },
+      data: { status: "failed", error: error.message },
+    });
+  }
+};
+
+const runJob = async (jobId) => {
+  await prisma.generationJob.updateMany({
+    where: { id: jobId, status: { in: ["queued", "running"] } },
+    data: { status: "running" },
+  });
+
+  for (;;) {
+    const job = await prisma.generationJob.findUnique({ where: { id: jobId } });
+    if (!job || job.status !== "running") return;
+
+    const item = await prisma.generationJobItem.findFirst({
+      where: { jobId, status: "pending" },
+      orderBy: { createdAt: "asc" },
+    });
+
+    if (!item) {
+      await prisma.generationJob.update({
+        where: { id: jobId },
+        data: { status: "completed" },
+      });
+      return;
+    }
+
+    await processItem(job, item);
+  }
+};
+
+export const startJob = (jobId) => {
+  if (runningJobs.has(jobId)) return;
+  runningJobs.add(jobId);
+
+  runJob(jobId)
+    .catch((error) => console.error(`Generation job ${jobId} crashed:`, error))
+    .finally(async () => {
+      runningJobs.delete(jobId);
+      // A retry may have re-queued the job while its last item was finishing.
+      const job = await prisma.generationJob.findUnique({ where: { id: jobId } });
+      if (job?.status === "queued") startJob(jobId);
+    });
+};
+
+export const createJob = async (shop, { pageType, contentTypes, seoKeywords, brandVoiceId, items }) => {
+  const job = await prisma.generationJob.create({
+    data: {
+      shop,
+      pageType,
+      contentTypes: contentTypes.join(","),
+      seoKeywords,
+      brandVoiceId: brandVoiceId || null,
+      items: {
+        createMany: {
+          data: items.flatMap((item) =>
+            contentTypes.map((contentType) => ({
+              itemId: item.id,
+              title: item.title,
+              contentType,
+            }))
+          ),
+        },
+      },
+    },
+  });
+
+  startJob(job.id);
+  return job;
+};
+
+export const cancelJob = async (shop, jobId) => {
+  const { count } = await prisma.generationJob.updateMany({
+    where: { id: jobId, shop, status: { in: ["queued", "running"] } },
+    data: { status: "cancelled" },
+  });
+
+  if (count > 0) {
+    await prisma.generationJobItem.updateMany({
+      where: { jobId, status: "pending" },
+      data: { status: "cancelled" },
+    });
+  }
+
+  return count > 0;
+};
+
+export const retryFailedItems = async (shop, jobId) => {
+  const job = await prisma.generationJob.findFirst({ where: { id: jobId, shop } });
+  if (!job) return false;
+
+  const { count } = await prisma.generationJobItem.updateMany({
+    where: { jobId, status: "failed" },
+    data: { status: "pending", error: null },
+  });
+  if (count === 0) return false;
+
+  await prisma.generationJob.update({
+    where: { id: jobId },
+    data: { status: "queued" },
+  });
+  startJob(jobId);
+  return true;
+};
+
+export const listJobs = async (shop, take = 10) => {
+  const jobs = await prisma.generationJob.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+    include: {
+      items: {
+        where: { status: "failed" },
+        select: { id: true, itemId: true, title: true, contentType: true, error: true },
+      },
+    },
+  });
+
+  const counts = await prisma.generationJobItem.groupBy({
+    by: ["jobId", "status"],
+    where: { jobId: { in: jobs.map((job) => job.id) } },
+    _count: { _all: true },
+  });
+
+  return jobs.map(({ items, ...job }) => ({
+    ...job,
+    failedItems: items,
+    counts: counts
+      .filter((count) => count.jobId === job.id)
+      .reduce((acc, count) => ({ ...acc, [count.status]: count._count._all }), {}),
+  }));
+};
+
+export const resumeJobs = async () => {
+  // Items that were mid-flight when the server stopped never finished; run them again.
+  await prisma.generationJobItem.updateMany({
+    where: { status: "running" },
+    data: { status: "pending" },
+  });
+
+  const jobs = await prisma.generationJob.findMany({
+    where: { status: { in: ["queued", "running"] } },
+    select: { id: true },
+  });
+  jobs.forEach((job) => startJob(job.id));
+};
+
+if (!global.generationJobsResumed) {
+  global.generationJobsResumed = true;
+  resumeJobs().catch((error) => console.error("Failed to resume generation jobs:", error));
+}
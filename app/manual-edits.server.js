@@ -0,0 +1,58 @@
+import prisma from "./db.server";
+import { fetchItem } from "./catalog.server";
+import { getRecentWrites } from "./content.server";
+import { isSameContent } from "./content-normalizer";
+import { getCurrentContent } from "./content-types";
+import { recordVersion } from "./content-versions.server";
+
+// Edits made in the Shopify admin after we published are stored as "manual"
+// versions, so the dashboard and version history can tell them apart from
+// content the app wrote.
+const AI_ACTIONS = ["publish", "edit", "bulk", "scheduled"];
+const TRACKED_TYPES = ["description", "seo-description", "seo-title"];
+
+export const detectManualEdits = async (admin, shop, { itemId, pageType }) => {
+  const tracked = await prisma.contentVersion.count({
+    where: { shop, itemId, contentType: { in: TRACKED_TYPES } },
+  });
+  if (tracked === 0) return [];
+
+  const [item, versions, recentWrites] = await Promise.all([
+    fetchItem(admin, itemId),
+    prisma.contentVersion.findMany({
+      where: { shop, itemId, contentType: { in: TRACKED_TYPES } },
+      orderBy: { createdAt: "desc" },
+    }),
+    getRecentWrites(shop, itemId),
+  ]);
+  if (!item) return [];
+
+  const recorded = [];
+  for (const contentType of TRACKED_TYPES) {
+    const last = versions.find((version) => version.contentType === contentType);
+    // Fields the app never published, or has since reverted, are not ours to track.
+    if (!last || ![...AI_ACTIONS, "manual"].includes(last.action)) continue;
+
+    // Our own write may not have its version yet, but it is not a manual edit.
+    const live = getCurrentContent(item, contentType);
+    if (isSameContent(live, last.content)) continue;
+    if (recentWrites[contentType] != null && isSameContent(live, recentWrites[contentType])) continue;
+
+    recorded.push(await recordVersion(shop, {
+      itemId,
+      pageType,
+      contentType,
+      content: live,
+      action: "manual",
+      author: "Shopify admin",
+    }));
+  }
+
+  return recorded;
+};
+
+// The latest version of a field decides whether it was edited by hand since
+// our last publish.
+export const getManuallyEditedTypes = (versions, itemId) =>
+  TRACKED_TYPES.filter((contentType) =>
+    versions.find((version) => version.itemId === itemId && version.contentType === contentType)?.action === "manual");
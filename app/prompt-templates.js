@@ -0,0 +1,31 @@
+// Placeholders merchants can use in prompt templates, with the sample values
+// shown in the editor preview.
+export const TEMPLATE_VARIABLES = [
+  { name: "title", label: "Title", example: "Merino Wool Hiking Socks" },
+  { name: "vendor", label: "Vendor", example: "Trailhead Co." },
+  { name: "product_type", label: "Product type", example: "Socks" },
+  { name: "tags", label: "Tags", example: "hiking, wool, outdoor" },
+  { name: "keywords", label: "SEO keywords", example: "merino hiking socks, warm socks" },
+  { name: "existing_description", label: "Existing description", example: "Soft socks for long walks." },
+  { name: "options", label: "Options", example: "Size: S, M, L; Color: Grey, Navy" },
+  { name: "prices", label: "Variant prices", example: "S – 19.00 USD; M – 19.00 USD" },
+  { name: "collection_products", label: "Collection products", example: "Trail Runner, Summit Boot" },
+  { name: "page_type", label: "Page type", example: "product" },
+];
+
+export const TEMPLATE_CONTENT_TYPES = [
+  { label: "Product/Collection Description", value: "description" },
+  { label: "SEO Meta Description", value: "seo-description" },
+  { label: "SEO Title", value: "seo-title" },
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/gi;
+
+export const renderTemplate = (body, variables) =>
+  body.replace(PLACEHOLDER_PATTERN, (_, name) => variables[name.toLowerCase()] ?? "");
+
+export const findUnknownVariables = (body) => {
+  const known = TEMPLATE_VARIABLES.map((variable) => variable.name);
+  const used = [...body.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name.toLowerCase());
+  return [...new Set(used.filter((name) => !known.includes(name)))];
+};
@@ -0,0 +1,84 @@
+import prisma from "./db.server";
+import { buildItemContext } from "./ai/context.server";
+import { formatContextValue } from "./ai/prompt.server";
+import { CONTEXT_FIELDS } from "./context-fields";
+import { findUnknownVariables, renderTemplate, TEMPLATE_CONTENT_TYPES } from "./prompt-templates";
+
+export const listPromptTemplates = (shop) =>
+  prisma.promptTemplate.findMany({
+    where: { shop },
+    orderBy: [{ contentType: "asc" }, { name: "asc" }],
+  });
+
+export const savePromptTemplate = async (shop, data, id = null) => {
+  const fields = {
+    name: data.name?.trim(),
+    contentType: data.contentType,
+    productType: data.productType?.trim() || null,
+    body: data.body?.trim(),
+  };
+
+  if (!fields.name || !fields.body) {
+    throw new Error("Template name and instructions are required");
+  }
+  if (!TEMPLATE_CONTENT_TYPES.some((type) => type.value === fields.contentType)) {
+    throw new Error("Invalid content type");
+  }
+  const unknown = findUnknownVariables(fields.body);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown placeholders: ${unknown.map((name) => `{{${name}}}`).join(", ")}`);
+  }
+
+  if (id) {
+    const { count } = await prisma.promptTemplate.updateMany({ where: { id, shop }, data: fields });
+    if (count === 0) throw new Error("Template not found");
+    return prisma.promptTemplate.findUnique({ where: { id } });
+  }
+
+  return prisma.promptTemplate.create({ data: { shop, ...fields } });
+};
+
+export const deletePromptTemplate = (shop, id) =>
+  prisma.promptTemplate.deleteMany({ where: { id, shop } });
+
+// An explicitly chosen template wins. Otherwise the template assigned to the
+// item's product type is used, then the one assigned to any product type.
+export const resolvePromptTemplate = async (shop, { contentType, productType, templateId }) => {
+  if (templateId) {
+    return prisma.promptTemplate.findFirst({ where: { id: templateId, shop } });
+  }
+
+  const templates = await prisma.promptTemplate.findMany({
+    where: { shop, contentType },
+    orderBy: { updatedAt: "desc" },
+  });
+
+  const normalizedType = productType?.trim().toLowerCase();
+  return (
+    (normalizedType && templates.find((template) => template.productType?.toLowerCase() === normalizedType)) ||
+    templates.find((template) => !template.productType) ||
+    null
+  );
+};
+
+export const buildTemplateVariables = (node, pageType, seoKeywords) => {
+  const allFields = CONTEXT_FIELDS[pageType].map((field) => field.value);
+  const context = buildItemContext(node, pageType, allFields);
+  const format = (field) => (context[field] ? formatContextValue(field, context[field]) : "");
+
+  return {
+    title: node.title,
+    vendor: format("vendor"),
+    product_type: format("productType"),
+    tags: format("tags"),
+    keywords: seoKeywords,
+    existing_description: format("existingDescription"),
+    options: format("options"),
+    prices: format("variantPrices"),
+    collection_products: format("productTitles"),
+    page_type: pageType,
+  };
+};
+
+export const renderPromptTemplate = (template, node, pageType, seoKeywords) =>
+  renderTemplate(template.body, buildTemplateVariables(node, pageType, seoKeywords));
@@ -0,0 +1,155 @@
+import { fetchItem, getItemImages } from "./catalog.server";
+import { ConflictError, ContentError, parseAltTexts, serializeAltTexts, updateItemContent, withOriginalContent } from "./content.server";
+import { isSameContent, toPlainText, toSafeHtml } from "./content-normalizer";
+import { getCurrentContent } from "./content-types";
+import { recordVersion } from "./content-versions.server";
+import { formatValidationErrors, validateContent } from "./seo-validator";
+import { snapshotTranslations } from "./translations.server";
+
+// `base` is the value the client loaded. If Shopify holds something else now
+// the field was edited in the meantime, unless it already matches ours.
+export const findConflict = (current, { contentType, base, incoming }) => {
+  if (base == null) return null;
+  const live = getCurrentContent(current, contentType);
+  if (isSameContent(live, base) || (incoming != null && isSameContent(live, incoming))) return null;
+  return { contentType, base, current: live, incoming };
+};
+
+// Alt text and translations are stored as JSON holding one entry per image or
+// translation key, so they are compared entry by entry.
+const parseEntries = (contentType, content) => {
+  if (contentType === "alt-text") {
+    return Object.fromEntries(parseAltTexts(content).map((image) => [image.id, image.alt || ""]));
+  }
+  try {
+    return JSON.parse(content || "{}") || {};
+  } catch {
+    return {};
+  }
+};
+
+const serializeEntries = (contentType, entries) =>
+  contentType === "alt-text"
+    ? serializeAltTexts(Object.entries(entries).map(([id, alt]) => ({ id, alt })))
+    : JSON.stringify(entries);
+
+const fetchLiveEntries = async (admin, { itemId, pageType, contentType, keys }) => {
+  if (contentType === "alt-text") {
+    const node = await fetchItem(admin, itemId);
+    return node ? Object.fromEntries(getItemImages(node, pageType).map((image) => [image.id, image.alt])) : null;
+  }
+  return snapshotTranslations(admin, { resourceId: itemId, locale: contentType.slice("translation:".length), keys });
+};
+
+// Like `findConflict`, but loads the live content itself and covers every
+// field a revert or restore can write. Only the entries we are about to write
+// are checked, and only those the client loaded a value for.
+export const findFieldConflict = async (admin, { itemId, pageType, contentType, base, incoming }) => {
+  if (base == null) return null;
+
+  if (contentType !== "alt-text" && !contentType.startsWith("translation:")) {
+    const current = await fetchItem(admin, itemId);
+    return current && findConflict(current, { contentType, base, incoming });
+  }
+
+  const baseEntries = parseEntries(contentType, base);
+  const incomingEntries = parseEntries(contentType, incoming);
+  const keys = Object.keys(incomingEntries);
+  const live = await fetchLiveEntries(admin, { itemId, pageType, contentType, keys });
+  if (!live) return null;
+
+  const hasConflict = keys.some((key) =>
+    key in baseEntries && key in live &&
+    !isSameContent(live[key], baseEntries[key]) && !isSameContent(live[key], incomingEntries[key]));
+  if (!hasConflict) return null;
+
+  const current = Object.fromEntries(keys.filter((key) => key in live).map((key) => [key, live[key]]));
+  return { contentType, base, current: serializeEntries(contentType, current), incoming };
+};
+
+// Publishes descriptions and SEO fields as one operation: validate, check for
+// concurrent edits, store the current content as the original, update
+// Shopify, then record the version. Nothing is reported as published unless
+// Shopify accepted the update.
+export const publishContent = async (admin, shop, {
+  itemId,
+  pageType,
+  description,
+  seoDescription,
+  seoTitle,
+  seoKeywords,
+  overrideValidation,
+  base,
+  force,
+  action = "publish",
+  author
+}) => {
+  // Hand edits are normalized the same way as generated copy.
+  const update = {
+    description: description != null ? toSafeHtml(description) : undefined,
+    seoDescription: seoDescription != null ? toPlainText(seoDescription) : undefined,
+    seoTitle: seoTitle != null ? toPlainText(seoTitle) : undefined
+  };
+
+  const fields = [
+    ["description", update.description],
+    ["seo-description", update.seoDescription],
+    ["seo-title", update.seoTitle]
+  ].filter(([, content]) => content != null);
+
+  if (fields.length === 0) {
+    throw new ContentError("There is no content to publish", 400);
+  }
+
+  if (!overrideValidation) {
+    const error = fields
+      .map(([contentType, content]) => formatValidationErrors(validateContent({ contentType, content, seoKeywords })))
+      .filter(Boolean)
+      .join(" ");
+
+    if (error) {
+      throw new ContentError(error, 422);
+    }
+  }
+
+  const current = await fetchItem(admin, itemId);
+  if (!current) {
+    throw new ContentError(`This ${pageType} no longer exists`, 404);
+  }
+
+  if (!force) {
+    const conflicts = fields
+      .map(([contentType, content]) => findConflict(current, { contentType, base: base?.[contentType], incoming: content }))
+      .filter(Boolean);
+    if (conflicts.length > 0) {
+      throw new ConflictError(conflicts);
+    }
+  }
+
+  const originals = fields.map(([contentType]) => ({
+    originalContent: getCurrentContent(current, contentType),
+    contentType,
+    contentOrigin: pageType,
+    originId: itemId
+  }));
+
+  const updatedItem = await withOriginalContent(shop, originals, () =>
+    updateItemContent(admin, { shop, itemId, pageType, ...update }));
+
+  // Shopify already has the change, so a failed history write must not turn
+  // the publish into an error.
+  for (const [contentType, content] of fields) {
+    await recordVersion(shop, {
+      itemId,
+      pageType,
+      contentType,
+      content,
+      previous: getCurrentContent(current, contentType),
+      action,
+      author,
+      seoKeywords
+    }).catch((error) => console.error("Failed to record version:", error));
+  }
+
+  return updatedItem;
+};
@@ -17,338 +17,193 @@ import {
   Box,
   Grid,
   InlineGrid,
-  Layout
+  Layout,
+  Checkbox
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-
-
-const getEndpoint = () => {
-  const baseUrl = process.env.AI_DESCRIBER_ENDPOINT;
-  if (!baseUrl) {
-    console.error('AI_DESCRIBER_ENDPOINT environment variable is not set');
-    return null;
-  }
-  
-  // Ensure proper URL construction
-  const endpoint = `${baseUrl.replace(/\/$/, '')}/contents`;
-  // console.log('API Endpoint:', endpoint);
-  return endpoint;
-};
-
-const ENDPOINT = getEndpoint();
+import { getBackendUrl } from "../ai-backend.server";
+import { fetchAllImages, fetchStorefrontUrl } from "../catalog.server";
+import { loadDashboardItems, parseDashboardParams } from "../dashboard.server";
+import { ContentError, parseAltTexts, updateImageAltTexts, updateItemContent } from "../content.server";
+import MissingAltText from "../components/MissingAltText";
+import ScheduledChanges from "../components/ScheduledChanges";
+import { listScheduledChanges } from "../scheduled-changes.server";
+import SerpPreview, { buildItemUrl } from "../components/SerpPreview";
+import { SEO_TITLE_LIMIT } from "../content-types";
+import { isSameContent, toSafeHtml } from "../content-normalizer";
+import { restoreTranslations } from "../translations.server";
+import {
+  applyVersion,
+  getAuthor,
+  getVersion,
+  recordVersion,
+} from "../content-versions.server";
+import VersionHistory from "../components/VersionHistory";
+import ConflictResolver from "../components/ConflictResolver";
+import ContentDiff from "../components/ContentDiff";
+import BulkActions from "../components/BulkActions";
+import { getBulkAction } from "../bulk-actions.server";
+import CatalogSync from "../components/CatalogSync";
+import { getCatalogSync } from "../catalog-mirror.server";
+import { matchesStatus } from "../dashboard-filters";
+import { findFieldConflict } from "../publish.server";
+import { assertCanPublishDirectly } from "../approvals.server";
+
+
+// Looking at every product for images without alt text would defeat paging,
+// so the panel only scans the first few pages of the catalog.
+const MISSING_ALT_SCAN_PAGES = 4;
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
   
   // Check if endpoint is available
-  if (!ENDPOINT) {
+  if (!getBackendUrl()) {
     console.error('API endpoint is not configured');
     return {
       items: [],
+      cursor: null,
       totalItems: 0,
       productCount: 0,
       collectionCount: 0,
       modifiedCount: 0,
+      imagesMissingAlt: [],
+      locales: [],
       error: 'API endpoint not configured'
     };
   }
-  
-  const fetchPaginated = async (query, dataPath) => {
-    let items = [];
-    let hasNextPage = true;
-    let afterCursor = null;
-
-    while (hasNextPage) {
-      try {
-        const response = await admin.graphql(query, {
-          variables: { first: 100, after: afterCursor }
-        });
-        const json = await response.json();
-        
-        if (json.errors) {
-          console.error('GraphQL errors:', json.errors);
-          throw new Error(`GraphQL error: ${json.errors[0]?.message || 'Unknown error'}`);
-        }
-        
-        const edges = json.data[dataPath].edges;
-        items = [...items, ...edges.map(edge => edge.node)];
-        hasNextPage = json.data[dataPath].pageInfo.hasNextPage;
-        afterCursor = edges.length > 0 ? edges[edges.length - 1].cursor : null;
-      } catch (error) {
-        console.error(`Error fetching ${dataPath}:`, error);
-        break;
-      }
-    }
-    return items;
-  };
 
-  // Fetch all products - Using template literals instead of gql
-  const productQuery = `
-    query getProducts($first: Int!, $after: String) {
-      products(first: $first, after: $after) {
-        edges {
-          cursor
-          node {
-            id
-            title
-            handle
-            status
-            description
-            descriptionHtml
-            seo {
-              title
-              description
-            }
-            updatedAt
-            featuredImage {
-              url
-            }
-          }
-        }
-        pageInfo {
-          hasNextPage
-        }
-      }
-    }
-  `;
-
-  // Fetch all collections - Using template literals instead of gql
-  const collectionQuery = `
-    query getCollections($first: Int!, $after: String) {
-      collections(first: $first, after: $after) {
-        edges {
-          cursor
-          node {
-            id
-            title
-            handle
-            description
-            descriptionHtml
-            seo {
-              title
-              description
-            }
-            updatedAt
-            image {
-              url
-            }
-          }
-        }
-        pageInfo {
-          hasNextPage
-        }
-      }
-    }
-  `;
-
-  let products = [];
-  let collections = [];
+  let page;
+  let images;
+  let storefrontUrl = null;
   
   try {
-    [products, collections] = await Promise.all([
-      fetchPaginated(productQuery, 'products'),
-      fetchPaginated(collectionQuery, 'collections')
+    [page, images, storefrontUrl] = await Promise.all([
+      loadDashboardItems(admin, session.shop, parseDashboardParams(new URL(request.url).searchParams)),
+      fetchAllImages(admin, { maxPages: MISSING_ALT_SCAN_PAGES }),
+      fetchStorefrontUrl(admin).catch(() => null)
     ]);
   } catch (error) {
     console.error('Error fetching Shopify data:', error);
     return {
       items: [],
+      cursor: null,
       totalItems: 0,
       productCount: 0,
       collectionCount: 0,
       modifiedCount: 0,
+      imagesMissingAlt: [],
+      locales: [],
       error: 'Failed to fetch Shopify data'
     };
   }
 
-  // Fixed: Improved API call with better error handling
-  const fetchOriginalContentForItems = async () => {
-    if (!ENDPOINT) {
-      console.error('Endpoint not available for fetching original contents');
-      return [];
-    }
-
-    try {
-      // console.log('Fetching from endpoint:', ENDPOINT);
-      
-      const response = await fetch(ENDPOINT, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-          // Add any additional headers if required by your API
-          // "Authorization": "Bearer your-token-here",
-        },
-        // Add timeout to prevent hanging requests
-        signal: AbortSignal.timeout(30000) // 30 seconds timeout
-      });
-      
-      // console.log('API Response status:', response.status);
-      // console.log('API Response headers:', Object.fromEntries(response.headers.entries()));
-      
-      if (!response.ok) {
-        console.error(`API request failed with status: ${response.status}`);
-        console.error('Response text:', await response.text());
-        return [];
-      }
-      
-      const data = await response.json();
-      // console.log('API Response data:', data);
-      
-      // Handle different response formats
-      if (Array.isArray(data)) {
-        return data;
-      } else if (data && typeof data === 'object') {
-        // If the response is an object with a data property
-        if (data.data && Array.isArray(data.data)) {
-          return data.data;
-        }
-        // If the response is a single object, wrap it in an array
-        return [data];
-      }
-      
-      return [];
-    } catch (error) {
-      if (error.name === 'TimeoutError') {
-        console.error('API request timed out');
-      } else if (error.name === 'TypeError' &&   error.message.includes('fetch')) {
-        console.error('Network error - check if the API server is running:', error.message);
-      } else {
-        console.error('Failed to fetch original contents:', error);
-      }
-      return [];
-    }
-  };
-
-  const originalContents = await fetchOriginalContentForItems();
-  // console.log('Original contents loaded:', originalContents.length);
-
-  // Helper function to check if content has been reverted
-  const isContentReverted = (current, original) => {
-    if (!current || !original) return false;
-    const currentClean = current.replace(/<[^>]*>/g, '').trim().toLowerCase();
-    const originalClean = original.replace(/<[^>]*>/g, '').trim().toLowerCase();
-    return currentClean === originalClean;
-  };
-
-  const allItems = [
-    ...products.map(product => {
-      const originalContent = originalContents.find(oc => oc.originId === product.id && oc.contentType === 'description');
-      const originalseoContent = originalContents.find(oc => oc.originId === product.id && oc.contentType === 'seo-description');
-      
-      // Only include items that have at least one type of AI-generated content
-      if (!originalContent && !originalseoContent) return null;
-
-      // Check if description was AI-generated and if it's been reverted
-      const hasAiDescription = !!originalContent;
-      const isDescriptionReverted = hasAiDescription ? isContentReverted(
-        product.descriptionHtml,
-        originalContent?.originalContentHtml || originalContent?.originalContent
-      ) : false;
-
-      // Check if SEO was AI-generated and if it's been reverted
-      const hasAiSeo = !!originalseoContent;
-      const isSeoReverted = hasAiSeo ? isContentReverted(
-        product.seo?.description || "",
-        originalseoContent?.originalContent || ""
-      ) : false;
+  const scheduledChanges = await listScheduledChanges(session.shop).catch(error => {
+    console.error('Failed to load scheduled changes:', error);
+    return [];
+  });
 
-      return {
-        id: product.id,
-        title: product.title,
-        type: 'product',
-        status: product.status,
-        currentDescription: product.description,
-        currentDescriptionHtml: product.descriptionHtml,
-        currentSeoTitle: product.seo?.title,
-        currentSeoDescription: product.seo?.description || "",
-        
-        // AI generation flags
-        hasAiDescription,
-        hasAiSeo,
-        
-        // Original content (only if AI-generated)
-        originalDescription: hasAiDescription ? (originalContent?.originalContentHtml || originalContent?.originalContent) : null,
-        originalSeoDescription: hasAiSeo ? originalseoContent?.originalContent : null,
-        
-        hasOriginalContent: hasAiDescription || hasAiSeo,
-        updatedAt: product.updatedAt,
-        image: product.featuredImage?.url,
-        isDescriptionReverted,
-        isSeoReverted,
-      };
-    }).filter(Boolean),
-    ...collections.map(collection => {
-      const originalContent = originalContents.find(oc => oc.originId === collection.id && oc.contentType === 'description');
-      const originalseoContent = originalContents.find(oc => oc.originId === collection.id && oc.contentType === 'seo-description');
-
-      // Only include items that have at least one type of AI-generated content
-      if (!originalContent && !originalseoContent) return null;
-
-      // Check if description was AI-generated and if it's been reverted
-      const hasAiDescription = !!originalContent;
-      const isDescriptionReverted = hasAiDescription ? isContentReverted(
-        collection.descriptionHtml, 
-        originalContent?.originalContentHtml || originalContent?.originalContent
-      ) : false;
-      
-      // Check if SEO was AI-generated and if it's been reverted
-      const hasAiSeo = !!originalseoContent;
-      const isSeoReverted = hasAiSeo ? isContentReverted(
-        collection.seo?.description || "", 
-        originalseoContent?.originalContent || ""
-      ) : false;
+  const bulkAction = await getBulkAction(session.shop).catch(error => {
+    console.error('Failed to load the latest bulk action:', error);
+    return null;
+  });
 
-      return {
-        id: collection.id,
-        title: collection.title,
-        type: 'collection',
-        status: 'active',
-        currentDescription: collection.description,
-        currentDescriptionHtml: collection.descriptionHtml,
-        currentSeoTitle: collection.seo?.title,
-        currentSeoDescription: collection.seo?.description || "",
-        
-        // AI generation flags
-        hasAiDescription,
-        hasAiSeo,
-        
-        // Original content (only if AI-generated)
-        originalDescription: hasAiDescription ? (originalContent?.originalContentHtml || originalContent?.originalContent) : null,
-        originalSeoDescription: hasAiSeo ? originalseoContent?.originalContent : null,
-        
-        hasOriginalContent: hasAiDescription || hasAiSeo,
-        updatedAt: collection.updatedAt,
-        image: collection.image?.url,
-        isDescriptionReverted,
-        isSeoReverted,
-      };
-    }).filter(Boolean)
-  ];
+  const catalogSync = await getCatalogSync(session.shop).catch(error => {
+    console.error('Failed to load the catalog sync:', error);
+    return null;
+  });
 
   return {
-    items: allItems,
-    totalItems: allItems.length,
-    productCount: products.filter(p => {
-      return originalContents.some(oc => oc.originId === p.id);
-    }).length,
-    collectionCount: collections.filter(c => {
-      return originalContents.some(oc => oc.originId === c.id);
-    }).length,
-    modifiedCount: allItems.length,
-    endpoint: ENDPOINT, // Return the endpoint for debugging
-    originalContentsCount: originalContents.length // Return count for debugging
+    locales: page.locales,
+    storefrontUrl: storefrontUrl || `https://${session.shop}`,
+    scheduledChanges,
+    bulkAction,
+    catalogSync,
+    items: page.items,
+    cursor: page.cursor,
+    totalItems: page.productCount + page.collectionCount,
+    productCount: page.productCount,
+    collectionCount: page.collectionCount,
+    modifiedCount: page.productCount + page.collectionCount,
+    imagesMissingAlt: images.images.filter(image => !image.alt.trim()),
+    imagesMissingAltComplete: images.complete
   };
 };
 
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   
   try {
     const body = await request.json();
-    const { action, itemId, itemType, originalContent, contentType } = body;
+    const { action, itemId, itemType, originalContent, contentType, baseContent, force } = body;
+
+    // Restoring writes any earlier version back and records it as the newest.
+    if (action === "restore") {
+      // A version can hold any content, so restoring it counts as publishing.
+      await assertCanPublishDirectly(session.shop);
+
+      const version = await getVersion(session.shop, body.versionId);
+      if (!version) {
+        throw new ContentError("This version no longer exists", 404);
+      }
+
+      // Like a revert, a restore must not silently discard an edit made in
+      // Shopify admin since the dashboard loaded.
+      if (!force) {
+        const conflict = await findFieldConflict(admin, {
+          itemId: version.itemId,
+          pageType: version.pageType,
+          contentType: version.contentType,
+          base: baseContent,
+          incoming: version.content
+        });
+
+        if (conflict) {
+          return new Response(JSON.stringify({
+            success: false,
+            error: "This content was changed in Shopify after the dashboard loaded.",
+            conflicts: [{ ...conflict, itemId: version.itemId, itemType: version.pageType, versionId: version.id }],
+          }), {
+            status: 409,
+            headers: { "Content-Type": "application/json" }
+          });
+        }
+      }
+
+      await applyVersion(admin, version);
+      const restoredVersion = await recordVersion(session.shop, {
+        itemId: version.itemId,
+        pageType: version.pageType,
+        contentType: version.contentType,
+        content: version.content,
+        action: "restore",
+        author: getAuthor(session, sessionToken),
+        seoKeywords: version.seoKeywords
+      });
 
-    if (action !== "revert" || !itemId || !itemType || !originalContent) {
+      return new Response(JSON.stringify({
+        success: true,
+        restoredVersion,
+        message: `Restored the version from ${new Date(version.createdAt).toLocaleString()}.`,
+      }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    const recordRevert = () => recordVersion(session.shop, {
+      itemId,
+      pageType: itemType,
+      contentType: contentType === "seo" ? "seo-description" : contentType,
+      content: originalContent,
+      action: "revert",
+      author: getAuthor(session, sessionToken)
+    });
+
+    // An SEO title may legitimately be reverted to an empty one.
+    const hasOriginal = contentType === "seo-title" ? typeof originalContent === "string" : !!originalContent;
+
+    if (action !== "revert" || !itemId || !itemType || !hasOriginal) {
       return new Response(JSON.stringify({
         success: false,
         error: "Invalid request parameters - missing originalContent"
@@ -358,6 +213,100 @@ export const action = async ({ request }) => {
       });
     }
 
+    // Fields are checked against what the dashboard loaded, so a revert does
+    // not silently discard an edit made in Shopify admin since then.
+    if (!force) {
+      const conflict = await findFieldConflict(admin, {
+        itemId,
+        pageType: itemType,
+        contentType: contentType === "seo" ? "seo-description" : contentType,
+        base: baseContent,
+        incoming: originalContent
+      });
+
+      if (conflict) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: "This content was changed in Shopify after the dashboard loaded.",
+          conflicts: [{ ...conflict, contentType, itemId, itemType }],
+        }), {
+          status: 409,
+          headers: { "Content-Type": "application/json" }
+        });
+      }
+    }
+
+    if (contentType?.startsWith("translation:")) {
+      const locale = contentType.slice("translation:".length);
+      await restoreTranslations(admin, {
+        resourceId: itemId,
+        locale,
+        previous: JSON.parse(originalContent)
+      });
+      const version = await recordRevert();
+
+      return new Response(JSON.stringify({
+        success: true,
+        item: {
+          id: itemId,
+          type: itemType,
+          contentType,
+          originalContent,
+        },
+        version,
+        message: `${itemType.charAt(0).toUpperCase() + itemType.slice(1)} ${locale} translation reverted successfully.`,
+      }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    if (contentType === "seo-title") {
+      await updateItemContent(admin, {
+        shop: session.shop,
+        itemId,
+        pageType: itemType,
+        seoTitle: originalContent
+      });
+      const version = await recordRevert();
+
+      return new Response(JSON.stringify({
+        success: true,
+        item: {
+          id: itemId,
+          type: itemType,
+          contentType,
+          originalContent,
+        },
+        version,
+        message: `${itemType.charAt(0).toUpperCase() + itemType.slice(1)} SEO title reverted successfully to original content.`,
+      }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    if (contentType === "alt-text") {
+      await updateImageAltTexts(admin, {
+        itemId,
+        pageType: itemType,
+        images: parseAltTexts(originalContent)
+      });
+      const version = await recordRevert();
+
+      return new Response(JSON.stringify({
+        success: true,
+        item: {
+          id: itemId,
+          type: itemType,
+          contentType,
+          originalContent,
+        },
+        version,
+        message: `${itemType.charAt(0).toUpperCase() + itemType.slice(1)} alt text reverted successfully to original content.`,
+      }), {
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
     let response;
     let mutation;
     
@@ -488,6 +437,8 @@ export const action = async ({ request }) => {
       });
     }
 
+    const version = await recordRevert();
+
     return new Response(JSON.stringify({
       success: true,
       item: {
@@ -496,6 +447,7 @@ export const action = async ({ request }) => {
         contentType: contentType,
         originalContent: originalContent,
       },
+      version,
       message: `${itemType.charAt(0).toUpperCase() + itemType.slice(1)} ${contentType} reverted successfully to original content.`,
     }), { 
       headers: { "Content-Type": "application/json" }
@@ -507,7 +459,7 @@ export const action = async ({ request }) => {
       success: false,
       error: error.message,
     }), { 
-      status: 500,
+      status: error instanceof ContentError ? error.status : 500,
       headers: { "Content-Type": "application/json" }
     });
   }
@@ -763,11 +715,85 @@ const LoadingSkeleton = () => (
 
 
  
+const MANUAL_EDIT_LABELS = {
+  description: "description",
+  "seo-description": "SEO description",
+  "seo-title": "SEO title",
+};
+
+// Keeps an item's timeline in step with a version the action just recorded.
+// A version we wrote replaces any manual edit on that field.
+const withVersion = (item, version) =>
+  version && item.id === version.itemId
+    ? {
+      ...item,
+      history: [version, ...(item.history || [])],
+      manuallyEditedTypes: (item.manuallyEditedTypes || []).filter(contentType => contentType !== version.contentType),
+    }
+    : item;
+
+// What the dashboard loaded for a field, in the form versions store it. Sent
+// with reverts and restores so the server can spot edits made since.
+const getBaseContent = (item, contentType) => {
+  if (contentType === "description") return item.currentDescriptionHtml;
+  if (contentType === "seo-description" || contentType === "seo") return item.currentSeoDescription;
+  if (contentType === "seo-title") return item.currentSeoTitle || "";
+  if (contentType === "alt-text") return JSON.stringify(item.altTexts.map(image => ({ id: image.id, alt: image.current })));
+  return item.translationOriginals.find(original => `translation:${original.locale}` === contentType)?.currentContent ?? null;
+};
+
+// Mirrors a restored version onto the item's live content and revert flags.
+const applyRestoredVersion = (item, version) => {
+  const { contentType, content } = version;
+  const updated = withVersion(item, version);
+
+  if (contentType === "description") {
+    return { ...updated, currentDescriptionHtml: content, isDescriptionReverted: !!content && isSameContent(content, item.originalDescription) };
+  }
+  if (contentType === "seo-description") {
+    return { ...updated, currentSeoDescription: content, isSeoReverted: !!content && isSameContent(content, item.originalSeoDescription) };
+  }
+  if (contentType === "seo-title") {
+    return { ...updated, currentSeoTitle: content, isSeoTitleReverted: item.hasAiSeoTitle && content.trim() === (item.originalSeoTitle || "").trim() };
+  }
+  if (contentType === "alt-text") {
+    const restored = JSON.parse(content || "[]");
+    const altTexts = item.altTexts.map(image => {
+      const match = restored.find(restoredImage => restoredImage.id === image.id);
+      return match ? { ...image, current: match.alt } : image;
+    });
+    return { ...updated, altTexts, isAltTextReverted: altTexts.length > 0 && altTexts.every(image => image.current === image.original) };
+  }
+  if (contentType.startsWith("translation:")) {
+    return {
+      ...updated,
+      translationOriginals: item.translationOriginals.map(original =>
+        `translation:${original.locale}` === contentType
+          ? { ...original, currentContent: content, isReverted: isSameContent(content, original.originalContent) }
+          : original
+      ),
+    };
+  }
+  return updated;
+};
+
 export default function ContentDashboard() {
 
 
   const navigation = useNavigation();
   const isLoading = navigation.state === "loading";
+  // `allMatching` selects every item matching the filters, including ones
+  // not loaded yet. The server looks them up when a bulk action starts.
+  const [selection, setSelection] = useState({ ids: new Set(), allMatching: false });
+  const loaderData = useLoaderData();
+  // Search, type and sort run on the server. `cursor` continues the list
+  // where the last page ended.
+  const [listQuery, setListQuery] = useState({
+    sort: "updated-desc",
+    cursor: loaderData.cursor,
+    isLoading: false,
+    controller: null
+  });
   
   // Show skeleton while loading
   if (isLoading) {
@@ -775,9 +801,8 @@ export default function ContentDashboard() {
   }
 
 
-  const loaderData = useLoaderData();
   const [items, setItems] = useState(loaderData.items);
-  const { totalItems, productCount, collectionCount, modifiedCount } = loaderData;
+  const { totalItems, productCount, collectionCount, modifiedCount, imagesMissingAlt, locales, storefrontUrl, scheduledChanges = [], bulkAction, catalogSync, imagesMissingAltComplete } = loaderData;
   const fetcher = useFetcher();
   const shopify = useAppBridge();
   const navigate = useNavigate();
@@ -829,14 +854,46 @@ export default function ContentDashboard() {
   
    const [isRecommendedAppsLoading, setIsRecommendedAppsLoading] = useState(true);
   useEffect(() => {
-    if (fetcher.data?.success) {
+    if (fetcher.data?.success && fetcher.data.restoredVersion) {
+      shopify.toast.show(fetcher.data.message);
+      setReverting(null);
+
+      const version = fetcher.data.restoredVersion;
+      setItems(prevItems =>
+        prevItems.map(prevItem => (prevItem.id === version.itemId ? applyRestoredVersion(prevItem, version) : prevItem))
+      );
+    } else if (fetcher.data?.success) {
       shopify.toast.show(fetcher.data.message);
       setReverting(null);
       
       // Update the item state without reloading
-      const { item } = fetcher.data;
+      const { item, version } = fetcher.data;
       setItems(prevItems => 
-        prevItems.map(prevItem => {
+        prevItems.map(prevItem => withVersion(prevItem, version)).map(prevItem => {
+          if (prevItem.id === item.id && item.contentType.startsWith('translation:')) {
+            return {
+              ...prevItem,
+              translationOriginals: prevItem.translationOriginals.map(original =>
+                `translation:${original.locale}` === item.contentType
+                  ? { ...original, currentContent: original.originalContent, isReverted: true }
+                  : original
+              ),
+            };
+          }
+          if (prevItem.id === item.id && item.contentType === 'seo-title') {
+            return {
+              ...prevItem,
+              isSeoTitleReverted: true,
+              currentSeoTitle: item.originalContent,
+            };
+          }
+          if (prevItem.id === item.id && item.contentType === 'alt-text') {
+            return {
+              ...prevItem,
+              isAltTextReverted: true,
+              altTexts: prevItem.altTexts.map(image => ({ ...image, current: image.original })),
+            };
+          }
           if (prevItem.id === item.id) {
             return {
               ...prevItem,
@@ -847,6 +904,8 @@ export default function ContentDashboard() {
           return prevItem;
         })
       );
+    } else if (fetcher.data?.conflicts) {
+      // Leave `reverting` set: the conflict dialog stays open until it is resolved.
     } else if (fetcher.data?.success === false) {
       const errorMessage = fetcher.data.errors?.[0]?.message || fetcher.data.error || "An error occurred";
       shopify.toast.show("Error: " + errorMessage, {
@@ -856,15 +915,91 @@ export default function ContentDashboard() {
     }
   }, [fetcher.data, shopify]);
 
-  const filteredItems = items.filter(item => {
-    const matchesSearch = item.title.toLowerCase().includes(searchValue.toLowerCase());
-    const matchesType = typeFilter === "all" || item.type === typeFilter;
-    const matchesStatus = statusFilter === "all" || 
-      (statusFilter === "reverted" && (item.isDescriptionReverted || item.isSeoReverted)) ||
-      (statusFilter === "ai-active" && !item.isDescriptionReverted && !item.isSeoReverted);
-    
-    return matchesSearch && matchesType && matchesStatus;
-  });
+  // Loads the first page for new filters, or the next page with `append`.
+  // Typing is debounced, and a newer request cancels the one before it.
+  const loadItems = ({ search = searchValue, type = typeFilter, sort = listQuery.sort, status = statusFilter, append = false } = {}) => {
+    listQuery.controller?.abort();
+    const controller = new AbortController();
+    const params = new URLSearchParams({ q: search, type, sort, status });
+    if (append) {
+      params.set("cursor", JSON.stringify(listQuery.cursor));
+    } else {
+      // A selection made under other filters no longer applies.
+      setSelection({ ids: new Set(), allMatching: false });
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/app/api/dashboard_items?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!data.success) {
+          throw new Error(data.error);
+        }
+
+        setItems(prevItems => append
+          ? [...prevItems, ...data.items.filter(item => !prevItems.some(prevItem => prevItem.id === item.id))]
+          : data.items);
+        setListQuery(prev => ({ ...prev, cursor: data.cursor, isLoading: false, controller: null }));
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        setListQuery(prev => ({ ...prev, isLoading: false, controller: null }));
+        shopify.toast.show("Error: " + error.message, { isError: true });
+      }
+    }, append ? 0 : 300);
+    controller.signal.addEventListener("abort", () => clearTimeout(timer));
+
+    setListQuery(prev => ({ ...prev, sort, isLoading: true, controller }));
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchValue(value);
+    loadItems({ search: value });
+  };
+
+  const handleTypeFilterChange = (value) => {
+    setTypeFilter(value);
+    loadItems({ type: value });
+  };
+
+  const handleSortChange = (value) => {
+    loadItems({ sort: value });
+  };
+
+  const handleStatusFilterChange = (value) => {
+    setStatusFilter(value);
+    loadItems({ status: value });
+  };
+
+  // The server filters by status too; this keeps loaded items in step when a
+  // revert or restore changes their status.
+  const filteredItems = items.filter(item => matchesStatus(item, statusFilter));
+
+  const isSelected = (item) => selection.allMatching || selection.ids.has(item.id);
+  const selectedItems = filteredItems.filter(isSelected);
+  const allMatchingSelected = selection.allMatching ||
+    (!listQuery.cursor && filteredItems.length > 0 && filteredItems.every(isSelected));
+
+  const toggleSelected = (itemId, checked) => {
+    const newSelected = new Set(selection.allMatching ? filteredItems.map(item => item.id) : selection.ids);
+    if (checked) {
+      newSelected.add(itemId);
+    } else {
+      newSelected.delete(itemId);
+    }
+    setSelection({ ids: newSelected, allMatching: false });
+  };
+
+  const handleSelectAllMatching = (checked) => {
+    setSelection({ ids: new Set(), allMatching: checked });
+  };
+
+  // Versions recorded by a bulk action, applied oldest first.
+  const handleBulkVersions = (versions) => {
+    const sorted = [...versions].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    setItems(prevItems => prevItems.map(item =>
+      sorted.filter(version => version.itemId === item.id).reduce(applyRestoredVersion, item)
+    ));
+  };
 
   const toggleExpanded = (itemId) => {
     const newExpanded = new Set(expandedItems);
@@ -902,6 +1037,7 @@ export default function ContentDashboard() {
         itemId: item.id,
         itemType: item.type,
         originalContent: item.originalDescription,
+        baseContent: item.currentDescriptionHtml,
         contentType: "description",
       },
       { method: "POST", encType: "application/json" }
@@ -930,12 +1066,182 @@ export default function ContentDashboard() {
         itemId: item.id,
         itemType: item.type,
         originalContent: item.originalSeoDescription,
+        baseContent: item.currentSeoDescription,
         contentType: "seo",
       },
       { method: "POST", encType: "application/json" }
     );
   };
 
+  const handleRevertSeoTitle = async (item) => {
+    if (item.isSeoTitleReverted) {
+      shopify.toast.show("SEO title has already been reverted to original content", { 
+        isError: false,
+        duration: 3000 
+      });
+      return;
+    }
+
+    if (!item.hasAiSeoTitle) {
+      shopify.toast.show("No original SEO title available to revert", { isError: true });
+      return;
+    }
+
+    setReverting(`${item.id}-seo-title`);
+
+    fetcher.submit(
+      {
+        action: "revert",
+        itemId: item.id,
+        itemType: item.type,
+        originalContent: item.originalSeoTitle,
+        baseContent: item.currentSeoTitle || "",
+        contentType: "seo-title",
+      },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  const handleRevertAltText = async (item) => {
+    if (item.isAltTextReverted) {
+      shopify.toast.show("Alt text has already been reverted to original content", { 
+        isError: false,
+        duration: 3000 
+      });
+      return;
+    }
+
+    if (!item.hasAiAltText || item.altTexts.length === 0) {
+      shopify.toast.show("No original alt text available to revert", { isError: true });
+      return;
+    }
+
+    setReverting(`${item.id}-alt-text`);
+
+    fetcher.submit(
+      {
+        action: "revert",
+        itemId: item.id,
+        itemType: item.type,
+        originalContent: JSON.stringify(item.altTexts.map(image => ({ id: image.id, alt: image.original }))),
+        baseContent: getBaseContent(item, "alt-text"),
+        contentType: "alt-text",
+      },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  const handleRevertTranslation = async (item, original) => {
+    if (original.isReverted) {
+      shopify.toast.show("This translation has already been reverted", { 
+        isError: false,
+        duration: 3000 
+      });
+      return;
+    }
+
+    setReverting(`${item.id}-translation:${original.locale}`);
+
+    fetcher.submit(
+      {
+        action: "revert",
+        itemId: item.id,
+        itemType: item.type,
+        originalContent: original.originalContent,
+        baseContent: original.currentContent ?? null,
+        contentType: `translation:${original.locale}`,
+      },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  const conflict = fetcher.state === "idle" && reverting ? fetcher.data?.conflicts?.[0] : null;
+
+  const handleOverwriteConflict = () => {
+    if (conflict.versionId) {
+      fetcher.submit(
+        { action: "restore", versionId: conflict.versionId, force: true },
+        { method: "POST", encType: "application/json" }
+      );
+      return;
+    }
+
+    fetcher.submit(
+      {
+        action: "revert",
+        itemId: conflict.itemId,
+        itemType: conflict.itemType,
+        originalContent: conflict.incoming,
+        contentType: conflict.contentType,
+        force: true,
+      },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  const handleKeepShopifyVersion = () => {
+    const field = {
+      description: "currentDescriptionHtml",
+      seo: "currentSeoDescription",
+      "seo-description": "currentSeoDescription",
+      "seo-title": "currentSeoTitle",
+    }[conflict.contentType];
+    const keepCurrent = (item) => {
+      if (field) {
+        return { ...item, [field]: conflict.current };
+      }
+      if (conflict.contentType === "alt-text") {
+        const current = JSON.parse(conflict.current);
+        return {
+          ...item,
+          altTexts: item.altTexts.map(image => {
+            const match = current.find(currentImage => currentImage.id === image.id);
+            return match ? { ...image, current: match.alt } : image;
+          }),
+        };
+      }
+      return {
+        ...item,
+        translationOriginals: item.translationOriginals.map(original =>
+          `translation:${original.locale}` === conflict.contentType ? { ...original, currentContent: conflict.current } : original
+        ),
+      };
+    };
+    setItems(prevItems =>
+      prevItems.map(prevItem => (prevItem.id === conflict.itemId ? keepCurrent(prevItem) : prevItem))
+    );
+    setReverting(null);
+    shopify.toast.show("Kept the version in Shopify");
+  };
+
+  const handleRestoreVersion = (item, version) => {
+    setReverting(`version-${version.id}`);
+    fetcher.submit(
+      { action: "restore", versionId: version.id, baseContent: getBaseContent(item, version.contentType) },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  const getCoverageBadge = (coverage, locale) => {
+    if (!coverage || coverage.total === 0) {
+      return <Badge key={locale} size="small">{`${locale.toUpperCase()} –`}</Badge>;
+    }
+    const complete = coverage.translated === coverage.total && coverage.outdated === 0;
+    return (
+      <Badge
+        key={locale}
+        size="small"
+        tone={complete ? "success" : coverage.translated > 0 ? "attention" : undefined}
+      >
+        {`${locale.toUpperCase()} ${coverage.translated}/${coverage.total}${coverage.outdated ? ` (${coverage.outdated} outdated)` : ""}`}
+      </Badge>
+    );
+  };
+
+  const handleGenerateAltText = (group) => {
+    navigate(`/app/generate_contnet?pageType=${group.pageType}&itemId=${encodeURIComponent(group.itemId)}&contentType=alt-text`);
+  };
+
   const getTypeBadge = (type) => {
     return type === 'product' ? 
       <Badge status="info" size="small">Product</Badge> : 
@@ -946,43 +1252,6 @@ export default function ContentDashboard() {
   const ScrollableContent = ({ content, maxHeight = "150px", isReverted = false }) => {
     if (!content) return <Text variant="bodySm" tone="subdued">No content available</Text>;
     
-    // Function to convert plain text to proper HTML formatting
-    const convertToHtmlFormat = (text) => {
-      // Check if content already has HTML tags
-      const hasHtmlTags = /<[a-z][\s\S]*>/i.test(text);
-      
-      if (hasHtmlTags) {
-        return text; // Already HTML formatted
-      }
-      
-      let formattedContent = text
-
-        .replace(/\r?\n/g, '<br>')
-        // Convert double line breaks to paragraphs
-        .replace(/(<br>\s*){2,}/g, '</p><p>')
-        // Add opening and closing paragraph tags
-        .replace(/^/, '<p>')
-        .replace(/$/, '</p>')
-        // Clean up empty paragraphs
-        .replace(/<p><\/p>/g, '')
-        .replace(/<p>\s*<br>\s*<\/p>/g, '<p></p>')
-        // Handle bold text patterns
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/__(.*?)__/g, '<strong>$1</strong>')
-        // Handle italic text patterns
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')
-        .replace(/_(.*?)_/g, '<em>$1</em>')
-        // Handle bullet points
-        .replace(/^\s*[-•*]\s+(.+)$/gm, '<li>$1</li>')
-        // Wrap consecutive list items in ul tags
-        .replace(/(<li>.*<\/li>)/gs, '<ul>$1</ul>')
-        // Handle numbered lists
-        .replace(/^\s*\d+\.\s+(.+)$/gm, '<li>$1</li>')
-        // Clean up any remaining line breaks inside paragraphs
-        .replace(/<p>([^<]*)<br>([^<]*)<\/p>/g, '<p>$1 $2</p>');
-      
-      return formattedContent;
-    };
   
     return (
       <div style={{
@@ -996,7 +1265,7 @@ export default function ContentDashboard() {
         lineHeight: "1.6"
       }}>
         <div 
-          dangerouslySetInnerHTML={{ __html: convertToHtmlFormat(content) }} 
+          dangerouslySetInnerHTML={{ __html: toSafeHtml(content) }} 
           style={{
             fontFamily: "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif",
             color: "#202223"
@@ -1073,6 +1342,14 @@ export default function ContentDashboard() {
         </div>
   );
 
+  // How the item's live SEO fields look in search results. Shopify falls back
+  // to the title and description when they are empty.
+  const getSerpPreview = (item) => ({
+    title: item.currentSeoTitle || item.title,
+    description: item.currentSeoDescription || item.currentDescription,
+    url: buildItemUrl(storefrontUrl, item.type, item.handle)
+  });
+
   const ContentComparison = ({ item }) => {
     const [selectedTab, setSelectedTab] = useState(0);
     
@@ -1087,6 +1364,26 @@ export default function ContentDashboard() {
         content: 'SEO Description',
         panelID: 'seo-panel',
       },
+      {
+        id: 'seo-title',
+        content: 'SEO Title',
+        panelID: 'seo-title-panel',
+      },
+      {
+        id: 'alt-text',
+        content: 'Alt Text',
+        panelID: 'alt-text-panel',
+      },
+      {
+        id: 'translations',
+        content: 'Translations',
+        panelID: 'translations-panel',
+      },
+      {
+        id: 'history',
+        content: `History (${item.history.length})`,
+        panelID: 'history-panel',
+      },
     ];
 
     return (
@@ -1206,6 +1503,16 @@ export default function ContentDashboard() {
               ) : (
                 <NotAiGeneratedMessage contentType="description" />
               )}
+              {item.hasAiDescription && item.originalDescription && (
+                <div style={{ marginTop: '24px' }}>
+                  <ContentDiff
+                    before={item.originalDescription}
+                    after={item.currentDescriptionHtml}
+                    beforeLabel="Original"
+                    afterLabel="Current"
+                  />
+                </div>
+              )}
             </div>
           )}
         {selectedTab === 1 && (
@@ -1349,6 +1656,269 @@ export default function ContentDashboard() {
               ) : (
                 <NotAiGeneratedMessage contentType="SEO description" />
               )}
+              {item.hasAiSeo && item.originalSeoDescription && (
+                <div style={{ marginTop: '24px' }}>
+                  <ContentDiff
+                    before={item.originalSeoDescription}
+                    after={item.currentSeoDescription}
+                    beforeLabel="Original"
+                    afterLabel="Current"
+                    allowMarkup={false}
+                  />
+                </div>
+              )}
+              {item.hasAiSeo && (
+                <div style={{ marginTop: '24px' }}>
+                  <SerpPreview {...getSerpPreview(item)} />
+                </div>
+              )}
+            </div>
+          )}
+        {selectedTab === 2 && (
+            <div style={{ 
+              marginTop: '24px',
+              backgroundColor: '#fafbfc',
+              borderRadius: '8px',
+              padding: '24px'
+            }}>
+              {item.hasAiSeoTitle ? (
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1fr 1fr',
+                  gap: '24px'
+                }}>
+                  {/* Original SEO Title */}
+                  <div>
+                    <div style={{ 
+                      display: 'flex', 
+                      alignItems: 'center', 
+                      justifyContent: 'space-between', 
+                      marginBottom: '16px',
+                      paddingBottom: '12px',
+                      borderBottom: '2px solid #e5e7eb'
+                    }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <span style={{ fontSize: '16px' }}>🏷️</span>
+                        <Text variant="headingXs" as="h4" tone="subdued">
+                          Original SEO Title
+                        </Text>
+                      </div>
+                      <Button 
+                        size="micro" 
+                        onClick={() => handleRevertSeoTitle(item)}
+                        loading={reverting === `${item.id}-seo-title`}
+                        tone={item.isSeoTitleReverted ? "success" : "critical"}
+                      >
+                        {item.isSeoTitleReverted ? "✅ Reverted" : "Revert Changes"}
+                      </Button>
+                    </div>
+                    <div style={{
+                      padding: '20px',
+                      backgroundColor: 'white',
+                      border: '2px solid #dbeafe',
+                      borderRadius: '12px',
+                      position: 'relative',
+                      boxShadow: '0 1px 3px rgba(0, 0, 0, 0.05)'
+                    }}>
+                      {item.originalSeoTitle ? (
+                        <Text variant="bodyMd">{item.originalSeoTitle}</Text>
+                      ) : (
+                        <Text variant="bodySm" tone="subdued" style={{ fontStyle: 'italic' }}>
+                          No SEO title was set, so Shopify used the {item.type} title
+                        </Text>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Current SEO Title */}
+                  <div>
+                    <div style={{ 
+                      display: 'flex', 
+                      alignItems: 'center',
+                      justifyContent: 'space-between', 
+                      marginBottom: '16px',
+                      paddingBottom: '12px',
+                      borderBottom: '2px solid #e5e7eb'
+                    }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <span style={{ fontSize: '16px' }}>
+                          {item.isSeoTitleReverted ? '🔄' : '✨'}
+                        </span>
+                        <Text variant="headingXs" as="h4" tone="subdued">
+                          {item.isSeoTitleReverted ? "Current SEO Title (Reverted)" : "Current SEO Title (AI Enhanced)"}
+                        </Text>
+                      </div>
+                      <Badge tone={(item.currentSeoTitle || "").length > SEO_TITLE_LIMIT ? "critical" : undefined}>
+                        {`${(item.currentSeoTitle || "").length} / ${SEO_TITLE_LIMIT}`}
+                      </Badge>
+                    </div>
+                    <div style={{
+                      padding: '20px',
+                      backgroundColor: 'white',
+                      border: `2px solid ${item.isSeoTitleReverted ? '#dbeafe' : '#fed7aa'}`,
+                      borderRadius: '12px',
+                      position: 'relative',
+                      boxShadow: '0 1px 3px rgba(0, 0, 0, 0.05)'
+                    }}>
+                      {item.currentSeoTitle ? (
+                        <Text variant="bodyMd">{item.currentSeoTitle}</Text>
+                      ) : (
+                        <Text variant="bodySm" tone="subdued" style={{ fontStyle: 'italic' }}>
+                          No SEO title set
+                        </Text>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ) : (
+                <NotAiGeneratedMessage contentType="SEO title" />
+              )}
+              {item.hasAiSeoTitle && (
+                <div style={{ marginTop: '24px' }}>
+                  <SerpPreview {...getSerpPreview(item)} />
+                </div>
+              )}
+            </div>
+          )}
+        {selectedTab === 3 && (
+            <div style={{ 
+              marginTop: '24px',
+              backgroundColor: '#fafbfc',
+              borderRadius: '8px',
+              padding: '24px'
+            }}>
+              {item.hasAiAltText ? (
+                <BlockStack gap="400">
+                  <div style={{ 
+                    display: 'flex', 
+                    alignItems: 'center', 
+                    justifyContent: 'space-between', 
+                    paddingBottom: '12px',
+                    borderBottom: '2px solid #e5e7eb'
+                  }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <span style={{ fontSize: '16px' }}>🖼️</span>
+                      <Text variant="headingXs" as="h4" tone="subdued">
+                        Image Alt Text
+                      </Text>
+                    </div>
+                    <Button 
+                      size="micro" 
+                      onClick={() => handleRevertAltText(item)}
+                      loading={reverting === `${item.id}-alt-text`}
+                      tone={item.isAltTextReverted ? "success" : "critical"}
+                      disabled={item.altTexts.length === 0}
+                    >
+                      {item.isAltTextReverted ? "✅ Reverted" : "Revert Changes"}
+                    </Button>
+                  </div>
+                  {item.altTexts.length === 0 ? (
+                    <Text variant="bodySm" tone="subdued" style={{ fontStyle: 'italic' }}>
+                      The images this alt text was generated for no longer exist
+                    </Text>
+                  ) : (
+                    item.altTexts.map(image => (
+                      <div
+                        key={image.id}
+                        style={{
+                          display: 'grid',
+                          gridTemplateColumns: '60px 1fr 1fr',
+                          gap: '16px',
+                          alignItems: 'start',
+                          padding: '12px',
+                          backgroundColor: 'white',
+                          border: '1px solid #e5e7eb',
+                          borderRadius: '12px'
+                        }}
+                      >
+                        <img
+                          src={image.url}
+                          alt={image.current}
+                          style={{ width: "60px", height: "60px", objectFit: "cover", borderRadius: "8px" }}
+                        />
+                        <BlockStack gap="100">
+                          <Text variant="bodySm" tone="subdued">Original</Text>
+                          <Text variant="bodyMd">{image.original || "No alt text"}</Text>
+                        </BlockStack>
+                        <BlockStack gap="100">
+                          <Text variant="bodySm" tone="subdued">
+                            {image.current === image.original ? "Current (Reverted)" : "Current (AI Enhanced)"}
+                          </Text>
+                          <Text variant="bodyMd">{image.current || "No alt text"}</Text>
+                        </BlockStack>
+                      </div>
+                    ))
+                  )}
+                </BlockStack>
+              ) : (
+                <NotAiGeneratedMessage contentType="alt text" />
+              )}
+            </div>
+          )}
+        {selectedTab === 4 && (
+            <div style={{ 
+              marginTop: '24px',
+              backgroundColor: '#fafbfc',
+              borderRadius: '8px',
+              padding: '24px'
+            }}>
+              {locales.length === 0 ? (
+                <Text variant="bodySm" tone="subdued">
+                  This store has no additional languages enabled.
+                </Text>
+              ) : (
+                <BlockStack gap="300">
+                  {locales.map(({ locale, name }) => {
+                    const coverage = item.translationCoverage[locale];
+                    const original = item.translationOriginals.find(entry => entry.locale === locale);
+                    return (
+                      <div
+                        key={locale}
+                        style={{
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'space-between',
+                          padding: '12px 16px',
+                          backgroundColor: 'white',
+                          border: '1px solid #e5e7eb',
+                          borderRadius: '12px'
+                        }}
+                      >
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text variant="bodyMd" fontWeight="semibold">{name}</Text>
+                          {getCoverageBadge(coverage, locale)}
+                        </InlineStack>
+                        {original ? (
+                          <Button 
+                            size="micro" 
+                            onClick={() => handleRevertTranslation(item, original)}
+                            loading={reverting === `${item.id}-translation:${locale}`}
+                            tone={original.isReverted ? "success" : "critical"}
+                          >
+                            {original.isReverted ? "✅ Reverted" : "Revert Changes"}
+                          </Button>
+                        ) : (
+                          <Text variant="bodySm" tone="subdued">Not translated by the app</Text>
+                        )}
+                      </div>
+                    );
+                  })}
+                </BlockStack>
+              )}
+            </div>
+          )}
+        {selectedTab === 5 && (
+            <div style={{ 
+              marginTop: '24px',
+              backgroundColor: '#fafbfc',
+              borderRadius: '8px',
+              padding: '24px'
+            }}>
+              <VersionHistory
+                versions={item.history}
+                onRestore={(version) => handleRestoreVersion(item, version)}
+                restoringId={reverting?.startsWith('version-') ? reverting.slice('version-'.length) : null}
+              />
             </div>
           )}
         </Tabs>
@@ -1369,6 +1939,12 @@ export default function ContentDashboard() {
             alignItems: 'center',
             justifyContent: 'center',
             textAlign: 'ceter'}}>
+              <Checkbox
+                label={`Select ${item.title}`}
+                labelHidden
+                checked={isSelected(item)}
+                onChange={(checked) => toggleSelected(item.id, checked)}
+              />
               <div style={{ 
                 width: "60px", 
                 height: "60px", 
@@ -1419,6 +1995,18 @@ export default function ContentDashboard() {
                 color: '#6b7280',
                 borderRadius: '20px',
                 fontWeight: '500'}}>   {getTypeBadge(item.type)}</span>
+                  {item.manuallyEditedTypes?.length > 0 && (
+                    <InlineStack>
+                      <Badge tone="warning" size="small">
+                        {`Manually edited: ${item.manuallyEditedTypes.map(contentType => MANUAL_EDIT_LABELS[contentType]).join(", ")}`}
+                      </Badge>
+                    </InlineStack>
+                  )}
+                  {locales.length > 0 && (
+                    <InlineStack gap="100">
+                      {locales.map(({ locale }) => getCoverageBadge(item.translationCoverage[locale], locale))}
+                    </InlineStack>
+                  )}
                 </BlockStack>
               </div>
             </InlineStack>
@@ -1451,6 +2039,19 @@ export default function ContentDashboard() {
     { label: "Products", value: "product" },
     { label: "Collections", value: "collection" },
   ];
+  const sortOptions = [
+    { label: "Recently updated", value: "updated-desc" },
+    { label: "Least recently updated", value: "updated-asc" },
+    { label: "Title A–Z", value: "title-asc" },
+    { label: "Title Z–A", value: "title-desc" },
+    { label: "Relevance", value: "relevance" },
+  ];
+  const statusOptions = [
+    { label: "All Statuses", value: "all" },
+    { label: "AI content live", value: "ai-active" },
+    { label: "Reverted", value: "reverted" },
+    { label: "Manually edited after AI publish", value: "manually-edited" },
+  ];
   return (
     <Page>
       <TitleBar title="📝 AI-Modified Content Dashboard" />
@@ -1547,6 +2148,14 @@ export default function ContentDashboard() {
           </BlockStack>
         </div>
 
+        <CatalogSync catalogSync={catalogSync} />
+
+        {scheduledChanges.length > 0 && <ScheduledChanges changes={scheduledChanges} />}
+
+        {imagesMissingAlt.length > 0 && (
+          <MissingAltText images={imagesMissingAlt} complete={imagesMissingAltComplete} onGenerate={handleGenerateAltText} />
+        )}
+
         {totalItems === 0 && (
           <Card>
             <div style={{ textAlign: "center", padding: "80px 40px" }}>
@@ -1600,7 +2209,7 @@ export default function ContentDashboard() {
                 <div
                   style={{
                     display: "grid",
-                    gridTemplateColumns: "2fr 1fr 1fr",
+                    gridTemplateColumns: "2fr 1fr 1fr 1fr",
                     gap: "20px",
                     alignItems: "end",
                   }}
@@ -1608,10 +2217,10 @@ export default function ContentDashboard() {
                   <TextField
                     label="Search"
                     value={searchValue}
-                    onChange={setSearchValue}
-                    placeholder="Search by product or collection name..."
+                    onChange={handleSearchChange}
+                    placeholder="Search by title, handle, SKU, vendor or tag..."
                     clearButton
-                    onClearButtonClick={() => setSearchValue("")}
+                    onClearButtonClick={() => handleSearchChange("")}
                     prefix="🔍"
                   />
 
@@ -1619,7 +2228,21 @@ export default function ContentDashboard() {
                     label="Type"
                     options={typeOptions}
                     value={typeFilter}
-                    onChange={setTypeFilter}
+                    onChange={handleTypeFilterChange}
+                  />
+
+                  <Select
+                    label="Sort by"
+                    options={sortOptions}
+                    value={listQuery.sort}
+                    onChange={handleSortChange}
+                  />
+
+                  <Select
+                    label="Status"
+                    options={statusOptions}
+                    value={statusFilter}
+                    onChange={handleStatusFilterChange}
                   />
                 </div>
               </BlockStack>
@@ -1627,6 +2250,21 @@ export default function ContentDashboard() {
           </Card>
         )}
 
+        {totalItems > 0 && (
+          <BulkActions
+            selectedItems={selectedItems}
+            matchingCount={filteredItems.length}
+            allMatching={selection.allMatching}
+            allMatchingSelected={allMatchingSelected}
+            filters={{ q: searchValue, type: typeFilter, sort: listQuery.sort, status: statusFilter }}
+            onSelectAllMatching={handleSelectAllMatching}
+            onClearSelection={() => setSelection({ ids: new Set(), allMatching: false })}
+            initialBulkAction={bulkAction}
+            onVersions={handleBulkVersions}
+            hasMoreItems={!!listQuery.cursor}
+          />
+        )}
+
         {filteredItems.length > 0 ? (
           <BlockStack gap="300">
             {filteredItems.map(item => (
@@ -1647,12 +2285,21 @@ export default function ContentDashboard() {
                 setSearchValue("");
                 setTypeFilter("all");
                 setStatusFilter("all");
+                loadItems({ search: "", type: "all", status: "all" });
               }}>
                 Clear All Filters
               </Button>
             </div>
           </Card>
         ) : null}
+
+        {listQuery.cursor && (
+          <InlineStack align="center">
+            <Button loading={listQuery.isLoading} onClick={() => loadItems({ append: true })}>
+              Load more
+            </Button>
+          </InlineStack>
+        )}
       </BlockStack>
        <Layout.Section>
           <Box paddingBlockEnd="500">
@@ -1728,6 +2375,13 @@ export default function ContentDashboard() {
            
           </Box>
         </Layout.Section>
+        <ConflictResolver
+          conflict={conflict}
+          incomingLabel={conflict?.versionId ? "Restored version" : "Original"}
+          onKeepOurs={handleOverwriteConflict}
+          onKeepTheirs={handleKeepShopifyVersion}
+          onClose={() => setReverting(null)}
+        />
     </Page>
   );
 }
@@ -0,0 +1,83 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { fetchItem, getItemImages } from "../catalog.server";
+import {
+  ContentError,
+  serializeAltTexts,
+  updateImageAltTexts,
+  withOriginalContent
+} from "../content.server";
+import { toPlainText } from "../content-normalizer";
+import { getAuthor, recordVersion } from "../content-versions.server";
+import { assertCanPublishDirectly } from "../approvals.server";
+
+// Publishes generated alt text. The current alt text of every image is stored
+// first so the dashboard can revert it like any other content, and dropped
+// again if Shopify rejects the update.
+export async function action({ request }) {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const { itemId, pageType, images, seoKeywords } = await request.json();
+
+    if (!itemId || !pageType || !images?.length) {
+      return json({
+        success: false,
+        error: "Invalid request parameters"
+      }, { status: 400 });
+    }
+
+    await assertCanPublishDirectly(session.shop);
+
+    const node = await fetchItem(admin, itemId);
+    if (!node) {
+      return json({
+        success: false,
+        error: `This ${pageType} could not be found`
+      }, { status: 404 });
+    }
+
+    const currentImages = getItemImages(node, pageType);
+    const updates = images.filter((image) => currentImages.some((current) => current.id === image.id));
+    if (updates.length === 0) {
+      return json({
+        success: false,
+        error: `None of these images belong to this ${pageType} anymore`
+      }, { status: 409 });
+    }
+
+    const published = updates.map(({ id, alt }) => ({ id, alt: toPlainText(alt || "") }));
+    await withOriginalContent(session.shop, [{
+      originalContent: serializeAltTexts(currentImages),
+      contentType: "alt-text",
+      contentOrigin: pageType,
+      originId: itemId
+    }], () => updateImageAltTexts(admin, { itemId, pageType, images: published }));
+
+    // Versions hold the alt text of every image, including untouched ones.
+    await recordVersion(session.shop, {
+      itemId,
+      pageType,
+      contentType: "alt-text",
+      content: serializeAltTexts(currentImages.map((image) =>
+        published.find((update) => update.id === image.id) || image)),
+      previous: serializeAltTexts(currentImages),
+      action: "publish",
+      author: getAuthor(session, sessionToken),
+      seoKeywords
+    });
+
+    return json({
+      success: true,
+      message: `Alt text published for ${updates.length} image${updates.length === 1 ? "" : "s"}`,
+      images: updates
+    });
+
+  } catch (error) {
+    console.error("Alt Text Publish Error:", error);
+    return json({
+      success: false,
+      error: error instanceof ContentError ? error.message : `Failed to publish alt text: ${error.message}`
+    }, { status: error instanceof ContentError ? error.status : 500 });
+  }
+}
@@ -0,0 +1,97 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { ContentError } from "../content.server";
+import { getAuthor } from "../content-versions.server";
+import { assertCanPublishDirectly } from "../approvals.server";
+import { loadAllMatchingItems, parseDashboardParams } from "../dashboard.server";
+import { buildBulkItems } from "../bulk-action-types";
+import {
+  BULK_ACTION_TYPES,
+  cancelBulkAction,
+  createBulkAction,
+  getBulkAction,
+  getBulkFieldTypes,
+  toCsv
+} from "../bulk-actions.server";
+
+// Progress and the per-item report of a bulk action. `format=csv` downloads
+// the report instead.
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const bulkAction = await getBulkAction(session.shop, url.searchParams.get("id"));
+  if (url.searchParams.get("format") !== "csv") {
+    return json({ bulkAction });
+  }
+  if (!bulkAction) {
+    return new Response("Not found", { status: 404 });
+  }
+
+  return new Response(toCsv(bulkAction), {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${bulkAction.type}-${bulkAction.id}.csv"`,
+    },
+  });
+}
+
+export async function action({ request }) {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const body = await request.json();
+
+    switch (body.action) {
+      case "create": {
+        const { type, seoKeywords } = body;
+        if (!BULK_ACTION_TYPES.includes(type)) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        // Regenerated content is published as it goes, which would skip the review.
+        if (type === "regenerate") {
+          await assertCanPublishDirectly(session.shop);
+        }
+
+        // Selecting every match is resolved here from the dashboard's
+        // filters, the same way its pages are loaded.
+        const items = body.allMatching
+          ? buildBulkItems(type, await loadAllMatchingItems(admin, session.shop, parseDashboardParams(new URLSearchParams(body.filters))))
+          : body.items;
+        if (body.allMatching && items.length === 0) {
+          return json({ success: false, error: "No matching item has fields this action applies to" }, { status: 400 });
+        }
+
+        const fieldTypes = getBulkFieldTypes(type);
+        if (!items?.length || items.some((item) =>
+          !item.itemId || !["product", "collection"].includes(item.pageType) || !fieldTypes.includes(item.contentType))) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        const { id } = await createBulkAction(session.shop, {
+          type,
+          author: getAuthor(session, sessionToken),
+          seoKeywords,
+          items: items.map((item) => ({ ...item, title: item.title || item.itemId }))
+        });
+        const bulkAction = await getBulkAction(session.shop, id);
+
+        return json({ success: true, message: `Started on ${items.length} field${items.length === 1 ? "" : "s"}`, bulkAction });
+      }
+
+      case "cancel": {
+        const cancelled = await cancelBulkAction(session.shop, body.id);
+        return cancelled
+          ? json({ success: true, message: "Bulk action cancelled", bulkAction: await getBulkAction(session.shop, body.id) })
+          : json({ success: false, error: "This bulk action is no longer running" }, { status: 409 });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Bulk Action Error:", error);
+    return json({ success: false, error: error.message }, { status: error instanceof ContentError ? error.status : 500 });
+  }
+}
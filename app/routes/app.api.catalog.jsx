@@ -0,0 +1,31 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { searchCatalog } from "../catalog-mirror.server";
+
+const MAX_PAGE_SIZE = 50;
+
+// Searches products or collections for the item pickers. `summary=1` returns
+// only what the bulk generate and translations pickers render.
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const pageType = url.searchParams.get("pageType");
+
+  if (!["product", "collection"].includes(pageType)) {
+    return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+  }
+
+  try {
+    const { items, pageInfo } = await searchCatalog(admin, session.shop, pageType, {
+      search: url.searchParams.get("q") || "",
+      sort: url.searchParams.get("sort") || "relevance",
+      after: url.searchParams.get("after"),
+      first: Math.min(Number(url.searchParams.get("first")) || 25, MAX_PAGE_SIZE),
+      summary: url.searchParams.get("summary") === "1",
+    });
+    return json({ success: true, items, pageInfo });
+  } catch (error) {
+    console.error("Catalog Search Error:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
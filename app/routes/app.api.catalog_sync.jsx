@@ -0,0 +1,21 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { getCatalogSync, startCatalogSync } from "../catalog-mirror.server";
+
+// Progress of the catalog mirror's sync, and the manual resync.
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  return json({ catalogSync: await getCatalogSync(session.shop) });
+}
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const catalogSync = await startCatalogSync(session.shop);
+    return json({ success: true, message: "Catalog sync started", catalogSync });
+  } catch (error) {
+    console.error("Catalog Sync Error:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,17 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { loadDashboardItems, parseDashboardParams } from "../dashboard.server";
+
+// Further pages of the dashboard, and the first page again for a new search,
+// type or sort order.
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const page = await loadDashboardItems(admin, session.shop, parseDashboardParams(new URL(request.url).searchParams));
+    return json({ success: true, items: page.items, cursor: page.cursor });
+  } catch (error) {
+    console.error("Dashboard Items Error:", error);
+    return json({ success: false, error: `Failed to load items: ${error.message}` }, { status: 500 });
+  }
+}
@@ -0,0 +1,80 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { ContentError } from "../content.server";
+import {
+  commentOnDraft,
+  createDraft,
+  getStaffMember,
+  publishDraft,
+  reviewDraft,
+  submitDraft,
+  updateDraft
+} from "../approvals.server";
+
+// Every step of the review workflow, attributed to the staff member taking it.
+export async function action({ request }) {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const body = await request.json();
+    const staff = await getStaffMember(session, sessionToken);
+
+    switch (body.action) {
+      case "create": {
+        const { itemId, pageType, title, contentType, content, seoKeywords, submit } = body;
+        if (!itemId || !["product", "collection"].includes(pageType) || !contentType) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        const draft = await createDraft(session.shop, staff, {
+          itemId,
+          pageType,
+          title: title || itemId,
+          contentType,
+          content,
+          seoKeywords,
+          submit
+        });
+        return json({ success: true, message: submit ? "Submitted for review" : "Draft saved", draft });
+      }
+
+      case "update": {
+        const draft = await updateDraft(session.shop, staff, body.id, { content: body.content, submit: body.submit });
+        return json({ success: true, message: body.submit ? "Submitted for review" : "Draft saved", draft });
+      }
+
+      case "submit": {
+        const draft = await submitDraft(session.shop, staff, body.id);
+        return json({ success: true, message: "Submitted for review", draft });
+      }
+
+      case "comment": {
+        const draft = await commentOnDraft(session.shop, staff, body.id, body.comment);
+        return json({ success: true, message: "Comment added", draft });
+      }
+
+      case "approve":
+      case "reject": {
+        const draft = await reviewDraft(session.shop, staff, body.id, {
+          approve: body.action === "approve",
+          comment: body.comment
+        });
+        return json({ success: true, message: body.action === "approve" ? "Draft approved" : "Draft sent back to its author", draft });
+      }
+
+      case "publish": {
+        const { draft } = await publishDraft(admin, session.shop, staff, body.id);
+        return json({ success: true, message: `Published to ${draft.title}`, draft });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Draft Review Error:", error);
+    return json({
+      success: false,
+      error: error instanceof ContentError ? error.message : `Failed to update the draft: ${error.message}`
+    }, { status: error instanceof ContentError ? error.status : 500 });
+  }
+}
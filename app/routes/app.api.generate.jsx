@@ -0,0 +1,47 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { generateCandidates, generateText } from "../ai/providers.server";
+import { describeGenerationError, loadGenerationRequest } from "../ai/generation-request.server";
+import { getItemImages } from "../catalog.server";
+
+const MAX_CANDIDATES = 5;
+
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const body = await request.json();
+    const { pageType, contentType, candidateCount } = body;
+    const { node, request: generationRequest } = await loadGenerationRequest(admin, session.shop, body);
+
+    // Alt text is generated once per image rather than once per item.
+    if (contentType === "alt-text") {
+      const images = getItemImages(node, pageType);
+      if (images.length === 0) {
+        return json({
+          success: false,
+          error: `This ${pageType} has no images`
+        }, { status: 400 });
+      }
+
+      const altTexts = await Promise.all(
+        images.map((image) => generateText(session.shop, { ...generationRequest, image }))
+      );
+
+      return json({
+        success: true,
+        images: images.map((image, index) => ({ ...image, generated: altTexts[index] }))
+      });
+    }
+
+    const count = Math.min(Math.max(parseInt(candidateCount, 10) || 1, 1), MAX_CANDIDATES);
+    const candidates = await generateCandidates(session.shop, generationRequest, { count });
+
+    return json({ success: true, candidates });
+
+  } catch (error) {
+    console.error("Content Generation Error:", error);
+    const { status, message } = describeGenerationError(error);
+    return json({ success: false, error: message }, { status });
+  }
+}
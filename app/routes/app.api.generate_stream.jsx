@@ -0,0 +1,62 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { streamText } from "../ai/providers.server";
+import { describeGenerationError, loadGenerationRequest } from "../ai/generation-request.server";
+
+// Streams a single generation to the browser as server-sent events:
+// `token` events carry text as it is produced, followed by `done` or `error`.
+// Closing the connection aborts the upstream AI request.
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  let generationRequest;
+  try {
+    ({ request: generationRequest } = await loadGenerationRequest(admin, session.shop, await request.json()));
+  } catch (error) {
+    console.error("Content Generation Error:", error);
+    const { status, message } = describeGenerationError(error);
+    return json({ success: false, error: message }, { status });
+  }
+
+  const upstream = new AbortController();
+  request.signal.addEventListener("abort", () => upstream.abort());
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event, data) => {
+        if (upstream.signal.aborted) return;
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      };
+
+      try {
+        for await (const text of streamText(session.shop, generationRequest, { signal: upstream.signal })) {
+          send("token", { text });
+        }
+        send("done", {});
+      } catch (error) {
+        if (!upstream.signal.aborted) {
+          console.error("Content Generation Error:", error);
+          send("error", { error: describeGenerationError(error).message });
+        }
+      } finally {
+        try {
+          controller.close();
+        } catch {
+          // Already closed because the browser went away
+        }
+      }
+    },
+    cancel() {
+      upstream.abort();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    },
+  });
+}
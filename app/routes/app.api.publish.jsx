@@ -0,0 +1,69 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { ConflictError, ContentError } from "../content.server";
+import { getAuthor } from "../content-versions.server";
+import { publishContent } from "../publish.server";
+import { assertCanPublishDirectly } from "../approvals.server";
+
+export async function action({ request }) {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const {
+      itemId,
+      pageType,
+      description,
+      seoDescription,
+      seoTitle,
+      seoKeywords,
+      overrideValidation,
+      base,
+      force,
+      edited
+    } = await request.json();
+
+    if (!itemId || !["product", "collection"].includes(pageType)) {
+      return json({
+        success: false,
+        error: "Invalid request parameters"
+      }, { status: 400 });
+    }
+
+    await assertCanPublishDirectly(session.shop);
+
+    const updatedItem = await publishContent(admin, session.shop, {
+      itemId,
+      pageType,
+      description,
+      seoDescription,
+      seoTitle,
+      seoKeywords,
+      overrideValidation,
+      base,
+      force,
+      action: edited ? "edit" : "publish",
+      author: getAuthor(session, sessionToken)
+    });
+
+    return json({
+      success: true,
+      message: `Content updated successfully for ${pageType}!`,
+      updatedItem
+    });
+
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return json({
+        success: false,
+        error: error.message,
+        conflicts: error.conflicts
+      }, { status: error.status });
+    }
+
+    console.error("Content Update Error:", error);
+    return json({
+      success: false,
+      error: error instanceof ContentError ? error.message : `Failed to update content: ${error.message}`
+    }, { status: error instanceof ContentError ? error.status : 500 });
+  }
+}
@@ -0,0 +1,83 @@
+import { json } from "@remix-run/node";
+import { authenticate } from "../shopify.server";
+import { ContentError } from "../content.server";
+import { normalizeContent } from "../content-normalizer";
+import { getAuthor } from "../content-versions.server";
+import { assertCanPublishDirectly } from "../approvals.server";
+import { formatValidationErrors, validateContent } from "../seo-validator";
+import {
+  cancelScheduledChange,
+  createScheduledChange,
+  updateScheduledChange
+} from "../scheduled-changes.server";
+
+// Creates, edits and cancels scheduled changes. Drafts are validated the same
+// way as an immediate publish, since nobody is around when they go live.
+export async function action({ request }) {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const body = await request.json();
+
+    switch (body.action) {
+      case "create": {
+        const { itemId, pageType, title, contentType, seoKeywords, publishAt, overrideValidation } = body;
+        if (!itemId || !["product", "collection"].includes(pageType) || !contentType || !publishAt) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        await assertCanPublishDirectly(session.shop);
+
+        const content = normalizeContent(body.content || "", contentType);
+        if (!overrideValidation) {
+          const error = formatValidationErrors(validateContent({ contentType, content, seoKeywords }));
+          if (error) {
+            return json({ success: false, error }, { status: 422 });
+          }
+        }
+
+        const change = await createScheduledChange(session.shop, {
+          itemId,
+          pageType,
+          title: title || itemId,
+          contentType,
+          content,
+          seoKeywords,
+          author: getAuthor(session, sessionToken),
+          publishAt
+        });
+        return json({ success: true, message: `Scheduled for ${new Date(change.publishAt).toLocaleString()}`, change });
+      }
+
+      case "update": {
+        const { id, content, publishAt, overrideValidation } = body;
+        if (!id || !publishAt) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        await assertCanPublishDirectly(session.shop);
+
+        const change = await updateScheduledChange(session.shop, id, { content, publishAt, overrideValidation });
+        return json({ success: true, message: "Scheduled change updated", change });
+      }
+
+      case "cancel": {
+        if (!body.id) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        await cancelScheduledChange(session.shop, body.id);
+        return json({ success: true, message: "Scheduled change cancelled", cancelledId: body.id });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Schedule Error:", error);
+    return json({
+      success: false,
+      error: error instanceof ContentError ? error.message : `Failed to update the schedule: ${error.message}`
+    }, { status: error instanceof ContentError ? error.status : 500 });
+  }
+}
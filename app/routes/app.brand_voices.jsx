@@ -0,0 +1,217 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  TextField,
+  Button,
+  Badge,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  deleteBrandVoice,
+  FORMALITY_OPTIONS,
+  LENGTH_OPTIONS,
+  listBrandVoices,
+  saveBrandVoice,
+} from "../brand-voices.server";
+
+const EMPTY_VOICE = {
+  id: null,
+  name: "",
+  tone: "",
+  audience: "",
+  formality: "neutral",
+  bannedPhrases: "",
+  exampleCopy: "",
+  preferredLength: "medium",
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const brandVoices = await listBrandVoices(session.shop);
+
+  return json({
+    brandVoices,
+    formalityOptions: FORMALITY_OPTIONS,
+    lengthOptions: LENGTH_OPTIONS,
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const { action, id, ...data } = await request.json();
+
+    if (action === "save") {
+      const brandVoice = await saveBrandVoice(session.shop, data, id);
+      return json({ success: true, message: "Brand voice saved", brandVoice });
+    }
+
+    if (action === "delete" && id) {
+      await deleteBrandVoice(session.shop, id);
+      return json({ success: true, message: "Brand voice deleted", deletedId: id });
+    }
+
+    return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+  } catch (error) {
+    console.error("Brand Voice Error:", error);
+    return json({ success: false, error: error.message }, { status: 400 });
+  }
+};
+
+export default function BrandVoicesPage() {
+  const { brandVoices, formalityOptions, lengthOptions } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [form, setForm] = useState(EMPTY_VOICE);
+
+  const isSaving = fetcher.state !== "idle";
+  const updateForm = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+      if (fetcher.data.brandVoice) {
+        setForm({ ...EMPTY_VOICE, ...fetcher.data.brandVoice });
+      } else if (fetcher.data.deletedId) {
+        setForm((prev) => (prev.id === fetcher.data.deletedId ? EMPTY_VOICE : prev));
+      }
+    } else if (fetcher.data?.success === false) {
+      shopify.toast.show("Error: " + fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSave = () => {
+    fetcher.submit({ action: "save", ...form }, { method: "POST", encType: "application/json" });
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ action: "delete", id }, { method: "POST", encType: "application/json" });
+  };
+
+  return (
+    <Page title="Brand Voices">
+      <TitleBar title="Brand Voices" />
+      <Layout>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">Profiles</Text>
+                <Button size="slim" onClick={() => setForm(EMPTY_VOICE)}>New profile</Button>
+              </InlineStack>
+              {brandVoices.length === 0 ? (
+                <EmptyState heading="No brand voices yet" image="">
+                  <p>Describe how your brand sounds and every generation can follow it.</p>
+                </EmptyState>
+              ) : (
+                brandVoices.map((voice) => (
+                  <div
+                    key={voice.id}
+                    style={{
+                      padding: "12px",
+                      borderRadius: "8px",
+                      border: `1px solid ${form.id === voice.id ? "#3b82f6" : "#e5e7eb"}`,
+                    }}
+                  >
+                    <InlineStack align="space-between" blockAlign="center">
+                      <BlockStack gap="100">
+                        <Text variant="bodyMd" fontWeight="semibold">{voice.name}</Text>
+                        <InlineStack gap="100">
+                          <Badge>{capitalize(voice.formality)}</Badge>
+                          <Badge>{capitalize(voice.preferredLength)}</Badge>
+                        </InlineStack>
+                      </BlockStack>
+                      <InlineStack gap="100">
+                        <Button size="slim" onClick={() => setForm({ ...EMPTY_VOICE, ...voice })}>Edit</Button>
+                        <Button size="slim" tone="critical" onClick={() => handleDelete(voice.id)} disabled={isSaving}>
+                          Delete
+                        </Button>
+                      </InlineStack>
+                    </InlineStack>
+                  </div>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd" as="h2">
+                {form.id ? `Edit "${form.name}"` : "New brand voice"}
+              </Text>
+              <TextField label="Name" value={form.name} onChange={updateForm("name")} autoComplete="off" />
+              <TextField
+                label="Tone"
+                value={form.tone || ""}
+                onChange={updateForm("tone")}
+                autoComplete="off"
+                placeholder="e.g. warm, playful, confident"
+              />
+              <TextField
+                label="Audience"
+                value={form.audience || ""}
+                onChange={updateForm("audience")}
+                autoComplete="off"
+                placeholder="e.g. outdoor enthusiasts aged 25-40"
+              />
+              <InlineStack gap="400" wrap={false}>
+                <div style={{ flex: 1 }}>
+                  <Select
+                    label="Formality"
+                    options={formalityOptions.map((value) => ({ label: capitalize(value), value }))}
+                    value={form.formality}
+                    onChange={updateForm("formality")}
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <Select
+                    label="Preferred length"
+                    options={lengthOptions.map((value) => ({ label: capitalize(value), value }))}
+                    value={form.preferredLength}
+                    onChange={updateForm("preferredLength")}
+                  />
+                </div>
+              </InlineStack>
+              <TextField
+                label="Banned phrases"
+                value={form.bannedPhrases || ""}
+                onChange={updateForm("bannedPhrases")}
+                multiline={3}
+                autoComplete="off"
+                helpText="One word or phrase per line"
+              />
+              <TextField
+                label="Example copy"
+                value={form.exampleCopy || ""}
+                onChange={updateForm("exampleCopy")}
+                multiline={5}
+                autoComplete="off"
+                helpText="Paste copy that represents your brand well. The AI will imitate its style."
+              />
+              <InlineStack align="end">
+                <Button variant="primary" onClick={handleSave} loading={isSaving} disabled={!form.name.trim()}>
+                  Save brand voice
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
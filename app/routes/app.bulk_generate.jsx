@@ -0,0 +1,431 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData, useNavigate, useRevalidator } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  TextField,
+  ChoiceList,
+  Button,
+  Badge,
+  ProgressBar,
+  ResourceList,
+  ResourceItem,
+  Thumbnail,
+  Collapsible,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listCatalogSummaries, searchCatalog } from "../catalog-mirror.server";
+import { cancelJob, createJob, listJobs, retryFailedItems } from "../jobs.server";
+import { assertCanPublishDirectly } from "../approvals.server";
+import { ContentError } from "../content.server";
+import { listBrandVoices } from "../brand-voices.server";
+
+const PLACEHOLDER_IMAGE = "https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-image.png";
+
+// Items are listed a page at a time. Selecting all of them is resolved on the
+// server, so it covers items that were never loaded.
+const CATALOG_PAGE_SIZE = 50;
+
+const CONTENT_TYPE_LABELS = {
+  description: "Description",
+  "seo-description": "SEO Meta Description",
+  "seo-title": "SEO Title",
+};
+
+const STATUS_BADGES = {
+  queued: { tone: "info", label: "Queued" },
+  running: { tone: "attention", label: "Running" },
+  completed: { tone: "success", label: "Completed" },
+  cancelled: { tone: undefined, label: "Cancelled" },
+};
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const [catalog, jobs, brandVoices] = await Promise.all([
+    searchCatalog(admin, session.shop, "product", { sort: "title-asc", first: CATALOG_PAGE_SIZE, summary: true }),
+    listJobs(session.shop),
+    listBrandVoices(session.shop)
+  ]);
+
+  return json({
+    catalog: { items: catalog.items, cursor: catalog.pageInfo.hasNextPage ? catalog.pageInfo.endCursor : null },
+    jobs,
+    brandVoices: brandVoices.map(({ id, name }) => ({ id, name }))
+  });
+}
+
+export async function action({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const body = await request.json();
+
+    switch (body.action) {
+      case "createJob": {
+        const { pageType, contentTypes, seoKeywords, brandVoiceId, allMatching } = body;
+
+        if (!["product", "collection"].includes(pageType) || (!allMatching && !body.items?.length) ||
+          !contentTypes?.length || contentTypes.some((type) => !CONTENT_TYPE_LABELS[type]) ||
+          !seoKeywords?.trim()) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        // Bulk jobs publish as they go, which would skip the review.
+        await assertCanPublishDirectly(session.shop);
+
+        const items = allMatching
+          ? await listCatalogSummaries(admin, session.shop, pageType, { search: body.search })
+          : body.items;
+        if (items.length === 0) {
+          return json({ success: false, error: `No ${pageType}s match the search` }, { status: 400 });
+        }
+
+        await createJob(session.shop, {
+          pageType,
+          contentTypes,
+          seoKeywords: seoKeywords.trim(),
+          brandVoiceId,
+          items: items.map(({ id, title }) => ({ id, title }))
+        });
+
+        return json({ success: true, message: `Generation started for ${items.length} ${pageType}s` });
+      }
+
+      case "cancelJob": {
+        const cancelled = await cancelJob(session.shop, body.jobId);
+        return cancelled
+          ? json({ success: true, message: "Job cancelled" })
+          : json({ success: false, error: "This job is no longer running" }, { status: 409 });
+      }
+
+      case "retryFailed": {
+        await assertCanPublishDirectly(session.shop);
+        const retried = await retryFailedItems(session.shop, body.jobId);
+        return retried
+          ? json({ success: true, message: "Retrying failed items" })
+          : json({ success: false, error: "There are no failed items to retry" }, { status: 409 });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Bulk Generation Error:", error);
+    return json({ success: false, error: error.message }, { status: error instanceof ContentError ? error.status : 500 });
+  }
+}
+
+const JobCard = ({ job, onCancel, onRetry, busy }) => {
+  const [showFailures, setShowFailures] = useState(false);
+  const total = Object.values(job.counts).reduce((sum, count) => sum + count, 0);
+  const succeeded = job.counts.succeeded || 0;
+  const failed = job.counts.failed || 0;
+  const cancelled = job.counts.cancelled || 0;
+  const done = succeeded + failed + cancelled;
+  const isActive = job.status === "queued" || job.status === "running";
+  const badge = STATUS_BADGES[job.status] || STATUS_BADGES.queued;
+  const contentTypes = job.contentTypes.split(",").map((type) => CONTENT_TYPE_LABELS[type] || type);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text variant="headingSm" as="h3">
+              {contentTypes.join(" & ")} for {job.pageType}s
+            </Text>
+            <Text variant="bodySm" tone="subdued">
+              Started {new Date(job.createdAt).toLocaleString()} · Keywords: {job.seoKeywords}
+            </Text>
+          </BlockStack>
+          <Badge tone={badge.tone}>{badge.label}</Badge>
+        </InlineStack>
+
+        <ProgressBar progress={total ? Math.round((done / total) * 100) : 0} size="small" />
+
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="bodySm">
+            {done} of {total} done · {succeeded} succeeded · {failed} failed
+            {cancelled > 0 ? ` · ${cancelled} cancelled` : ""}
+          </Text>
+          <InlineStack gap="200">
+            {failed > 0 && (
+              <Button size="slim" onClick={() => setShowFailures(!showFailures)}>
+                {showFailures ? "Hide failures" : "Show failures"}
+              </Button>
+            )}
+            {failed > 0 && !isActive && (
+              <Button size="slim" onClick={() => onRetry(job.id)} disabled={busy}>
+                Retry failed
+              </Button>
+            )}
+            {isActive && (
+              <Button size="slim" tone="critical" onClick={() => onCancel(job.id)} disabled={busy}>
+                Cancel
+              </Button>
+            )}
+          </InlineStack>
+        </InlineStack>
+
+        <Collapsible open={showFailures} id={`failures-${job.id}`}>
+          <BlockStack gap="200">
+            {job.failedItems.map((item) => (
+              <div key={item.id} style={{ padding: "8px 12px", background: "#fef3f2", borderRadius: "8px" }}>
+                <Text variant="bodySm" fontWeight="semibold">
+                  {item.title} · {CONTENT_TYPE_LABELS[item.contentType] || item.contentType}
+                </Text>
+                <Text variant="bodySm" tone="critical">{item.error}</Text>
+              </div>
+            ))}
+          </BlockStack>
+        </Collapsible>
+      </BlockStack>
+    </Card>
+  );
+};
+
+export default function BulkGeneratePage() {
+  const { catalog: initialCatalog, jobs, brandVoices } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const shopify = useAppBridge();
+  const navigate = useNavigate();
+  const [pageType, setPageType] = useState("product");
+  const [searchTerm, setSearchTerm] = useState("");
+  const [selectedItems, setSelectedItems] = useState([]);
+  const [contentTypes, setContentTypes] = useState(["description"]);
+  const [seoKeywords, setSeoKeywords] = useState("");
+  const [brandVoiceId, setBrandVoiceId] = useState("");
+  // `cursor` continues the list where the last page ended.
+  const [catalog, setCatalog] = useState({ ...initialCatalog, isLoading: false, controller: null });
+
+  // "All" from the list means every match, including items not loaded yet.
+  const allMatching = selectedItems === "All" && !!catalog.cursor;
+  const selectedIds = selectedItems === "All" ? catalog.items.map((item) => item.id) : selectedItems;
+  const hasActiveJobs = jobs.some((job) => job.status === "queued" || job.status === "running");
+  const isSubmitting = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data?.success === false) {
+      shopify.toast.show("Error: " + fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  // Keep progress fresh while anything is still running.
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const interval = setInterval(() => {
+      if (revalidator.state === "idle") revalidator.revalidate();
+    }, 3000);
+    return () => clearInterval(interval);
+  }, [hasActiveJobs, revalidator]);
+
+  // Loads the first page for a new search or page type, or the next page with
+  // `append`. Typing is debounced, and a newer request cancels the one before it.
+  const loadCatalog = ({ search = searchTerm, type = pageType, append = false } = {}) => {
+    catalog.controller?.abort();
+    const controller = new AbortController();
+    const params = new URLSearchParams({ pageType: type, q: search.trim(), sort: "title-asc", first: CATALOG_PAGE_SIZE, summary: "1" });
+    if (append) {
+      params.set("after", catalog.cursor);
+    } else {
+      setSelectedItems([]);
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/app/api/catalog?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!data.success) {
+          throw new Error(data.error);
+        }
+
+        setCatalog((prev) => ({
+          items: append ? [...prev.items, ...data.items.filter((item) => !prev.items.some((existing) => existing.id === item.id))] : data.items,
+          cursor: data.pageInfo.hasNextPage ? data.pageInfo.endCursor : null,
+          isLoading: false,
+          controller: null,
+        }));
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        setCatalog((prev) => ({ ...prev, isLoading: false, controller: null }));
+        shopify.toast.show("Error: " + error.message, { isError: true });
+      }
+    }, append ? 0 : 300);
+    controller.signal.addEventListener("abort", () => clearTimeout(timer));
+
+    setCatalog((prev) => ({ ...prev, isLoading: true, controller }));
+  };
+
+  const handlePageTypeChange = (value) => {
+    setPageType(value);
+    setSearchTerm("");
+    loadCatalog({ search: "", type: value });
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    loadCatalog({ search: value });
+  };
+
+  const handleStart = () => {
+    const selected = catalog.items.filter((item) => selectedIds.includes(item.id));
+    fetcher.submit(
+      {
+        action: "createJob",
+        pageType,
+        contentTypes,
+        seoKeywords,
+        brandVoiceId,
+        ...(allMatching
+          ? { allMatching: true, search: searchTerm.trim() }
+          : { items: selected.map(({ id, title }) => ({ id, title })) }),
+      },
+      { method: "POST", encType: "application/json" }
+    );
+    setSelectedItems([]);
+  };
+
+  const submitJobAction = (action, jobId) =>
+    fetcher.submit({ action, jobId }, { method: "POST", encType: "application/json" });
+
+  return (
+    <Page
+      title="Bulk Generate"
+      backAction={{ content: "Back", onAction: () => navigate("/app") }}
+    >
+      <TitleBar title="Bulk Generate" />
+      <Layout>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="400">
+              <Select
+                label="Page Type"
+                options={[
+                  { label: "Products", value: "product" },
+                  { label: "Collections", value: "collection" }
+                ]}
+                value={pageType}
+                onChange={handlePageTypeChange}
+              />
+              <ChoiceList
+                title="Content to generate"
+                allowMultiple
+                choices={Object.entries(CONTENT_TYPE_LABELS).map(([value, label]) => ({ value, label }))}
+                selected={contentTypes}
+                onChange={setContentTypes}
+              />
+              <TextField
+                label="SEO Keywords"
+                value={seoKeywords}
+                onChange={setSeoKeywords}
+                placeholder="Enter keywords separated by commas"
+                autoComplete="off"
+                helpText="Used for every selected item"
+              />
+              <Select
+                label="Brand voice"
+                options={[
+                  { label: "Default", value: "" },
+                  ...brandVoices.map((voice) => ({ label: voice.name, value: voice.id }))
+                ]}
+                value={brandVoiceId}
+                onChange={setBrandVoiceId}
+              />
+              <Button
+                variant="primary"
+                onClick={handleStart}
+                loading={isSubmitting}
+                disabled={selectedIds.length === 0 || contentTypes.length === 0 || !seoKeywords.trim()}
+                fullWidth
+              >
+                {allMatching
+                  ? `Generate for all matching ${pageType}s`
+                  : `Generate for ${selectedIds.length} ${pageType}${selectedIds.length === 1 ? "" : "s"}`}
+              </Button>
+              <Text variant="bodySm" tone="subdued">
+                Generated content is published to Shopify as each item finishes. Originals are kept so you can revert them from the dashboard.
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            {jobs.length > 0 && (
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Recent jobs</Text>
+                {jobs.map((job) => (
+                  <JobCard
+                    key={job.id}
+                    job={job}
+                    busy={isSubmitting}
+                    onCancel={(jobId) => submitJobAction("cancelJob", jobId)}
+                    onRetry={(jobId) => submitJobAction("retryFailed", jobId)}
+                  />
+                ))}
+              </BlockStack>
+            )}
+
+            <Card padding="0">
+              <div style={{ padding: "16px" }}>
+                <TextField
+                  label={`Search ${pageType}s`}
+                  labelHidden
+                  value={searchTerm}
+                  onChange={handleSearchChange}
+                  placeholder={`Search ${pageType}s`}
+                  autoComplete="off"
+                  clearButton
+                  onClearButtonClick={() => handleSearchChange("")}
+                />
+              </div>
+              <ResourceList
+                resourceName={{ singular: pageType, plural: `${pageType}s` }}
+                items={catalog.items}
+                loading={catalog.isLoading}
+                hasMoreItems={!!catalog.cursor}
+                selectable
+                selectedItems={selectedItems}
+                onSelectionChange={setSelectedItems}
+                renderItem={(item) => (
+                  <ResourceItem
+                    id={item.id}
+                    media={
+                      <Thumbnail
+                        source={item.imageUrl || PLACEHOLDER_IMAGE}
+                        alt={item.title}
+                        size="small"
+                      />
+                    }
+                  >
+                    <Text variant="bodyMd" fontWeight="semibold" as="h3">
+                      {item.title}
+                    </Text>
+                  </ResourceItem>
+                )}
+              />
+              {catalog.cursor && (
+                <InlineStack align="center">
+                  <Button onClick={() => loadCatalog({ append: true })} loading={catalog.isLoading}>
+                    Load more
+                  </Button>
+                </InlineStack>
+              )}
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -22,214 +22,67 @@ import {
   BlockStack,
   Badge,
   InlineStack,
+  ChoiceList,
  
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { useState, useEffect, useRef, useCallback } from "react";
 import { authenticate } from "../shopify.server";
+import { fetchStorefrontUrl } from "../catalog.server";
+import { searchCatalog } from "../catalog-mirror.server";
+import { normalizeContent } from "../content-normalizer";
+import { readEventStream } from "../event-stream";
+import { getContentUpdate, getCurrentContent, SEO_TITLE_LIMIT, withCurrentContent } from "../content-types";
+import { CONTEXT_FIELDS, DEFAULT_CONTEXT_FIELDS } from "../context-fields";
+import CandidateComparison from "../components/CandidateComparison";
+import AltTextEditor from "../components/AltTextEditor";
+import RefineBox from "../components/RefineBox";
+import SeoChecks from "../components/SeoChecks";
+import SerpPreview, { buildItemUrl } from "../components/SerpPreview";
+import ConflictResolver from "../components/ConflictResolver";
+import ContentDiff from "../components/ContentDiff";
+import { formatValidationErrors, validateContent } from "../seo-validator";
+import { listBrandVoices } from "../brand-voices.server";
+import { listPromptTemplates } from "../prompt-templates.server";
+import { requiresApproval } from "../approvals.server";
 import {
   DeleteIcon
 } from '@shopify/polaris-icons';
 
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
-
-  const fetchPaginated = async (query, dataPath) => {
-    let items = [];
-    let hasNextPage = true;
-    let afterCursor = null;
-
-    while (hasNextPage) {
-      const response = await admin.graphql(query, {
-        variables: { first: 100, after: afterCursor }
-      });
-      const json = await response.json();
-      const edges = json.data[dataPath].edges;
-      
-      items = [...items, ...edges.map(edge => edge.node)];
-      hasNextPage = json.data[dataPath].pageInfo.hasNextPage;
-      afterCursor = edges.length > 0 ? edges[edges.length - 1].cursor : null;
-    }
-    return items;
-  };
-
-  const productQuery = `
-    query getProducts($first: Int!, $after: String) {
-      products(first: $first, after: $after) {
-        edges {
-          cursor
-          node {
-            id
-            title
-            description
-            descriptionHtml
-            seo {
-              description
-              title
-            }
-            featuredImage {
-              url
-            }
-          }
-        }
-        pageInfo {
-          hasNextPage
-        }
-      }
-    }
-  `;
-
-  const collectionQuery = `
-    query getCollections($first: Int!, $after: String) {
-      collections(first: $first, after: $after) {
-        edges {
-          cursor
-          node {
-            id
-            title
-            description
-            descriptionHtml
-            seo {
-              description
-              title
-            }
-            image {
-              url
-            }
-          }
-        }
-        pageInfo {
-          hasNextPage
-        }
-      }
-    }
-  `;
-
-  const [products, collections] = await Promise.all([
-    fetchPaginated(productQuery, 'products'),
-    fetchPaginated(collectionQuery, 'collections')
+  const { admin, session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+
+  const pageType = url.searchParams.get("pageType") === "collection" ? "collection" : "product";
+  const itemId = url.searchParams.get("itemId");
+
+  // Items are searched as the user types, so only a preselected one is loaded here.
+  const [preselectedItem, brandVoices, templates, storefrontUrl, requireApproval] = await Promise.all([
+    itemId
+      ? searchCatalog(admin, session.shop, pageType, { first: 1, ids: [itemId] })
+        .then(({ items }) => items[0] || null)
+        .catch(() => null)
+      : null,
+    listBrandVoices(session.shop),
+    listPromptTemplates(session.shop),
+    fetchStorefrontUrl(admin).catch(() => null),
+    requiresApproval(session.shop)
   ]);
 
-  return json({ products, collections,  endpoint: process.env.AI_DESCRIBER_ENDPOINT, });
-  
-}
-
-export async function action({ request }) {
-  const { admin } = await authenticate.admin(request);
-
-  try {
-    const body = await request.json();
-    const { action, itemId, pageType, seoDescription, description } = body;
-
-    if (action !== "updateContent" || !itemId || !pageType) {
-      return json({
-        success: false,
-        error: "Invalid request parameters"
-      }, { status: 400 });
-    }
-
-    const mutations = {
-      product: {
-        query: `
-          mutation productUpdate($input: ProductInput!) {
-            productUpdate(input: $input) {
-              product {
-                id
-                title
-                description
-                descriptionHtml
-                seo {
-                  description
-                  title
-                }
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `,
-        variables: {
-          input: {
-            id: itemId,
-            ...(description && { descriptionHtml: description }),
-            ...(seoDescription && { seo: { description: seoDescription } })
-          }
-        }
-      },
-      collection: {
-        query: `
-          mutation collectionUpdate($input: CollectionInput!) {
-            collectionUpdate(input: $input) {
-              collection {
-                id
-                title
-                description
-                descriptionHtml
-                seo {
-                  description
-                  title
-                }
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `,
-        variables: {
-          input: {
-            id: itemId,
-            ...(description && { descriptionHtml: description }),
-            ...(seoDescription && { seo: { description: seoDescription } })
-          }
-        }
-      }
-    };
-
-    const mutation = mutations[pageType];
-    if (!mutation) {
-      return json({
-        success: false,
-        error: "Invalid page type"
-      }, { status: 400 });
-    }
-
-    const response = await admin.graphql(mutation.query, {
-      variables: mutation.variables
-    });
-    const result = await response.json();
-    const data = result.data?.[`${pageType}Update`];
-
-    if (!data) {
-      return json({
-        success: false,
-        error: "No data returned from GraphQL mutation"
-      }, { status: 500 });
-    }
-
-    if (data.userErrors?.length > 0) {
-      return json({
-        success: false,
-        error: data.userErrors.map(err => `${err.field}: ${err.message}`).join(", ")
-      }, { status: 400 });
+  return json({
+    preselectedItem,
+    storefrontUrl: storefrontUrl || `https://${session.shop}`,
+    requireApproval,
+    brandVoices: brandVoices.map(({ id, name }) => ({ id, name })),
+    templates: templates.map(({ id, name, contentType, productType }) => ({ id, name, contentType, productType })),
+    // The dashboard links here with the item and content type preselected.
+    preselect: {
+      pageType,
+      itemId,
+      contentType: url.searchParams.get("contentType")
     }
-
-    return json({
-      success: true,
-      message: `Content updated successfully for ${pageType}!`,
-      updatedItem: data[pageType]
-    });
-
-  } catch (error) {
-    console.error("Content Update Error:", error);
-    return json({
-      success: false,
-      error: `Failed to update content: ${error.message}`
-    }, { status: 500 });
-  }
+  });
+  
 }
 
 // Skeleton Loader Components
@@ -464,20 +317,64 @@ export default function ProductsPage() {
     return <LoadingSkeleton />;
   }
 
-  const { products, collections, endpoint } = useLoaderData();
+  const { preselectedItem, brandVoices, templates, preselect, storefrontUrl, requireApproval } = useLoaderData();
+  const contentTypeOptions = [
+    { label: "Product/Collection Description", value: "description" },
+    { label: "SEO Meta Description", value: "seo-description" },
+    { label: "SEO Title", value: "seo-title" },
+    { label: "Image Alt Text", value: "alt-text" },
+  ];
+  const searchSortOptions = [
+    { label: "Relevance", value: "relevance" },
+    { label: "Title A–Z", value: "title-asc" },
+    { label: "Title Z–A", value: "title-desc" },
+    { label: "Recently updated", value: "updated-desc" },
+    { label: "Least recently updated", value: "updated-asc" },
+  ];
+
+  const initialPageType = preselect.pageType;
+  const initialItem = preselectedItem;
+  const initialContentType = contentTypeOptions.some((option) => option.value === preselect.contentType)
+    ? preselect.contentType
+    : "description";
+
   const [state, setState] = useState({
-    pageType: "product",
-    contentType: "description",
-    searchTerm: "",
-    selectedItem: null,
+    pageType: initialPageType,
+    contentType: initialContentType,
+    searchTerm: initialItem?.title || "",
+    selectedItem: initialItem,
     showDropdown: false,
+    searchSort: "relevance",
+    searchCursor: null,
+    isSearching: false,
+    searchTimer: null,
+    searchController: null,
     seoKeywords: "",
+    contextFields: DEFAULT_CONTEXT_FIELDS[initialPageType],
+    candidateCount: "1",
+    brandVoiceId: "",
+    templateId: "",
     isLoading: false,
+    isRefining: false,
+    refineInstruction: "",
+    draftHistory: [],
+    overrideValidation: false,
+    isEdited: false,
+    conflict: null,
+    streamedText: "",
+    abortController: null,
     apiResponse: null,
+    candidates: [],
+    selectedCandidate: 0,
+    altTexts: [],
     error: null,
     isEditing: false,
     editedContent: "",
     isPublishing: false,
+    showSchedule: false,
+    scheduleAt: "",
+    isScheduling: false,
+    isSubmittingReview: false,
     successMessage: null
   });
     const navigate = useNavigate();
@@ -488,24 +385,41 @@ export default function ProductsPage() {
   const [suggestions, setSuggestions] = useState([]);
   const inputRef = useRef(null);
   const dropdownRef = useRef(null);
-  const API_ENDPOINT = `${endpoint}/generate-content`;
-  const ENDPOINT = `${endpoint}/content`;
-  const contentTypeOptions = [
-    { label: "Product/Collection Description", value: "description" },
-    { label: "SEO Meta Description", value: "seo-description" },
-  ];
   const updateState = (updates) => setState(prev => ({ ...prev, ...updates }));
   const resetState = () => updateState({
     searchTerm: "",
     selectedItem: null,
     showDropdown: false,
     apiResponse: null,
+    candidates: [],
+    altTexts: [],
+    draftHistory: [],
     error: null,
     successMessage: null,
     isEditing: false,
     editedContent: ""
   });
 
+  const draftContent = state.editedContent ||
+    (state.apiResponse ? normalizeContent(state.apiResponse, state.contentType) : "");
+  const validation = state.apiResponse && state.contentType !== "alt-text"
+    ? validateContent({ contentType: state.contentType, content: draftContent, seoKeywords: state.seoKeywords })
+    : null;
+  const isPublishBlocked = Boolean(validation?.hasErrors) && !state.overrideValidation;
+  // SEO drafts are previewed next to the item's other live search field.
+  const serpPreview = state.apiResponse && state.selectedItem &&
+    ["seo-title", "seo-description"].includes(state.contentType)
+    ? {
+      title: state.contentType === "seo-title"
+        ? draftContent
+        : state.selectedItem.seo?.title || state.selectedItem.title,
+      description: state.contentType === "seo-description"
+        ? draftContent
+        : state.selectedItem.seo?.description || state.selectedItem.description,
+      url: buildItemUrl(storefrontUrl, state.pageType, state.selectedItem.handle)
+    }
+    : null;
+
   const clearSelection = () => updateState({
     searchTerm: "",
     selectedItem: null,
@@ -513,53 +427,6 @@ export default function ProductsPage() {
     error: null
   });
 
-// Fixed getGeneratedText function to handle SEO descriptions properly
-const getGeneratedText = (response, contentType = null) => {
-  let result =
-    typeof response === "string"
-      ? response
-      : typeof response?.message === "string"
-      ? response.message
-      : JSON.stringify(response?.message || response || "", null, 2); 
-  
-  // Clean up basic formatting issues
-  result = result.replace(/,,/g, " ");  
-  result = result.replace(/,\s*/g, " ");   
-  result = result.replace(/„|"|"|"|"/g, ""); 
-  result = result.replace(/\[|\]/g, ""); 
-
-  // For SEO descriptions, return clean text without HTML tags
-  if (contentType === "seo-description" || state.contentType === "seo-description") {
-    result = result.replace(/<[^>]*>/g, '');
-    result = result.replace(/\\n/g, ' ');
-    result = result.replace(/\\/g, '');
-    result = result.replace(/,,/g, " ");  
-    result = result.replace(/,\s*/g, " ");   
-    result = result.replace(/„|"|"|"|"/g, ""); 
-    result = result.replace(/\[|\]/g, ""); 
-    return result.trim().replace(/\s+/g, ' ');
-  }
-
-  // For regular descriptions, process with HTML formatting
-  const bulletPoints = result.match(/•.+/g);
-  if (bulletPoints) {
-    const listItems = bulletPoints.map((point) => `<li>${point.replace(/•\s*/, "")}</li>`).join("");
-    const ul = `<ul>${listItems}</ul>`;
-    result = result.replace(/•.+/g, "");
-    result += ul;
-  }
-  
-  result = result
-    .split("\n")
-    .map((para) => para.trim())
-    .filter((para) => para && !para.startsWith("<li>"))
-    .map((para) => `<p>${para}</p>`)
-    .join("");
-
-  return result;
-};
-
-
   const showToast = useCallback((message, isError = false) => {
     setToastMessage(message);
     setToastError(isError);
@@ -570,8 +437,51 @@ const getGeneratedText = (response, contentType = null) => {
     setToastActive(false);
   }, []);
 
+  // Searches run on the server, debounced while the user types. Only the
+  // latest search is kept: a new one cancels the one before it.
+  const cancelSearch = () => {
+    clearTimeout(state.searchTimer);
+    state.searchController?.abort();
+  };
+
+  const searchCatalog = ({ searchTerm = state.searchTerm, sort = state.searchSort, pageType = state.pageType, after = null, delay = 300 } = {}) => {
+    cancelSearch();
+    const controller = new AbortController();
+
+    const searchTimer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ pageType, q: searchTerm.trim(), sort });
+        if (after) params.set("after", after);
+        const response = await fetch(`/app/api/catalog?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!data.success) {
+          throw new Error(data.error || "Search failed");
+        }
+
+        if (after) {
+          setFilteredItems(prev => [...prev, ...data.items.filter(item => !prev.some(existing => existing.id === item.id))]);
+        } else {
+          setSuggestions(data.items.slice(0, 10));
+          setFilteredItems(searchTerm.trim() === "" ? [] : data.items);
+        }
+        updateState({
+          isSearching: false,
+          searchCursor: data.pageInfo.hasNextPage ? data.pageInfo.endCursor : null
+        });
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        console.error("Search error:", error);
+        updateState({ isSearching: false });
+        showToast(`Search failed: ${error.message}`, true);
+      }
+    }, delay);
+
+    updateState({ isSearching: true, searchTimer, searchController: controller });
+  };
+
   const handlePageTypeChange = (value) => {
-    updateState({ pageType: value });
+    cancelSearch();
+    updateState({ pageType: value, contextFields: DEFAULT_CONTEXT_FIELDS[value], isSearching: false, searchCursor: null });
     setFilteredItems([]);
     setSuggestions([]);
     resetState();
@@ -580,7 +490,11 @@ const getGeneratedText = (response, contentType = null) => {
   const handleContentTypeChange = (value) => {
     updateState({
       contentType: value,
+      templateId: "",
       apiResponse: null,
+      candidates: [],
+      altTexts: [],
+      draftHistory: [],
       editedContent: ""
     });
   };
@@ -593,39 +507,41 @@ const getGeneratedText = (response, contentType = null) => {
       updateState({ selectedItem: null });
     }
     
-    const items = state.pageType === "product" ? products : collections;
-
-    if (value.trim() === "") {
-      setSuggestions(items.slice(0, 10));
-      setFilteredItems([]);
-    } else {
-      const filtered = items.filter((item) =>
-        item.title.toLowerCase().includes(value.toLowerCase())
-      );
-      setSuggestions(filtered.slice(0, 10));
-      setFilteredItems(filtered);
-    }
+    searchCatalog({ searchTerm: value });
   };
 
   const handleInputFocus = () => {
-    const items = state.pageType === "product" ? products : collections;
-    if (state.searchTerm.trim() === "") {
-      setSuggestions(items.slice(0, 10));
+    if (state.searchTerm.trim() === "" && suggestions.length === 0) {
+      searchCatalog({ searchTerm: "", delay: 0 });
     }
     updateState({ showDropdown: true });
   };
 
+  const handleSearchSortChange = (value) => {
+    updateState({ searchSort: value });
+    searchCatalog({ sort: value, delay: 0 });
+  };
+
+  const handleLoadMoreResults = () => {
+    searchCatalog({ after: state.searchCursor, delay: 0 });
+  };
+
   const handleSuggestionClick = (item) => {
     updateState({
       searchTerm: item.title,
       selectedItem: item,
       showDropdown: false,
       apiResponse: null,
+      candidates: [],
+      altTexts: [],
+      draftHistory: [],
       error: null,
       successMessage: null,
       isEditing: false,
-      editedContent: ""
+      editedContent: "",
+      isSearching: false
     });
+    cancelSearch();
     setSuggestions([]);
   };
 
@@ -645,52 +561,69 @@ const getGeneratedText = (response, contentType = null) => {
       isLoading: true,
       error: null,
       apiResponse: null,
+      candidates: [],
+      altTexts: [],
+      draftHistory: [],
+      overrideValidation: false,
+      isEdited: false,
       successMessage: null,
       isEditing: false,
       editedContent: ""
     });
 
     try {
-      const requestBody = {
-        seoKeywords: state.seoKeywords.trim(),
-        pageType: state.pageType,
-        contentType: state.contentType
-      };
-
-      if (state.selectedItem) {
-        if (state.pageType === "product") {
-          requestBody.productName = state.selectedItem.title;
-        } else if (state.pageType === "collection") {
-          requestBody.collectionName = state.selectedItem.title;
+      const requestBody = buildRequestBody();
+
+      // A single variant is streamed so the copy appears as it is written.
+      if (state.contentType !== "alt-text" && requestBody.candidateCount === 1) {
+        const result = await streamGeneratedContent(requestBody);
+        if (result) {
+          updateState({
+            apiResponse: result.text,
+            candidates: [result.text],
+            selectedCandidate: 0,
+            editedContent: normalizeContent(result.text, state.contentType)
+          });
+          showToast(result.stopped ? "Generation stopped" : "Content generated successfully!");
         }
+        return;
       }
 
-      const response = await fetch(API_ENDPOINT, {
+      const response = await fetch("/app/api/generate", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(requestBody),
       });
-       const data = await response.json();
+      const result = await response.json();
 
-      if (!response.ok) {
-              if(data.statusCode === 429){
-throw new Error(
-`You've reached the current usage limit. Please try again later.`)
-              }
-        throw new Error(`API request failed: ${data.message} ${response.statusText}`);
-        
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `API request failed: ${response.statusText}`);
       }
 
+      if (state.contentType === "alt-text") {
+        updateState({
+          altTexts: result.images.map((image) => ({
+            ...image,
+            generated: normalizeContent(image.generated, "alt-text")
+          }))
+        });
+        showToast(`Alt text generated for ${result.images.length} image${result.images.length === 1 ? "" : "s"}!`);
+        return;
+      }
 
-     
-      const generatedText = getGeneratedText(data, state.contentType);
+      const [data] = result.candidates;
+      const generatedText = normalizeContent(data, state.contentType);
       
       updateState({ 
         apiResponse: data, 
+        candidates: result.candidates,
+        selectedCandidate: 0,
         editedContent: generatedText 
       });
       
-      showToast("Content generated successfully!");
+      showToast(result.candidates.length > 1
+        ? `${result.candidates.length} variants generated successfully!`
+        : "Content generated successfully!");
 
     } catch (err) {
       console.error("API Error:", err);
@@ -702,17 +635,203 @@ throw new Error(
     }
   };
 
+  const buildRequestBody = () => ({
+    seoKeywords: state.seoKeywords.trim(),
+    pageType: state.pageType,
+    contentType: state.contentType,
+    itemId: state.selectedItem.id,
+    contextFields: state.contextFields,
+    candidateCount: Number(state.candidateCount),
+    brandVoiceId: state.brandVoiceId || null,
+    templateId: state.templateId || null
+  });
+
+  // Resolves with the streamed text, or null when it was stopped before any
+  // text arrived.
+  const streamGeneratedContent = async (requestBody) => {
+    const controller = new AbortController();
+    updateState({ abortController: controller, streamedText: "" });
+    let text = "";
+
+    try {
+      const response = await fetch("/app/api/generate_stream", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(requestBody),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || `API request failed: ${response.statusText}`);
+      }
+
+      for await (const { event, data } of readEventStream(response.body)) {
+        if (event === "token") {
+          text += data.text;
+          updateState({ streamedText: text });
+        } else if (event === "error") {
+          throw new Error(data.error);
+        }
+      }
+    } catch (err) {
+      if (err.name !== "AbortError") throw err;
+    } finally {
+      updateState({ abortController: null, streamedText: "" });
+    }
+
+    // Stopping keeps whatever was written so far.
+    if (!text.trim()) {
+      if (controller.signal.aborted) return null;
+      throw new Error("The AI returned an empty response. Please try again.");
+    }
+
+    return { text, stopped: controller.signal.aborted };
+  };
+
+  // Revises the current draft, including any manual edits, and keeps the
+  // previous version on the undo stack.
+  const handleRefine = async () => {
+    const instruction = state.refineInstruction.trim();
+    const currentDraft = state.editedContent || normalizeContent(state.apiResponse, state.contentType);
+    if (!instruction || !state.selectedItem) return;
+
+    if (!state.seoKeywords.trim()) {
+      updateState({ error: "Please enter SEO keywords before refining content." });
+      return;
+    }
+
+    updateState({ isRefining: true, isEditing: false, error: null });
+
+    try {
+      const result = await streamGeneratedContent({
+        ...buildRequestBody(),
+        candidateCount: 1,
+        refineInstruction: instruction,
+        currentContent: currentDraft
+      });
+
+      if (result) {
+        setState((prev) => ({
+          ...prev,
+          apiResponse: result.text,
+          editedContent: normalizeContent(result.text, prev.contentType),
+          selectedCandidate: null,
+          isEdited: false,
+          refineInstruction: "",
+          draftHistory: [...prev.draftHistory, currentDraft]
+        }));
+        showToast(result.stopped ? "Refinement stopped" : "Draft refined!");
+      }
+    } catch (err) {
+      console.error("Refine Error:", err);
+      updateState({ error: err.message || "Failed to refine content. Please try again." });
+    } finally {
+      updateState({ isRefining: false });
+    }
+  };
+
+  const handleUndoRefine = () => {
+    setState((prev) => {
+      if (prev.draftHistory.length === 0) return prev;
+      const previousDraft = prev.draftHistory[prev.draftHistory.length - 1];
+      return {
+        ...prev,
+        apiResponse: previousDraft,
+        editedContent: previousDraft,
+        selectedCandidate: null,
+        isEditing: false,
+        draftHistory: prev.draftHistory.slice(0, -1)
+      };
+    });
+  };
+
+  const handleStopGeneration = () => {
+    state.abortController?.abort();
+  };
+
+  const handleUseCandidate = (index) => {
+    const candidate = state.candidates[index];
+    updateState({
+      apiResponse: candidate,
+      editedContent: normalizeContent(candidate, state.contentType),
+      selectedCandidate: index,
+      isEditing: false,
+      isEdited: false
+    });
+  };
+
+  const handleInsertBlock = (block) => {
+    updateState({
+      editedContent: `${state.editedContent}${block}`,
+      selectedCandidate: null,
+      isEdited: true,
+      isEditing: true
+    });
+  };
+
+  const handleAltTextChange = (imageId, value) => {
+    setState((prev) => ({
+      ...prev,
+      altTexts: prev.altTexts.map((image) => (image.id === imageId ? { ...image, generated: value } : image))
+    }));
+  };
+
+  const handlePublishAltText = async () => {
+    updateState({ isPublishing: true, error: null });
+
+    try {
+      const response = await fetch("/app/api/alt_text", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          itemId: state.selectedItem.id,
+          pageType: state.pageType,
+          seoKeywords: state.seoKeywords,
+          images: state.altTexts
+            .filter((image) => image.generated.trim())
+            .map((image) => ({ id: image.id, alt: image.generated }))
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `API request failed: ${response.statusText}`);
+      }
+
+      setState((prev) => ({
+        ...prev,
+        isPublishing: false,
+        altTexts: prev.altTexts.map((image) => {
+          const published = result.images.find((item) => item.id === image.id);
+          return published ? { ...image, alt: published.alt.trim() } : image;
+        })
+      }));
+      showToast(`${result.message} for ${state.selectedItem.title}!`);
+    } catch (err) {
+      console.error("Publish Error:", err);
+      updateState({
+        error: err.message || "Failed to publish alt text. Please try again.",
+        isPublishing: false
+      });
+      showToast("Failed to publish alt text. Please try again.", true);
+    }
+  };
+
   const handleEditClick = () => {
     updateState({ isEditing: true });
     if (!state.editedContent) {
-      updateState({ editedContent: getGeneratedText(state.apiResponse, state.contentType) });
+      updateState({ editedContent: normalizeContent(state.apiResponse, state.contentType) });
     }
   };
 
   const handleSaveEdit = () => {
-    updateState({ 
-      isEditing: false, 
-      apiResponse: state.editedContent 
+    const editedContent = normalizeContent(state.editedContent, state.contentType);
+    updateState({
+      isEditing: false,
+      isEdited: true,
+      apiResponse: editedContent,
+      editedContent
     });
     showToast("Changes saved successfully!");
   };
@@ -720,11 +839,12 @@ throw new Error(
   const handleCancelEdit = () => {
     updateState({
       isEditing: false,
-      editedContent: getGeneratedText(state.apiResponse, state.contentType)
+      editedContent: normalizeContent(state.apiResponse, state.contentType)
     });
   };
 
-const handlePublish = async () => {
+// `force` overwrites content that changed in Shopify since the item was loaded.
+const handlePublish = async ({ force = false } = {}) => {
   if (!state.selectedItem) {
     updateState({ error: "Please select a product or collection to publish content." });
     return;
@@ -735,6 +855,11 @@ const handlePublish = async () => {
     return;
   }
 
+  if (isPublishBlocked) {
+    updateState({ error: `${formatValidationErrors(validation)} Tick "Publish anyway" to publish it regardless.` });
+    return;
+  }
+
   updateState({ 
     isPublishing: true, 
     error: null, 
@@ -742,129 +867,145 @@ const handlePublish = async () => {
   });
 
   try {
-    // console.log("=== PUBLISH PROCESS STARTED ===");
-    // console.log("Selected Item:", state.selectedItem);
-    // console.log("Content Type:", state.contentType);
-    
-    const generatedContent = state.editedContent || getGeneratedText(state.apiResponse, state.contentType);
-    
-    // **FIXED**: Get the correct original content in HTML format based on content type
-    let oldContent;
-    if (state.contentType === "seo-description") {
-      // SEO descriptions - keep original logic unchanged
-      oldContent = state.selectedItem.seo?.description || "";
-      // console.log("Old SEO Description:", oldContent);
-    } else {
-      // **ONLY CHANGE**: For descriptions, prioritize descriptionHtml to get HTML formatted content
-      oldContent = state.selectedItem.descriptionHtml || state.selectedItem.description || "";
-      // console.log("Old Description (HTML format):", oldContent);
-    }
-    
-    // console.log("New Content:", generatedContent);
-    
-    // Prepare data for the external API endpoint
-    const externalApiPayload = {
-      originalContent: oldContent, // **FIXED**: Now gets HTML formatted content for descriptions
-      contentType: state.contentType === "seo-description" ? "seo-description" : "description",
-      contentOrigin: state.pageType,
-      originId: state.selectedItem.id,
-    };
-
-    // console.log("External API Payload:", externalApiPayload);
+    const generatedContent = state.editedContent || normalizeContent(state.apiResponse, state.contentType);
 
-    // Send to external endpoint first
-    const externalResponse = await fetch(ENDPOINT, {
+    // The server stores the original, updates Shopify and records the version
+    // in one go, so its answer is the only thing we report.
+    const response = await fetch("/app/api/publish", {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(externalApiPayload),
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        itemId: state.selectedItem.id,
+        pageType: state.pageType,
+        seoKeywords: state.seoKeywords,
+        overrideValidation: state.overrideValidation,
+        edited: state.isEdited,
+        base: { [state.contentType]: getCurrentContent(state.selectedItem, state.contentType) },
+        force,
+        ...getContentUpdate(state.contentType, generatedContent)
+      }),
     });
+    const result = await response.json();
 
-    if (!externalResponse.ok) {
-      throw new Error(`External API request failed: ${externalResponse.status} ${externalResponse.statusText}`);
+    if (response.status === 409 && result.conflicts?.length) {
+      updateState({ conflict: result.conflicts[0], isPublishing: false });
+      return;
     }
 
-    const externalData = await externalResponse.json();
-    // console.log("External API response:", externalData);
-    
-
-    // Prepare payload for Shopify update
-    const updatePayload = {
-      action: "updateContent",
-      itemId: state.selectedItem.id,
-      pageType: state.pageType
-    };
-
-    if (state.contentType === "seo-description") {
-      updatePayload.seoDescription = generatedContent;
-    } else {
-      updatePayload.description = generatedContent;
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `API request failed: ${response.statusText}`);
     }
 
-    // console.log("Shopify Update Payload:", updatePayload);
-
-    // Update local state
-    const updatedItem = { ...state.selectedItem };
-    if (state.contentType === "seo-description") {
-      updatedItem.seo = { 
-        ...updatedItem.seo, 
-        description: generatedContent 
-      };
-    } else {
-      updatedItem.description = generatedContent;
-      updatedItem.descriptionHtml = generatedContent;
-    }
-
-    // console.log("Updated Item:", updatedItem);
-
     updateState({
-      selectedItem: updatedItem,
+      selectedItem: { ...state.selectedItem, ...result.updatedItem },
+      conflict: null,
       isPublishing: false
     });
 
-    const contentTypeLabel = state.contentType === "seo-description" 
-      ? "SEO meta description" 
-      : "description";
-    
-    showToast(`${contentTypeLabel} published successfully for ${state.selectedItem.title}!`);
-
-    // Update Shopify (send to current route action)
-    try {
-
-      const shopifyResponse = await fetch("", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Accept": "application/json"
-        },
-        body: JSON.stringify(updatePayload),
-      });
-
-      // console.log("Shopify Response Status:", shopifyResponse.status);
-      // console.log("Shopify Response OK:", shopifyResponse.ok);
+    const contentTypeLabel = {
+      "seo-description": "SEO meta description",
+      "seo-title": "SEO title"
+    }[state.contentType] || "description";
 
-      if (!shopifyResponse.ok) {
-        console.error("Failed to update content on Shopify");
-        const errorText = await shopifyResponse.text();
-        console.error("Shopify Error Response:", errorText);
-      } else {
-        const shopifyResult = await shopifyResponse.json();
-        // console.log("Shopify Success Response:", shopifyResult);
-      }
-    } catch (shopifyErr) {
-      console.error("Error updating Shopify content:", shopifyErr);
-    }
+    showToast(`${contentTypeLabel} published successfully for ${state.selectedItem.title}!`);
 
   } catch (err) {
     console.error("Publish Error:", err);
     updateState({ 
       error: err.message || "Failed to publish content. Please try again.",
+      conflict: null,
       isPublishing: false 
     });
     showToast("Failed to publish content. Please try again.", true);
   }
 };
+
+  const handleSchedule = async () => {
+    updateState({ isScheduling: true, error: null });
+
+    try {
+      const response = await fetch("/app/api/schedule", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          action: "create",
+          itemId: state.selectedItem.id,
+          pageType: state.pageType,
+          title: state.selectedItem.title,
+          contentType: state.contentType,
+          content: draftContent,
+          seoKeywords: state.seoKeywords,
+          overrideValidation: state.overrideValidation,
+          // datetime-local values have no zone; the browser's is the merchant's.
+          publishAt: new Date(state.scheduleAt).toISOString()
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `API request failed: ${response.statusText}`);
+      }
+
+      updateState({ isScheduling: false, showSchedule: false, scheduleAt: "" });
+      showToast(`${result.message}. Manage it from the dashboard.`);
+    } catch (err) {
+      console.error("Schedule Error:", err);
+      updateState({ error: err.message || "Failed to schedule content.", isScheduling: false });
+      showToast("Failed to schedule content. Please try again.", true);
+    }
+  };
+
+  const handleSubmitForReview = async () => {
+    updateState({ isSubmittingReview: true, error: null });
+
+    try {
+      const response = await fetch("/app/api/drafts", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          action: "create",
+          submit: true,
+          itemId: state.selectedItem.id,
+          pageType: state.pageType,
+          title: state.selectedItem.title,
+          contentType: state.contentType,
+          content: draftContent,
+          seoKeywords: state.seoKeywords
+        }),
+      });
+      const result = await response.json();
+
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `API request failed: ${response.statusText}`);
+      }
+
+      updateState({ isSubmittingReview: false });
+      showToast(`${result.message}. Track it under Reviews.`);
+    } catch (err) {
+      console.error("Review Submit Error:", err);
+      updateState({ error: err.message || "Failed to submit for review.", isSubmittingReview: false });
+      showToast("Failed to submit for review. Please try again.", true);
+    }
+  };
+
+  // Taking Shopify's version (or editing on top of it) makes it the new base,
+  // so the next publish only conflicts if it changes again.
+  const handleKeepShopifyVersion = () => {
+    updateState({
+      selectedItem: withCurrentContent(state.selectedItem, state.conflict.contentType, state.conflict.current),
+      conflict: null
+    });
+    showToast("Kept the version in Shopify. Your draft was not published.");
+  };
+
+  const handleEditConflict = () => {
+    updateState({
+      selectedItem: withCurrentContent(state.selectedItem, state.conflict.contentType, state.conflict.current),
+      conflict: null,
+      isEditing: true,
+      editedContent: state.conflict.incoming
+    });
+  };
  useEffect(() => {
     const handleClickOutside = (event) => {
       if (dropdownRef.current && !dropdownRef.current.contains(event.target) &&
@@ -1111,7 +1252,7 @@ const handlePublish = async () => {
                     value={state.searchTerm}
                     onChange={handleInputChange}
                     onFocus={handleInputFocus}
-                    placeholder={`Enter ${state.pageType} name`}
+                    placeholder={state.pageType === "product" ? "Search by title, handle, SKU, vendor or tag" : "Search by title or handle"}
                     autoComplete="off"
                     helpText={
                       state.selectedItem
@@ -1157,6 +1298,62 @@ const handlePublish = async () => {
                   helpText="Add relevant keywords to improve content quality and SEO performance"
                 />
               </div>
+              <div style={{ marginBottom: "16px" }}>
+                <Select
+                  label="Brand Voice"
+                  options={[
+                    { label: "Default", value: "" },
+                    ...brandVoices.map((voice) => ({ label: voice.name, value: voice.id }))
+                  ]}
+                  onChange={(value) => updateState({ brandVoiceId: value })}
+                  value={state.brandVoiceId}
+                  helpText={brandVoices.length === 0 ? "Create brand voice profiles under Brand Voices" : undefined}
+                />
+              </div>
+              <div style={{ marginBottom: "16px" }}>
+                <Select
+                  label="Prompt Template"
+                  options={[
+                    { label: "Automatic", value: "" },
+                    { label: "Built-in prompt", value: "none" },
+                    ...templates
+                      .filter((template) => template.contentType === state.contentType)
+                      .map((template) => ({
+                        label: template.productType ? `${template.name} (${template.productType})` : template.name,
+                        value: template.id
+                      }))
+                  ]}
+                  onChange={(value) => updateState({ templateId: value })}
+                  value={state.templateId}
+                  helpText="Automatic picks the template assigned to the item's product type"
+                />
+              </div>
+              {state.contentType !== "alt-text" && (
+                <div style={{ marginBottom: "16px" }}>
+                  <Select
+                    label="Variants"
+                    options={[1, 2, 3, 4, 5].map((count) => ({
+                      label: count === 1 ? "1 variant" : `${count} variants`,
+                      value: String(count)
+                    }))}
+                    onChange={(value) => updateState({ candidateCount: value })}
+                    value={state.candidateCount}
+                    helpText="Generate several alternatives to compare side by side"
+                  />
+                </div>
+              )}
+              <div style={{ marginBottom: "16px" }}>
+                <ChoiceList
+                  title="Context sent to AI"
+                  allowMultiple
+                  choices={CONTEXT_FIELDS[state.pageType]}
+                  selected={state.contextFields}
+                  onChange={(value) => updateState({ contextFields: value })}
+                />
+                <Text variant="bodySm" tone="subdued">
+                  The {state.pageType} title is always included. More context gives more specific copy.
+                </Text>
+              </div>
               <Button
                 primary
                 onClick={handleGenerateContent}
@@ -1178,7 +1375,45 @@ const handlePublish = async () => {
                   </Banner>
                 </Layout.Section>
               )}
-              {state.isLoading && (
+              {(state.isLoading || state.isRefining) && state.streamedText && (
+                <Layout.Section>
+                  <Card>
+                    <BlockStack gap="300">
+                      <InlineStack align="space-between" blockAlign="center">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Spinner size="small" />
+                          <Text variant="headingMd" as="h3">{state.isRefining ? "Refining..." : "Writing..."}</Text>
+                        </InlineStack>
+                        <Button tone="critical" onClick={handleStopGeneration}>Stop</Button>
+                      </InlineStack>
+                      {state.contentType === "description" ? (
+                        <div
+                          style={{
+                            padding: "20px",
+                            background: "#f9fafb",
+                            borderRadius: "8px",
+                            border: "1px solid #e5e7eb"
+                          }}
+                          dangerouslySetInnerHTML={{ __html: normalizeContent(state.streamedText, state.contentType) }}
+                        />
+                      ) : (
+                        <div style={{
+                          padding: "20px",
+                          background: "#f9fafb",
+                          borderRadius: "8px",
+                          border: "1px solid #e5e7eb",
+                          whiteSpace: "pre-wrap",
+                          fontSize: "14px",
+                          lineHeight: "1.5"
+                        }}>
+                          {normalizeContent(state.streamedText, state.contentType)}
+                        </div>
+                      )}
+                    </BlockStack>
+                  </Card>
+                </Layout.Section>
+              )}
+              {state.isLoading && !state.streamedText && (
                 <Layout.Section>
                   <Card>
                     <div style={{
@@ -1196,10 +1431,13 @@ const handlePublish = async () => {
                           Generating Content...
                         </Text>
                         <Text variant="bodyMd" color="subdued">
-                          Creating {state.contentType === "seo-description" ? "SEO meta description" : "description"}
+                          Creating {contentTypeOptions.find((option) => option.value === state.contentType)?.label.toLowerCase()}
                           {state.selectedItem ? ` for "${state.selectedItem.title}"` : ""}
                         </Text>
                       </div>
+                      {state.abortController && (
+                        <Button tone="critical" onClick={handleStopGeneration}>Stop</Button>
+                      )}
                     </div>
                   </Card>
                 </Layout.Section>
@@ -1207,25 +1445,24 @@ const handlePublish = async () => {
           {state.apiResponse && (
   <Layout.Section>
     <Card
-      title={`Generated ${
-        state.contentType === "seo-description"
-          ? "SEO Meta Description"
-          : "Description"
-      }`}
+      title={`Generated ${contentTypeOptions.find((option) => option.value === state.contentType)?.label}`}
     >
       <div style={{ padding: "16px 0" }}>
         {state.isEditing ? (
           <div>
             <TextField
-              label={`Edit ${
-                state.contentType === "seo-description"
-                  ? "SEO Meta Description"
-                  : "Description"
-              }`}
+              label={`Edit ${contentTypeOptions.find((option) => option.value === state.contentType)?.label}`}
               value={state.editedContent}
               onChange={(value) => updateState({ editedContent: value })}
-              multiline={state.contentType === "description" ? 6 : 4}
+              multiline={state.contentType === "description" ? 6 : state.contentType === "seo-title" ? false : 4}
               autoComplete="off"
+              {...(state.contentType === "seo-title" && {
+                showCharacterCount: true,
+                helpText: `Search engines show about ${SEO_TITLE_LIMIT} characters`,
+                error: state.editedContent.length > SEO_TITLE_LIMIT
+                  ? `${state.editedContent.length - SEO_TITLE_LIMIT} characters over the recommended length`
+                  : undefined
+              })}
             />
             <div style={{ marginTop: "16px" }}>
               <ButtonGroup>
@@ -1235,11 +1472,20 @@ const handlePublish = async () => {
                 <Button onClick={handleCancelEdit}>Cancel</Button>
               </ButtonGroup>
             </div>
+            {validation && (
+              <div style={{ marginTop: "16px" }}>
+                <SeoChecks
+                  validation={validation}
+                  override={state.overrideValidation}
+                  onOverrideChange={(value) => updateState({ overrideValidation: value })}
+                />
+              </div>
+            )}
           </div>
         ) : (
           <div>
-            {/* Fixed display logic for SEO descriptions vs regular descriptions */}
-            {state.contentType === "seo-description" ? (
+            {/* Fixed display logic for SEO fields vs regular descriptions */}
+            {state.contentType !== "description" ? (
               <div
                 style={{
                   padding: "20px",
@@ -1252,7 +1498,17 @@ const handlePublish = async () => {
                   lineHeight: "1.5"
                 }}
               >
-                {state.editedContent || getGeneratedText(state.apiResponse, state.contentType)}
+                {state.editedContent || normalizeContent(state.apiResponse, state.contentType)}
+                {state.contentType === "seo-title" && (() => {
+                  const length = (state.editedContent || normalizeContent(state.apiResponse, state.contentType)).length;
+                  return (
+                    <div style={{ marginTop: "8px" }}>
+                      <Badge tone={length > SEO_TITLE_LIMIT ? "critical" : "success"}>
+                        {`${length} / ${SEO_TITLE_LIMIT} characters`}
+                      </Badge>
+                    </div>
+                  );
+                })()}
               </div>
             ) : (
               <div
@@ -1264,22 +1520,111 @@ const handlePublish = async () => {
                   marginBottom: "16px",
                 }}
                 dangerouslySetInnerHTML={{
-                  __html: state.editedContent || getGeneratedText(state.apiResponse, state.contentType),
+                  __html: state.editedContent || normalizeContent(state.apiResponse, state.contentType),
                 }}
               />
             )}
 
+            {state.selectedItem && draftContent && !state.isEditing && (
+              <div style={{ marginBottom: "16px" }}>
+                <ContentDiff
+                  before={getCurrentContent(state.selectedItem, state.contentType)}
+                  after={draftContent}
+                  beforeLabel="Live in Shopify"
+                  afterLabel="Draft"
+                  allowMarkup={state.contentType === "description"}
+                />
+              </div>
+            )}
+
+            {serpPreview && (
+              <div style={{ marginBottom: "16px" }}>
+                <SerpPreview {...serpPreview} />
+              </div>
+            )}
+
+            {validation && (
+              <div style={{ marginBottom: "16px" }}>
+                <SeoChecks
+                  validation={validation}
+                  override={state.overrideValidation}
+                  onOverrideChange={(value) => updateState({ overrideValidation: value })}
+                />
+              </div>
+            )}
+
+            {requireApproval && (
+              <div style={{ marginBottom: "16px" }}>
+                <Banner tone="info">
+                  <p>This store requires approval before publishing. Submit the draft and a reviewer will publish it from Reviews.</p>
+                </Banner>
+              </div>
+            )}
+
             <ButtonGroup>
-              <Button
-                primary
-                onClick={handlePublish}
-                loading={state.isPublishing}
-                disabled={!state.selectedItem || state.isPublishing}
-              >
-                {state.isPublishing ? "Publishing..." : "Publish to Shopify"}
-              </Button>
-              <Button onClick={handleEditClick}>Edit</Button>
+              {requireApproval ? (
+                <Button
+                  primary
+                  onClick={handleSubmitForReview}
+                  loading={state.isSubmittingReview}
+                  disabled={!state.selectedItem || state.isRefining || !draftContent.trim()}
+                >
+                  Submit for review
+                </Button>
+              ) : (
+                <>
+                  <Button
+                    primary
+                    onClick={() => handlePublish()}
+                    loading={state.isPublishing}
+                    disabled={!state.selectedItem || state.isPublishing || state.isRefining || isPublishBlocked}
+                  >
+                    {state.isPublishing ? "Publishing..." : "Publish to Shopify"}
+                  </Button>
+                  <Button onClick={() => updateState({ showSchedule: !state.showSchedule })} disabled={!state.selectedItem || state.isRefining}>
+                    Schedule
+                  </Button>
+                  <Button onClick={handleSubmitForReview} loading={state.isSubmittingReview} disabled={!state.selectedItem || state.isRefining}>
+                    Submit for review
+                  </Button>
+                </>
+              )}
+              <Button onClick={handleEditClick} disabled={state.isRefining}>Edit</Button>
             </ButtonGroup>
+
+            {state.showSchedule && !requireApproval && (
+              <div style={{ marginTop: "16px" }}>
+                <InlineStack gap="200" blockAlign="end">
+                  <TextField
+                    type="datetime-local"
+                    label="Publish on"
+                    helpText="Your local time. The change goes live even if nobody has the app open."
+                    value={state.scheduleAt}
+                    onChange={(value) => updateState({ scheduleAt: value })}
+                    autoComplete="off"
+                  />
+                  <Button
+                    onClick={handleSchedule}
+                    loading={state.isScheduling}
+                    disabled={!state.scheduleAt || state.isPublishing || isPublishBlocked}
+                  >
+                    Schedule publish
+                  </Button>
+                </InlineStack>
+              </div>
+            )}
+
+            <div style={{ marginTop: "20px", paddingTop: "16px", borderTop: "1px solid #e5e7eb" }}>
+              <RefineBox
+                instruction={state.refineInstruction}
+                onInstructionChange={(value) => updateState({ refineInstruction: value })}
+                onRefine={handleRefine}
+                onUndo={handleUndoRefine}
+                undoCount={state.draftHistory.length}
+                isRefining={state.isRefining}
+                disabled={!state.selectedItem || state.isPublishing}
+              />
+            </div>
           </div>
         )}
       </div>
@@ -1287,6 +1632,34 @@ const handlePublish = async () => {
   </Layout.Section>
 )}
 
+              {state.altTexts.length > 0 && !state.isLoading && (
+                <Layout.Section>
+                  <AltTextEditor
+                    images={state.altTexts}
+                    onChange={handleAltTextChange}
+                    onPublish={handlePublishAltText}
+                    isPublishing={state.isPublishing}
+                  />
+                </Layout.Section>
+              )}
+
+              {state.candidates.length > 1 && !state.isLoading && (
+                <Layout.Section>
+                  <BlockStack gap="300">
+                    <Text variant="headingMd" as="h2">
+                      Compare variants
+                    </Text>
+                    <CandidateComparison
+                      candidates={state.candidates.map((candidate) => normalizeContent(candidate, state.contentType))}
+                      contentType={state.contentType}
+                      selectedIndex={state.selectedCandidate}
+                      onUse={handleUseCandidate}
+                      onInsert={handleInsertBlock}
+                    />
+                  </BlockStack>
+                </Layout.Section>
+              )}
+
               {state.selectedItem && (
                 <Layout.Section>
                    <div style={{ marginBottom: "16px" }}>
@@ -1332,7 +1705,16 @@ const handlePublish = async () => {
               )}
               {filteredItems.length > 0 && !state.selectedItem && (
                 <Layout.Section>
-                  <Card title={`Search Results (${filteredItems.length} found)`}>
+                  <Card title={`Search Results (${filteredItems.length}${state.searchCursor ? "+" : ""} found)`}>
+                    <div style={{ maxWidth: "240px", marginBottom: "12px" }}>
+                      <Select
+                        label="Sort by"
+                        labelInline
+                        options={searchSortOptions}
+                        value={state.searchSort}
+                        onChange={handleSearchSortChange}
+                      />
+                    </div>
                     <ResourceList
                       resourceName={{
                         singular: state.pageType,
@@ -1372,16 +1754,31 @@ const handlePublish = async () => {
                         );
                       }}
                     />
+                    {state.searchCursor && (
+                      <div style={{ display: "flex", justifyContent: "center", marginTop: "12px" }}>
+                        <Button onClick={handleLoadMoreResults} loading={state.isSearching}>
+                          Load more results
+                        </Button>
+                      </div>
+                    )}
                   </Card>
                 </Layout.Section>
               )}
-              {!state.isLoading &&  !state.apiResponse &&  !state.error &&  filteredItems.length === 0 && !state.selectedItem && (
+              {!state.isLoading &&  !state.apiResponse && state.altTexts.length === 0 &&  !state.error &&  filteredItems.length === 0 && !state.selectedItem && (
                 <EmptyStateContent />
               )}
             </Layout>
           </div>
         </div>
       </Page>
+      <ConflictResolver
+        conflict={state.conflict}
+        loading={state.isPublishing}
+        onKeepOurs={() => handlePublish({ force: true })}
+        onKeepTheirs={handleKeepShopifyVersion}
+        onEdit={handleEditConflict}
+        onClose={() => updateState({ conflict: null })}
+      />
     </Frame>
   );
 }
\ No newline at end of file
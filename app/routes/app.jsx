@@ -4,11 +4,16 @@ import { AppProvider } from "@shopify/shopify-app-remix/react";
 import { NavMenu } from "@shopify/app-bridge-react";
 import polarisStyles from "@shopify/polaris/build/esm/styles.css?url";
 import { authenticate } from "../shopify.server";
+import { ensureCatalogSync } from "../catalog-mirror.server";
 
 export const links = () => [{ rel: "stylesheet", href: polarisStyles }];
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+
+  // The first visit after installing seeds the catalog mirror.
+  await ensureCatalogSync(session.shop).catch((error) =>
+    console.error(`Failed to start the catalog sync for ${session.shop}:`, error));
 
   return { apiKey: process.env.SHOPIFY_API_KEY || "" };
 };
@@ -23,6 +28,12 @@ export default function App() {
           Home
         </Link>
         <Link to="/app/generate_contnet"> Generate Contents</Link>
+        <Link to="/app/bulk_generate">Bulk Generate</Link>
+        <Link to="/app/translations">Translations</Link>
+        <Link to="/app/reviews">Reviews</Link>
+        <Link to="/app/brand_voices">Brand Voices</Link>
+        <Link to="/app/templates">Prompt Templates</Link>
+        <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
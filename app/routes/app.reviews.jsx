@@ -0,0 +1,244 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Button,
+  Badge,
+  Banner,
+  EmptyState,
+  Tabs,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getStaffMember, listDrafts, requiresApproval } from "../approvals.server";
+import { htmlToText } from "../content-normalizer";
+
+const TABS = [
+  { id: "in_review", content: "In review" },
+  { id: "approved", content: "Approved" },
+  { id: "draft", content: "Drafts" },
+  { id: "published", content: "Published" },
+];
+
+const STATUS_BADGES = {
+  draft: { tone: undefined, label: "Draft" },
+  in_review: { tone: "attention", label: "In review" },
+  approved: { tone: "success", label: "Approved" },
+  published: { tone: "info", label: "Published" },
+};
+
+const FIELD_LABELS = {
+  description: "Description",
+  "seo-description": "SEO Description",
+  "seo-title": "SEO Title",
+};
+
+const EVENT_LABELS = {
+  create: "created the draft",
+  edit: "edited the draft",
+  submit: "submitted it for review",
+  comment: "commented",
+  approve: "approved it",
+  reject: "requested changes",
+  publish: "published it",
+};
+
+export const loader = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const [drafts, staff, requireApproval] = await Promise.all([
+    listDrafts(session.shop),
+    getStaffMember(session, sessionToken),
+    requiresApproval(session.shop),
+  ]);
+
+  return json({ drafts, staff, requireApproval });
+};
+
+const DraftCard = ({ draft, staff, busyAction, onSubmit }) => {
+  const [comment, setComment] = useState("");
+  const [content, setContent] = useState(draft.content);
+  const badge = STATUS_BADGES[draft.status] || { label: draft.status };
+  const isOwnDraft = draft.authorId && draft.authorId === staff.userId;
+  const canApprove = !isOwnDraft || staff.accountOwner;
+  const run = (action, data = {}) => onSubmit({ action, id: draft.id, ...data });
+
+  useEffect(() => {
+    setContent(draft.content);
+    setComment("");
+  }, [draft.content, draft.updatedAt]);
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingSm" as="h3">{draft.title}</Text>
+            <Badge size="small">{FIELD_LABELS[draft.contentType] || draft.contentType}</Badge>
+            <Badge tone={badge.tone} size="small">{badge.label}</Badge>
+          </InlineStack>
+          <Text variant="bodySm" tone="subdued">
+            {`By ${draft.authorName || "unknown"} · ${new Date(draft.updatedAt).toLocaleString()}`}
+          </Text>
+        </InlineStack>
+
+        {draft.status === "draft" ? (
+          <TextField
+            label="Content"
+            value={content}
+            onChange={setContent}
+            multiline={draft.contentType === "description" ? 6 : 2}
+            autoComplete="off"
+          />
+        ) : (
+          <div style={{ padding: "12px", background: "#f9fafb", borderRadius: "8px", whiteSpace: "pre-wrap" }}>
+            <Text variant="bodyMd">{htmlToText(draft.content)}</Text>
+          </div>
+        )}
+
+        <BlockStack gap="100">
+          {draft.events.map((event) => (
+            <Text key={event.id} variant="bodySm" tone={event.comment ? undefined : "subdued"}>
+              <strong>{event.userName || "Someone"}</strong>
+              {event.accountOwner ? " (owner)" : ""} {EVENT_LABELS[event.action] || event.action}
+              {` · ${new Date(event.createdAt).toLocaleString()}`}
+              {event.comment ? `: ${event.comment}` : ""}
+            </Text>
+          ))}
+        </BlockStack>
+
+        {draft.status !== "published" && (
+          <TextField
+            label="Comment"
+            labelHidden
+            placeholder={draft.status === "in_review" ? "Leave feedback for the author" : "Add a comment"}
+            value={comment}
+            onChange={setComment}
+            autoComplete="off"
+          />
+        )}
+
+        <InlineStack gap="200">
+          {draft.status === "draft" && (
+            <>
+              <Button variant="primary" loading={busyAction === "update"} onClick={() => run("update", { content, submit: true })}>
+                Submit for review
+              </Button>
+              <Button loading={busyAction === "save"} onClick={() => run("update", { content, submit: false })}>
+                Save draft
+              </Button>
+            </>
+          )}
+          {draft.status === "in_review" && (
+            <>
+              <Button
+                variant="primary"
+                loading={busyAction === "approve"}
+                disabled={!canApprove}
+                onClick={() => run("approve", { comment })}
+              >
+                Approve
+              </Button>
+              <Button tone="critical" loading={busyAction === "reject"} disabled={!comment.trim()} onClick={() => run("reject", { comment })}>
+                Request changes
+              </Button>
+            </>
+          )}
+          {draft.status === "approved" && (
+            <Button variant="primary" loading={busyAction === "publish"} onClick={() => run("publish")}>
+              Publish to Shopify
+            </Button>
+          )}
+          {draft.status !== "published" && (
+            <Button loading={busyAction === "comment"} disabled={!comment.trim()} onClick={() => run("comment", { comment })}>
+              Comment
+            </Button>
+          )}
+        </InlineStack>
+        {draft.status === "in_review" && !canApprove && (
+          <Text variant="bodySm" tone="subdued">Someone other than the author has to approve this draft.</Text>
+        )}
+      </BlockStack>
+    </Card>
+  );
+};
+
+export default function ReviewsPage() {
+  const { drafts: initialDrafts, staff, requireApproval } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [drafts, setDrafts] = useState(initialDrafts);
+  const [selectedTab, setSelectedTab] = useState(0);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+      const { draft } = fetcher.data;
+      setDrafts((prev) => [draft, ...prev.filter((item) => item.id !== draft.id)]);
+    } else if (fetcher.data?.success === false) {
+      shopify.toast.show("Error: " + fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSubmit = (data) => {
+    fetcher.submit(data, { method: "POST", action: "/app/api/drafts", encType: "application/json" });
+  };
+
+  // "save" tells the two update buttons apart.
+  const busy = fetcher.state !== "idle" ? fetcher.json : null;
+  const getBusyAction = (draft) => {
+    if (busy?.id !== draft.id) return null;
+    return busy.action === "update" && !busy.submit ? "save" : busy.action;
+  };
+
+  const tabs = TABS.map((tab) => ({
+    ...tab,
+    content: `${tab.content} (${drafts.filter((draft) => draft.status === tab.id).length})`,
+  }));
+  const visibleDrafts = drafts.filter((draft) => draft.status === TABS[selectedTab].id);
+
+  return (
+    <Page title="Reviews">
+      <TitleBar title="Reviews" />
+      <Layout>
+        {!requireApproval && (
+          <Layout.Section>
+            <Banner tone="info">
+              <p>Approval is optional for this store. Turn it on in Settings to stop staff from publishing without a review.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        <Layout.Section>
+          <Tabs tabs={tabs} selected={selectedTab} onSelect={setSelectedTab} />
+        </Layout.Section>
+        <Layout.Section>
+          <BlockStack gap="400">
+            {visibleDrafts.length === 0 ? (
+              <Card>
+                <EmptyState heading="Nothing here" image="">
+                  <p>Drafts submitted from the generator show up here for review.</p>
+                </EmptyState>
+              </Card>
+            ) : (
+              visibleDrafts.map((draft) => (
+                <DraftCard
+                  key={draft.id}
+                  draft={draft}
+                  staff={staff}
+                  busyAction={getBusyAction(draft)}
+                  onSubmit={handleSubmit}
+                />
+              ))
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
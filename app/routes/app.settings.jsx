@@ -0,0 +1,164 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  Text,
+  Select,
+  TextField,
+  Button,
+  Banner,
+  Checkbox,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getShopSettings, saveShopSettings } from "../settings.server";
+import { listProviders, providers } from "../ai/providers.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const settings = await getShopSettings(session.shop);
+
+  return json({
+    settings: { provider: settings.provider, model: settings.model || "", requireApproval: settings.requireApproval },
+    providers: listProviders(),
+  });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const { action, provider, model, requireApproval } = await request.json();
+
+    if (action === "approval") {
+      await saveShopSettings(session.shop, { requireApproval: Boolean(requireApproval) });
+      return json({
+        success: true,
+        message: requireApproval ? "Publishing now requires approval" : "Approval is no longer required"
+      });
+    }
+
+    if (!providers[provider]) {
+      return json({ success: false, error: "Unknown AI provider" }, { status: 400 });
+    }
+
+    if (!providers[provider].isConfigured()) {
+      return json({
+        success: false,
+        error: `${providers[provider].label} is not configured on this server`
+      }, { status: 400 });
+    }
+
+    await saveShopSettings(session.shop, {
+      provider,
+      model: model?.trim() || null,
+    });
+
+    return json({ success: true, message: "Settings saved" });
+  } catch (error) {
+    console.error("Settings Error:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export default function SettingsPage() {
+  const { settings, providers } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [provider, setProvider] = useState(settings.provider);
+  const [model, setModel] = useState(settings.model);
+  const [requireApproval, setRequireApproval] = useState(settings.requireApproval);
+
+  const selectedProvider = providers.find((p) => p.id === provider);
+  const isSaving = fetcher.state !== "idle" && fetcher.json?.action !== "approval";
+  const isSavingApproval = fetcher.state !== "idle" && fetcher.json?.action === "approval";
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+    } else if (fetcher.data?.success === false) {
+      shopify.toast.show("Error: " + fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSave = () => {
+    fetcher.submit(
+      { provider, model },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  const handleSaveApproval = () => {
+    fetcher.submit(
+      { action: "approval", requireApproval },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  return (
+    <Page title="Settings">
+      <TitleBar title="Settings" />
+      <Layout>
+        <Layout.AnnotatedSection
+          title="AI provider"
+          description="Choose which AI service generates content for your store and which model it uses."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <Select
+                label="Provider"
+                options={providers.map((p) => ({
+                  label: p.configured ? p.label : `${p.label} (not configured)`,
+                  value: p.id,
+                  disabled: !p.configured,
+                }))}
+                value={provider}
+                onChange={setProvider}
+              />
+              <TextField
+                label="Model"
+                value={model}
+                onChange={setModel}
+                autoComplete="off"
+                placeholder={selectedProvider?.defaultModel || "Provider default"}
+                helpText="Leave empty to use the provider's default model."
+              />
+              {selectedProvider && !selectedProvider.configured && (
+                <Banner tone="warning">
+                  <Text as="p">
+                    This provider has no credentials on the server yet. Ask your app administrator to configure it.
+                  </Text>
+                </Banner>
+              )}
+              <Button variant="primary" onClick={handleSave} loading={isSaving}>
+                Save
+              </Button>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Publishing approval"
+          description="Have a second staff member review generated content before it reaches your store."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <Checkbox
+                label="Require approval before publishing"
+                helpText="Drafts are submitted for review and can only be published once approved. Direct publishing, scheduling and bulk generation are turned off."
+                checked={requireApproval}
+                onChange={setRequireApproval}
+              />
+              <Button variant="primary" onClick={handleSaveApproval} loading={isSavingApproval}>
+                Save
+              </Button>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+      </Layout>
+    </Page>
+  );
+}
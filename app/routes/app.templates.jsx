@@ -0,0 +1,259 @@
+import { useEffect, useMemo, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  TextField,
+  Button,
+  Badge,
+  Banner,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  deletePromptTemplate,
+  listPromptTemplates,
+  savePromptTemplate,
+} from "../prompt-templates.server";
+import {
+  findUnknownVariables,
+  renderTemplate,
+  TEMPLATE_CONTENT_TYPES,
+  TEMPLATE_VARIABLES,
+} from "../prompt-templates";
+
+const EMPTY_TEMPLATE = {
+  id: null,
+  name: "",
+  contentType: "description",
+  productType: "",
+  body: "",
+};
+
+const EXAMPLE_VALUES = Object.fromEntries(
+  TEMPLATE_VARIABLES.map((variable) => [variable.name, variable.example])
+);
+
+const contentTypeLabel = (value) =>
+  TEMPLATE_CONTENT_TYPES.find((type) => type.value === value)?.label || value;
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const templates = await listPromptTemplates(session.shop);
+
+  return json({ templates });
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  try {
+    const { action, id, ...data } = await request.json();
+
+    if (action === "save") {
+      const template = await savePromptTemplate(session.shop, data, id);
+      return json({ success: true, message: "Template saved", template });
+    }
+
+    if (action === "delete" && id) {
+      await deletePromptTemplate(session.shop, id);
+      return json({ success: true, message: "Template deleted", deletedId: id });
+    }
+
+    return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+  } catch (error) {
+    console.error("Prompt Template Error:", error);
+    return json({ success: false, error: error.message }, { status: 400 });
+  }
+};
+
+export default function PromptTemplatesPage() {
+  const { templates } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [form, setForm] = useState(EMPTY_TEMPLATE);
+
+  const isSaving = fetcher.state !== "idle";
+  const updateForm = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const unknownVariables = useMemo(() => findUnknownVariables(form.body), [form.body]);
+  const preview = useMemo(() => renderTemplate(form.body, EXAMPLE_VALUES), [form.body]);
+
+  useEffect(() => {
+    if (fetcher.data?.success) {
+      shopify.toast.show(fetcher.data.message);
+      if (fetcher.data.template) {
+        setForm({ ...EMPTY_TEMPLATE, ...fetcher.data.template, productType: fetcher.data.template.productType || "" });
+      } else if (fetcher.data.deletedId) {
+        setForm((prev) => (prev.id === fetcher.data.deletedId ? EMPTY_TEMPLATE : prev));
+      }
+    } else if (fetcher.data?.success === false) {
+      shopify.toast.show("Error: " + fetcher.data.error, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const handleSave = () => {
+    fetcher.submit({ action: "save", ...form }, { method: "POST", encType: "application/json" });
+  };
+
+  const handleDelete = (id) => {
+    fetcher.submit({ action: "delete", id }, { method: "POST", encType: "application/json" });
+  };
+
+  const insertVariable = (name) => {
+    setForm((prev) => ({
+      ...prev,
+      body: `${prev.body}${prev.body && !prev.body.endsWith(" ") ? " " : ""}{{${name}}}`,
+    }));
+  };
+
+  return (
+    <Page title="Prompt Templates">
+      <TitleBar title="Prompt Templates" />
+      <Layout>
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd" as="h2">Templates</Text>
+                <Button size="slim" onClick={() => setForm(EMPTY_TEMPLATE)}>New template</Button>
+              </InlineStack>
+              {templates.length === 0 ? (
+                <EmptyState heading="No templates yet" image="">
+                  <p>Write your own instructions for the AI. Without a template the built-in prompt is used.</p>
+                </EmptyState>
+              ) : (
+                templates.map((template) => (
+                  <div
+                    key={template.id}
+                    style={{
+                      padding: "12px",
+                      borderRadius: "8px",
+                      border: `1px solid ${form.id === template.id ? "#3b82f6" : "#e5e7eb"}`,
+                    }}
+                  >
+                    <InlineStack align="space-between" blockAlign="center">
+                      <BlockStack gap="100">
+                        <Text variant="bodyMd" fontWeight="semibold">{template.name}</Text>
+                        <InlineStack gap="100">
+                          <Badge>{contentTypeLabel(template.contentType)}</Badge>
+                          <Badge tone={template.productType ? "info" : undefined}>
+                            {template.productType || "All product types"}
+                          </Badge>
+                        </InlineStack>
+                      </BlockStack>
+                      <InlineStack gap="100">
+                        <Button
+                          size="slim"
+                          onClick={() => setForm({ ...EMPTY_TEMPLATE, ...template, productType: template.productType || "" })}
+                        >
+                          Edit
+                        </Button>
+                        <Button size="slim" tone="critical" onClick={() => handleDelete(template.id)} disabled={isSaving}>
+                          Delete
+                        </Button>
+                      </InlineStack>
+                    </InlineStack>
+                  </div>
+                ))
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">
+                  {form.id ? `Edit "${form.name}"` : "New prompt template"}
+                </Text>
+                <TextField label="Name" value={form.name} onChange={updateForm("name")} autoComplete="off" />
+                <InlineStack gap="400" wrap={false}>
+                  <div style={{ flex: 1 }}>
+                    <Select
+                      label="Content type"
+                      options={TEMPLATE_CONTENT_TYPES}
+                      value={form.contentType}
+                      onChange={updateForm("contentType")}
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <TextField
+                      label="Product type"
+                      value={form.productType}
+                      onChange={updateForm("productType")}
+                      autoComplete="off"
+                      placeholder="All product types"
+                      helpText="Used automatically for items of this product type"
+                    />
+                  </div>
+                </InlineStack>
+                <TextField
+                  label="Instructions"
+                  value={form.body}
+                  onChange={updateForm("body")}
+                  multiline={8}
+                  autoComplete="off"
+                  placeholder="Write a playful description for {{title}} by {{vendor}}. Mention {{keywords}}."
+                />
+                <BlockStack gap="200">
+                  <Text variant="bodySm" tone="subdued">Insert a variable</Text>
+                  <InlineStack gap="200">
+                    {TEMPLATE_VARIABLES.map((variable) => (
+                      <Button key={variable.name} size="slim" onClick={() => insertVariable(variable.name)}>
+                        {`{{${variable.name}}}`}
+                      </Button>
+                    ))}
+                  </InlineStack>
+                </BlockStack>
+                {unknownVariables.length > 0 && (
+                  <Banner tone="warning">
+                    <p>
+                      Unknown placeholders: {unknownVariables.map((name) => `{{${name}}}`).join(", ")}.
+                      They would be left empty, so fix them before saving.
+                    </p>
+                  </Banner>
+                )}
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={handleSave}
+                    loading={isSaving}
+                    disabled={!form.name.trim() || !form.body.trim() || unknownVariables.length > 0}
+                  >
+                    Save template
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd" as="h2">Preview</Text>
+                <Text variant="bodySm" tone="subdued">Rendered with sample product values</Text>
+                <div style={{
+                  padding: "12px",
+                  background: "#f9fafb",
+                  borderRadius: "8px",
+                  border: "1px solid #e5e7eb",
+                  whiteSpace: "pre-wrap",
+                  fontSize: "13px",
+                  lineHeight: "1.5"
+                }}>
+                  {preview || "Start writing instructions to see a preview."}
+                </div>
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
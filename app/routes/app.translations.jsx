@@ -0,0 +1,544 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  TextField,
+  ChoiceList,
+  Button,
+  Badge,
+  Banner,
+  ResourceList,
+  ResourceItem,
+  Thumbnail,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { fetchItem } from "../catalog.server";
+import { searchCatalog } from "../catalog-mirror.server";
+import { listBrandVoices } from "../brand-voices.server";
+import { generateText, ProviderError } from "../ai/providers.server";
+import { buildGenerationRequest, NO_TEMPLATE } from "../ai/generation-request.server";
+import { ContentError, withOriginalContent } from "../content.server";
+import { getAuthor, recordVersion } from "../content-versions.server";
+import { assertCanPublishDirectly } from "../approvals.server";
+import { getCurrentContent, TRANSLATION_KEYS } from "../content-types";
+import { normalizeContent } from "../content-normalizer";
+import {
+  fetchShopLocales,
+  fetchTranslatableResource,
+  registerTranslations,
+  snapshotTranslations,
+} from "../translations.server";
+
+const PLACEHOLDER_IMAGE = "https://cdn.shopify.com/s/files/1/0533/2089/files/placeholder-image.png";
+
+const FIELD_LABELS = {
+  description: "Description",
+  "seo-description": "SEO Meta Description",
+  "seo-title": "SEO Title",
+};
+
+const MATCH_LIMIT = 8;
+
+export async function loader({ request }) {
+  const { admin, session } = await authenticate.admin(request);
+
+  const [products, brandVoices, locales] = await Promise.all([
+    searchCatalog(admin, session.shop, "product", { sort: "title-asc", first: MATCH_LIMIT, summary: true }),
+    listBrandVoices(session.shop),
+    fetchShopLocales(admin).catch((error) => {
+      console.error("Shop Locales Error:", error);
+      return null;
+    })
+  ]);
+
+  return json({
+    products: products.items,
+    brandVoices: brandVoices.map(({ id, name }) => ({ id, name })),
+    locales
+  });
+}
+
+const generateTranslations = async (admin, shop, body) => {
+  const { pageType, itemId, locales, contentTypes, mode, seoKeywords, brandVoiceId } = body;
+
+  const node = await fetchItem(admin, itemId);
+  if (!node) {
+    throw new ContentError(`This ${pageType} could not be found`, 404);
+  }
+
+  const shopLocales = await fetchShopLocales(admin);
+  const targets = shopLocales.filter(({ locale }) => locales.includes(locale));
+  if (targets.length === 0) {
+    throw new ContentError("Select at least one of the shop's languages", 400);
+  }
+
+  const requests = Object.fromEntries(await Promise.all(contentTypes.map(async (contentType) => [
+    contentType,
+    await buildGenerationRequest(shop, {
+      node,
+      pageType,
+      contentType,
+      seoKeywords: seoKeywords?.trim() || "",
+      brandVoiceId,
+      templateId: mode === "translate" ? NO_TEMPLATE : null
+    })
+  ])));
+
+  const results = [];
+  for (const { locale, name } of targets) {
+    const { translations } = await fetchTranslatableResource(admin, itemId, locale);
+
+    const fields = await Promise.all(contentTypes.map(async (contentType) => {
+      const current = translations[TRANSLATION_KEYS[contentType]]?.value || "";
+      const sourceText = getCurrentContent(node, contentType);
+
+      if (!sourceText) {
+        return [contentType, { current, generated: "", error: `The ${pageType} has no ${FIELD_LABELS[contentType].toLowerCase()} to translate` }];
+      }
+
+      const text = await generateText(shop, {
+        ...requests[contentType],
+        language: { locale, name },
+        ...(mode === "translate" && { sourceText })
+      });
+
+      // Translated HTML goes through the same sanitizer, so the source's markup survives.
+      return [contentType, { current, generated: normalizeContent(text, contentType) }];
+    }));
+
+    results.push({ locale, name, fields: Object.fromEntries(fields) });
+  }
+
+  return results;
+};
+
+export async function action({ request }) {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  try {
+    const body = await request.json();
+
+    switch (body.action) {
+      case "generate": {
+        const { pageType, itemId, locales, contentTypes, mode, seoKeywords } = body;
+
+        if (!["product", "collection"].includes(pageType) || !itemId || !locales?.length ||
+          !contentTypes?.length || contentTypes.some((type) => !TRANSLATION_KEYS[type]) ||
+          !["translate", "generate"].includes(mode) || (mode === "generate" && !seoKeywords?.trim())) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        const results = await generateTranslations(admin, session.shop, body);
+        return json({ success: true, message: `Generated ${results.length} language${results.length === 1 ? "" : "s"}`, results });
+      }
+
+      case "publish": {
+        const { pageType, itemId, locale, values, seoKeywords } = body;
+        const keyedValues = Object.fromEntries(
+          Object.entries(values || {})
+            .filter(([contentType, value]) => TRANSLATION_KEYS[contentType] && value?.trim())
+            .map(([contentType, value]) => [TRANSLATION_KEYS[contentType], value])
+        );
+
+        if (!pageType || !itemId || !locale || Object.keys(keyedValues).length === 0) {
+          return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+        }
+
+        await assertCanPublishDirectly(session.shop);
+
+        const previous = await snapshotTranslations(admin, {
+          resourceId: itemId,
+          locale,
+          keys: Object.keys(keyedValues)
+        });
+        await withOriginalContent(session.shop, [{
+          originalContent: JSON.stringify(previous),
+          contentType: `translation:${locale}`,
+          contentOrigin: pageType,
+          originId: itemId
+        }], () => registerTranslations(admin, { resourceId: itemId, locale, values: keyedValues }));
+        await recordVersion(session.shop, {
+          itemId,
+          pageType,
+          contentType: `translation:${locale}`,
+          content: JSON.stringify(keyedValues),
+          previous: JSON.stringify(previous),
+          action: "publish",
+          author: getAuthor(session, sessionToken),
+          seoKeywords
+        });
+
+        return json({ success: true, message: `Translations published for ${locale}`, publishedLocale: locale });
+      }
+
+      default:
+        return json({ success: false, error: "Invalid request parameters" }, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Translation Error:", error);
+
+    if (error instanceof ProviderError) {
+      return json({
+        success: false,
+        error: error.status === 429
+          ? "You've reached the current usage limit. Please try again later."
+          : error.message
+      }, { status: error.status === 429 ? 429 : 502 });
+    }
+
+    return json({
+      success: false,
+      error: error.message
+    }, { status: error instanceof ContentError ? error.status : 500 });
+  }
+}
+
+const LocaleResult = ({ result, onChange, onPublish, publishing }) => (
+  <Card>
+    <BlockStack gap="400">
+      <InlineStack align="space-between" blockAlign="center">
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="headingMd" as="h2">{result.name}</Text>
+          <Badge>{result.locale}</Badge>
+          {result.published && <Badge tone="success">Published</Badge>}
+        </InlineStack>
+        <Button
+          variant="primary"
+          onClick={() => onPublish(result)}
+          loading={publishing}
+          disabled={Object.values(result.fields).every((field) => !field.generated.trim())}
+        >
+          Publish translation
+        </Button>
+      </InlineStack>
+
+      {Object.entries(result.fields).map(([contentType, field]) => (
+        <BlockStack key={contentType} gap="200">
+          <Text variant="headingSm" as="h3">{FIELD_LABELS[contentType]}</Text>
+          {field.error ? (
+            <Text variant="bodySm" tone="caution">{field.error}</Text>
+          ) : (
+            <>
+              <Text variant="bodySm" tone="subdued">
+                Current translation: {field.current ? field.current.replace(/<[^>]*>/g, " ").trim() : "none"}
+              </Text>
+              <TextField
+                label={FIELD_LABELS[contentType]}
+                labelHidden
+                value={field.generated}
+                onChange={(value) => onChange(result.locale, contentType, value)}
+                multiline={contentType === "description" ? 6 : contentType === "seo-description" ? 2 : false}
+                autoComplete="off"
+              />
+            </>
+          )}
+        </BlockStack>
+      ))}
+    </BlockStack>
+  </Card>
+);
+
+export default function TranslationsPage() {
+  const { products, brandVoices, locales } = useLoaderData();
+  const generateFetcher = useFetcher();
+  const publishFetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [pageType, setPageType] = useState("product");
+  const [searchTerm, setSearchTerm] = useState("");
+  const [selectedItem, setSelectedItem] = useState(null);
+  const [selectedLocales, setSelectedLocales] = useState([]);
+  const [contentTypes, setContentTypes] = useState(["description", "seo-title", "seo-description"]);
+  const [mode, setMode] = useState(["translate"]);
+  const [seoKeywords, setSeoKeywords] = useState("");
+  const [brandVoiceId, setBrandVoiceId] = useState("");
+  const [results, setResults] = useState([]);
+  const [publishingLocale, setPublishingLocale] = useState(null);
+  const [matches, setMatches] = useState({ items: products, isLoading: false, controller: null });
+
+  const isGenerating = generateFetcher.state !== "idle";
+
+  useEffect(() => {
+    if (generateFetcher.data?.success) {
+      setResults(generateFetcher.data.results.map((result) => ({
+        ...result,
+        published: false
+      })));
+      shopify.toast.show(generateFetcher.data.message);
+    } else if (generateFetcher.data?.success === false) {
+      shopify.toast.show("Error: " + generateFetcher.data.error, { isError: true });
+    }
+  }, [generateFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (publishFetcher.data?.success) {
+      const { publishedLocale } = publishFetcher.data;
+      setResults((prev) => prev.map((result) => (result.locale === publishedLocale ? {
+        ...result,
+        published: true,
+        fields: Object.fromEntries(Object.entries(result.fields).map(([contentType, field]) => [
+          contentType,
+          field.generated.trim() ? { ...field, current: field.generated } : field
+        ]))
+      } : result)));
+      shopify.toast.show(publishFetcher.data.message);
+    } else if (publishFetcher.data?.success === false) {
+      shopify.toast.show("Error: " + publishFetcher.data.error, { isError: true });
+    }
+    setPublishingLocale(null);
+  }, [publishFetcher.data, shopify]);
+
+  // Shows the first few matches for the search. Typing is debounced, and a
+  // newer search cancels the one before it.
+  const searchItems = (search, type = pageType) => {
+    matches.controller?.abort();
+    const controller = new AbortController();
+    const params = new URLSearchParams({ pageType: type, q: search.trim(), sort: "title-asc", first: MATCH_LIMIT, summary: "1" });
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/app/api/catalog?${params}`, { signal: controller.signal });
+        const data = await response.json();
+        if (!data.success) {
+          throw new Error(data.error);
+        }
+        setMatches({ items: data.items, isLoading: false, controller: null });
+      } catch (error) {
+        if (error.name === "AbortError") return;
+        setMatches((prev) => ({ ...prev, isLoading: false, controller: null }));
+        shopify.toast.show("Error: " + error.message, { isError: true });
+      }
+    }, 300);
+    controller.signal.addEventListener("abort", () => clearTimeout(timer));
+
+    setMatches((prev) => ({ ...prev, isLoading: true, controller }));
+  };
+
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
+    searchItems(value);
+  };
+
+  const handlePageTypeChange = (value) => {
+    setPageType(value);
+    setSelectedItem(null);
+    setSearchTerm("");
+    searchItems("", value);
+    setResults([]);
+  };
+
+  const handleSelectItem = (item) => {
+    setSelectedItem(item);
+    setResults([]);
+  };
+
+  const handleGenerate = () => {
+    generateFetcher.submit(
+      {
+        action: "generate",
+        pageType,
+        itemId: selectedItem.id,
+        locales: selectedLocales,
+        contentTypes,
+        mode: mode[0],
+        seoKeywords,
+        brandVoiceId: brandVoiceId || null
+      },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  const handleFieldChange = (locale, contentType, value) => {
+    setResults((prev) => prev.map((result) => (result.locale === locale ? {
+      ...result,
+      fields: { ...result.fields, [contentType]: { ...result.fields[contentType], generated: value } }
+    } : result)));
+  };
+
+  const handlePublish = (result) => {
+    setPublishingLocale(result.locale);
+    publishFetcher.submit(
+      {
+        action: "publish",
+        pageType,
+        itemId: selectedItem.id,
+        locale: result.locale,
+        seoKeywords: mode[0] === "generate" ? seoKeywords : "",
+        values: Object.fromEntries(
+          Object.entries(result.fields).map(([contentType, field]) => [contentType, field.generated])
+        )
+      },
+      { method: "POST", encType: "application/json" }
+    );
+  };
+
+  return (
+    <Page title="Translations">
+      <TitleBar title="Translations" />
+      <Layout>
+        {!locales && (
+          <Layout.Section>
+            <Banner tone="critical" title="Languages could not be loaded">
+              <p>Reinstall the app to grant access to your store's languages and translations.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+        {locales?.length === 0 && (
+          <Layout.Section>
+            <Banner tone="info" title="No additional languages">
+              <p>Add and enable languages under Settings › Languages in your Shopify admin to translate content.</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section variant="oneThird">
+          <Card>
+            <BlockStack gap="400">
+              <Select
+                label="Page Type"
+                options={[
+                  { label: "Product", value: "product" },
+                  { label: "Collection", value: "collection" }
+                ]}
+                value={pageType}
+                onChange={handlePageTypeChange}
+              />
+              {selectedItem ? (
+                <InlineStack align="space-between" blockAlign="center" wrap={false}>
+                  <InlineStack gap="200" blockAlign="center" wrap={false}>
+                    <Thumbnail
+                      source={selectedItem.imageUrl || PLACEHOLDER_IMAGE}
+                      alt={selectedItem.title}
+                      size="small"
+                    />
+                    <Text variant="bodyMd" fontWeight="semibold">{selectedItem.title}</Text>
+                  </InlineStack>
+                  <Button size="slim" onClick={() => handleSelectItem(null)}>Change</Button>
+                </InlineStack>
+              ) : (
+                <BlockStack gap="200">
+                  <TextField
+                    label={`Search ${pageType}s`}
+                    value={searchTerm}
+                    onChange={handleSearchChange}
+                    placeholder={`Enter ${pageType} name`}
+                    autoComplete="off"
+                  />
+                  <ResourceList
+                    resourceName={{ singular: pageType, plural: `${pageType}s` }}
+                    items={matches.items}
+                    loading={matches.isLoading}
+                    renderItem={(item) => (
+                      <ResourceItem
+                        id={item.id}
+                        onClick={() => handleSelectItem(item)}
+                        media={
+                          <Thumbnail
+                            source={item.imageUrl || PLACEHOLDER_IMAGE}
+                            alt={item.title}
+                            size="small"
+                          />
+                        }
+                      >
+                        <Text variant="bodyMd" fontWeight="semibold" as="h3">{item.title}</Text>
+                      </ResourceItem>
+                    )}
+                  />
+                </BlockStack>
+              )}
+              <ChoiceList
+                title="Languages"
+                allowMultiple
+                choices={(locales || []).map(({ locale, name, published }) => ({
+                  label: published ? name : `${name} (unpublished)`,
+                  value: locale
+                }))}
+                selected={selectedLocales}
+                onChange={setSelectedLocales}
+              />
+              <ChoiceList
+                title="Fields"
+                allowMultiple
+                choices={Object.entries(FIELD_LABELS).map(([value, label]) => ({ value, label }))}
+                selected={contentTypes}
+                onChange={setContentTypes}
+              />
+              <ChoiceList
+                title="Mode"
+                choices={[
+                  { label: "Translate the current content", value: "translate" },
+                  { label: "Write new copy in each language", value: "generate" }
+                ]}
+                selected={mode}
+                onChange={setMode}
+              />
+              {mode[0] === "generate" && (
+                <TextField
+                  label="SEO Keywords"
+                  value={seoKeywords}
+                  onChange={setSeoKeywords}
+                  placeholder="Enter keywords separated by commas"
+                  autoComplete="off"
+                />
+              )}
+              <Select
+                label="Brand Voice"
+                options={[
+                  { label: "Default", value: "" },
+                  ...brandVoices.map((voice) => ({ label: voice.name, value: voice.id }))
+                ]}
+                value={brandVoiceId}
+                onChange={setBrandVoiceId}
+              />
+              <Button
+                variant="primary"
+                onClick={handleGenerate}
+                loading={isGenerating}
+                disabled={!selectedItem || selectedLocales.length === 0 || contentTypes.length === 0 ||
+                  (mode[0] === "generate" && !seoKeywords.trim())}
+                fullWidth
+              >
+                {mode[0] === "translate" ? "Translate" : "Generate"}
+              </Button>
+              <Text variant="bodySm" tone="subdued">
+                Translations are registered for each language and never change your default-language content.
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            {results.length === 0 ? (
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingMd" as="h2">No translations yet</Text>
+                  <Text variant="bodyMd" tone="subdued">
+                    Choose an item and the languages to translate it into. You can review and edit every field before publishing.
+                  </Text>
+                </BlockStack>
+              </Card>
+            ) : (
+              results.map((result) => (
+                <LocaleResult
+                  key={result.locale}
+                  result={result}
+                  onChange={handleFieldChange}
+                  onPublish={handlePublish}
+                  publishing={publishingLocale === result.locale}
+                />
+              ))
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
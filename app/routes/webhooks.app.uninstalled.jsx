@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { deleteCatalogMirror } from "../catalog-mirror.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,8 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // A reinstall seeds the mirror again from scratch.
+  await deleteCatalogMirror(shop);
+
   return new Response();
 };
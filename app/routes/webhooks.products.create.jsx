@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { refreshCatalogItem } from "../catalog-mirror.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Shopify expects a quick response, so the mirror is updated after replying.
+  if (admin && payload?.admin_graphql_api_id) {
+    refreshCatalogItem(admin, shop, payload.admin_graphql_api_id)
+      .catch((error) => console.error(`Failed to add product ${payload.admin_graphql_api_id} to the catalog mirror:`, error));
+  }
+
+  return new Response();
+};
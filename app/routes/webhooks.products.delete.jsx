@@ -0,0 +1,15 @@
+import { authenticate } from "../shopify.server";
+import { removeCatalogItem } from "../catalog-mirror.server";
+
+export const action = async ({ request }) => {
+  const { payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Deletion payloads only carry the numeric ID.
+  if (payload?.id) {
+    await removeCatalogItem(shop, `gid://shopify/Product/${payload.id}`);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { detectManualEdits } from "../manual-edits.server";
+import { refreshCatalogItem } from "../catalog-mirror.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Shopify expects a quick response, so the mirror and the comparison are
+  // updated after replying.
+  if (admin && payload?.admin_graphql_api_id) {
+    refreshCatalogItem(admin, shop, payload.admin_graphql_api_id)
+      .catch((error) => console.error(`Failed to refresh product ${payload.admin_graphql_api_id} in the catalog mirror:`, error));
+    detectManualEdits(admin, shop, { itemId: payload.admin_graphql_api_id, pageType: "product" })
+      .catch((error) => console.error(`Failed to check product ${payload.admin_graphql_api_id} for manual edits:`, error));
+  }
+
+  return new Response();
+};
@@ -0,0 +1,184 @@
+import prisma from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { ContentError } from "./content.server";
+import { normalizeContent } from "./content-normalizer";
+import { getContentUpdate } from "./content-types";
+import { publishContent } from "./publish.server";
+import { assertCanPublishDirectly } from "./approvals.server";
+import { formatValidationErrors, validateContent } from "./seo-validator";
+
+// Generated content can be published at a later date instead of right away.
+// Changes are stored in the database and applied in-process with the shop's
+// offline session, so nobody has to have the app open when they fall due.
+export const SCHEDULABLE_TYPES = ["description", "seo-description", "seo-title"];
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+// A claim older than this belongs to a publish that never finished, e.g.
+// because its server crashed. Publishing one change takes seconds.
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+const parsePublishAt = (publishAt) => {
+  const date = new Date(publishAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new ContentError("Choose a valid date and time", 400);
+  }
+  if (date.getTime() <= Date.now()) {
+    throw new ContentError("The publish time must be in the future", 400);
+  }
+  return date;
+};
+
+export const createScheduledChange = (shop, { itemId, pageType, title, contentType, content, seoKeywords, author, publishAt }) => {
+  if (!SCHEDULABLE_TYPES.includes(contentType)) {
+    throw new ContentError("This content type cannot be scheduled", 400);
+  }
+  if (!content?.trim()) {
+    throw new ContentError("There is no content to schedule", 400);
+  }
+
+  return prisma.scheduledChange.create({
+    data: {
+      shop,
+      itemId,
+      pageType,
+      title,
+      contentType,
+      content,
+      seoKeywords: seoKeywords?.trim() || null,
+      author: author || null,
+      publishAt: parsePublishAt(publishAt),
+    },
+  });
+};
+
+// Upcoming changes, plus ones that failed so the merchant can see why.
+export const listScheduledChanges = (shop) =>
+  prisma.scheduledChange.findMany({
+    where: { shop, status: { in: ["scheduled", "publishing", "failed"] } },
+    orderBy: { publishAt: "asc" },
+  });
+
+// Editing a failed change schedules it again.
+export const updateScheduledChange = async (shop, id, { content, publishAt, overrideValidation = false }) => {
+  const change = await prisma.scheduledChange.findFirst({
+    where: { id, shop, status: { in: ["scheduled", "failed"] } },
+  });
+  if (!change) {
+    throw new ContentError("This change has already been published or cancelled", 409);
+  }
+
+  const normalized = normalizeContent(content || "", change.contentType);
+  if (!normalized.trim()) {
+    throw new ContentError("There is no content to schedule", 400);
+  }
+  // Edited content goes live unattended too, so it is checked like new content.
+  if (!overrideValidation) {
+    const error = formatValidationErrors(validateContent({
+      contentType: change.contentType,
+      content: normalized,
+      seoKeywords: change.seoKeywords || "",
+    }));
+    if (error) {
+      throw new ContentError(error, 422);
+    }
+  }
+
+  return prisma.scheduledChange.update({
+    where: { id },
+    data: { content: normalized, publishAt: parsePublishAt(publishAt), status: "scheduled", error: null },
+  });
+};
+
+export const cancelScheduledChange = async (shop, id) => {
+  const { count } = await prisma.scheduledChange.updateMany({
+    where: { id, shop, status: { in: ["scheduled", "failed"] } },
+    data: { status: "cancelled" },
+  });
+  if (count === 0) {
+    throw new ContentError("This change has already been published or cancelled", 409);
+  }
+};
+
+const applyChange = async (change) => {
+  // Claim the change first so an overlapping run cannot publish it twice.
+  const { count } = await prisma.scheduledChange.updateMany({
+    where: { id: change.id, status: "scheduled" },
+    data: { status: "publishing", claimedAt: new Date() },
+  });
+  if (count === 0) return;
+
+  try {
+    // The change may have been scheduled before the store started requiring
+    // approval, which it did not go through.
+    await assertCanPublishDirectly(change.shop);
+
+    const { admin } = await unauthenticated.admin(change.shop);
+    // The draft was validated when it was scheduled and whenever it was edited.
+    await publishContent(admin, change.shop, {
+      itemId: change.itemId,
+      pageType: change.pageType,
+      ...getContentUpdate(change.contentType, change.content),
+      seoKeywords: change.seoKeywords || "",
+      overrideValidation: true,
+      action: "scheduled",
+      author: change.author,
+    });
+
+    await prisma.scheduledChange.update({
+      where: { id: change.id },
+      data: { status: "published", publishedAt: new Date(), error: null },
+    });
+  } catch (error) {
+    console.error(`Scheduled change ${change.id} failed:`, error);
+    await prisma.scheduledChange.update({
+      where: { id: change.id },
+      data: { status: "failed", error: error.message },
+    });
+  }
+};
+
+let isApplying = false;
+
+// Changes claimed by a publish that never finished are scheduled again.
+// Claims that are still fresh may belong to another process, so they are
+// left alone.
+const releaseStaleClaims = () =>
+  prisma.scheduledChange.updateMany({
+    where: {
+      status: "publishing",
+      OR: [{ claimedAt: null }, { claimedAt: { lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }],
+    },
+    data: { status: "scheduled", claimedAt: null },
+  });
+
+export const applyDueChanges = async () => {
+  if (isApplying) return;
+  isApplying = true;
+
+  try {
+    await releaseStaleClaims();
+    const due = await prisma.scheduledChange.findMany({
+      where: { status: "scheduled", publishAt: { lte: new Date() } },
+      orderBy: { publishAt: "asc" },
+    });
+    for (const change of due) {
+      await applyChange(change);
+    }
+  } finally {
+    isApplying = false;
+  }
+};
+
+const startScheduler = async () => {
+  // Anything that fell due while the server was down is applied straight away.
+  setInterval(() => {
+    applyDueChanges().catch((error) => console.error("Failed to apply scheduled changes:", error));
+  }, CHECK_INTERVAL_MS).unref();
+
+  await applyDueChanges();
+};
+
+if (!global.scheduledChangesStarted) {
+  global.scheduledChangesStarted = true;
+  startScheduler().catch((error) => console.error("Failed to start the content scheduler:", error));
+}
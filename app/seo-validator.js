@@ -0,0 +1,178 @@
+import { SEO_TITLE_LIMIT } from "./content-types";
+import { htmlToText } from "./content-normalizer";
+
+// Scores a draft before it is published. Shared by the generator UI, which
+// shows the checks next to the editor, and the publish action, which refuses
+// drafts with errors unless the merchant overrides them.
+//
+// Recommended ranges give warnings; anything outside the hard limits is an error.
+const LENGTH_RULES = {
+  "seo-description": { min: 120, max: 160, hardMin: 50, hardMax: 320, label: "SEO description" },
+  "seo-title": { min: 30, max: SEO_TITLE_LIMIT, hardMin: 10, hardMax: 70, label: "SEO title" },
+};
+const MIN_DESCRIPTION_WORDS = 50;
+const MAX_KEYWORD_DENSITY = 0.03;
+const MIN_READABILITY = 30;
+
+// Leftovers from the model that must never reach the storefront.
+const ARTIFACT_PATTERNS = [
+  /\bas an ai\b/i,
+  /\bas a (large )?language model\b/i,
+  // Only refusals opening the output; "I can't live without it" is fine copy.
+  /^I (cannot|can['’]t|am unable to) (help|assist|provide|create|write|generate)\b/i,
+  /^(sure|certainly|of course)[,!.]/i,
+  /^here (is|are) (a|an|the|your)\b/i,
+  /\[(insert|your|product name|brand)[^\]]*\]/i,
+  /\{\{[^}]*\}\}/,
+  /\blorem ipsum\b/i,
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getWords = (text) => text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+
+const getSentences = (text) =>
+  text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.replace(/^•\s*/, "").trim())
+    .filter((sentence) => getWords(sentence).length > 0);
+
+export const parseKeywords = (seoKeywords = "") =>
+  [...new Set(seoKeywords.split(",").map((keyword) => keyword.trim().toLowerCase()).filter(Boolean))];
+
+const countSyllables = (word) => {
+  const groups = word.toLowerCase().replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, "").match(/[aeiouy]{1,2}/g);
+  return Math.max(groups?.length || 0, 1);
+};
+
+// Flesch reading ease, 0 (very hard) to 100 (very easy). The syllable count
+// is an English heuristic, so other languages only get a rough score.
+export const getReadability = (text) => {
+  const words = getWords(text);
+  const sentences = getSentences(text);
+  if (words.length === 0 || sentences.length === 0) return null;
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const score = Math.round(
+    206.835 - 1.015 * (words.length / sentences.length) - 84.6 * (syllables / words.length)
+  );
+  const clamped = Math.min(Math.max(score, 0), 100);
+  const label = clamped >= 70 ? "Easy" : clamped >= 50 ? "Standard" : clamped >= 30 ? "Fairly difficult" : "Difficult";
+
+  return { score: clamped, label };
+};
+
+const checkLength = (contentType, text, words) => {
+  const rule = LENGTH_RULES[contentType];
+
+  if (!rule) {
+    if (contentType !== "description") return null;
+    return words.length < MIN_DESCRIPTION_WORDS
+      ? { id: "length", status: "warning", message: `Only ${words.length} words. Aim for at least ${MIN_DESCRIPTION_WORDS}.` }
+      : { id: "length", status: "pass", message: `${words.length} words` };
+  }
+
+  const { length } = text;
+  if (length < rule.hardMin || length > rule.hardMax) {
+    return { id: "length", status: "error", message: `${rule.label} is ${length} characters. It must be between ${rule.hardMin} and ${rule.hardMax}.` };
+  }
+  if (length < rule.min || length > rule.max) {
+    return { id: "length", status: "warning", message: `${length} characters. ${rule.min}–${rule.max} works best in search results.` };
+  }
+  return { id: "length", status: "pass", message: `${length} characters` };
+};
+
+const checkKeywords = (contentType, text, words, keywords) => {
+  if (keywords.length === 0) return [];
+
+  const lowerText = text.toLowerCase();
+  const counts = keywords.map((keyword) => ({
+    keyword,
+    count: (lowerText.match(new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(keyword)}(?=[^\\p{L}\\p{N}]|$)`, "gu")) || []).length,
+  }));
+  const missing = counts.filter(({ count }) => count === 0).map(({ keyword }) => keyword);
+  const checks = [];
+
+  if (missing.length === keywords.length) {
+    checks.push({ id: "keywords", status: "warning", message: "None of the SEO keywords appear in the text." });
+  } else if (contentType === "seo-title" && missing.includes(keywords[0])) {
+    checks.push({ id: "keywords", status: "warning", message: `The main keyword "${keywords[0]}" is missing from the title.` });
+  } else if (missing.length > 0 && contentType === "description") {
+    checks.push({ id: "keywords", status: "warning", message: `Missing keywords: ${missing.join(", ")}` });
+  } else {
+    checks.push({ id: "keywords", status: "pass", message: "SEO keywords are present" });
+  }
+
+  // Density only means something in longer copy.
+  if (contentType === "description" && words.length >= MIN_DESCRIPTION_WORDS) {
+    const stuffed = counts.filter(({ keyword, count }) =>
+      (count * getWords(keyword).length) / words.length > MAX_KEYWORD_DENSITY);
+    if (stuffed.length > 0) {
+      checks.push({
+        id: "density",
+        status: "warning",
+        message: `Keyword stuffing: ${stuffed.map(({ keyword, count }) => `"${keyword}" ×${count}`).join(", ")}. Keep each under ${MAX_KEYWORD_DENSITY * 100}% of the text.`,
+      });
+    }
+  }
+
+  return checks;
+};
+
+const checkDuplicates = (text) => {
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const sentence of getSentences(text)) {
+    const key = getWords(sentence.toLowerCase()).join(" ");
+    if (getWords(key).length < 4) continue;
+    if (seen.has(key)) duplicates.add(sentence);
+    seen.add(key);
+  }
+
+  return duplicates.size > 0
+    ? { id: "duplicates", status: "warning", message: `Repeated sentence: "${[...duplicates][0]}"` }
+    : null;
+};
+
+const checkArtifacts = (text) => {
+  const pattern = ARTIFACT_PATTERNS.find((artifact) => artifact.test(text));
+  if (!pattern) return null;
+  const [match] = text.match(pattern);
+  return { id: "artifacts", status: "error", message: `Remove the leftover "${match.trim()}" before publishing.` };
+};
+
+export const validateContent = ({ contentType, content, seoKeywords }) => {
+  const text = contentType === "description" ? htmlToText(content || "") : (content || "").trim();
+  const words = getWords(text);
+
+  if (!text) {
+    return {
+      checks: [{ id: "empty", status: "error", message: "There is no content to publish." }],
+      readability: null,
+      hasErrors: true,
+      hasWarnings: false,
+    };
+  }
+
+  const checks = [
+    checkArtifacts(text),
+    checkLength(contentType, text, words),
+    ...checkKeywords(contentType, text, words, parseKeywords(seoKeywords)),
+    checkDuplicates(text),
+  ].filter(Boolean);
+
+  const readability = contentType === "seo-title" ? null : getReadability(text);
+  if (readability && contentType === "description" && readability.score < MIN_READABILITY) {
+    checks.push({ id: "readability", status: "warning", message: "Hard to read. Try shorter sentences and simpler words." });
+  }
+
+  return {
+    checks,
+    readability,
+    hasErrors: checks.some((check) => check.status === "error"),
+    hasWarnings: checks.some((check) => check.status === "warning"),
+  };
+};
+
+export const formatValidationErrors = (validation) =>
+  validation.checks.filter((check) => check.status === "error").map((check) => check.message).join(" ");
@@ -0,0 +1,19 @@
+import prisma from "./db.server";
+
+export const DEFAULT_SETTINGS = {
+  provider: "describer",
+  model: null,
+  requireApproval: false,
+};
+
+export const getShopSettings = async (shop) => {
+  const settings = await prisma.shopSettings.findUnique({ where: { shop } });
+  return { ...DEFAULT_SETTINGS, shop, ...settings };
+};
+
+export const saveShopSettings = (shop, data) =>
+  prisma.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
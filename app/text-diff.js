@@ -0,0 +1,125 @@
+import { htmlToText } from "./content-normalizer";
+
+// Word-level diff for comparing content versions. Shared by the dashboard and
+// the generator, so it has no server dependencies.
+//
+// Above this many LCS cells the middle of the diff is shown as one change
+// instead of freezing the browser on a huge description.
+const MAX_CELLS = 2_000_000;
+
+// Words, punctuation and the whitespace between them are separate tokens so
+// spacing survives. With markup, each tag is a token of its own.
+const TEXT_TOKENS = /\s+|[\p{L}\p{N}'’-]+|[^\s\p{L}\p{N}]/gu;
+const MARKUP_TOKENS = /<[^>]*>|\s+|[\p{L}\p{N}'’-]+|[^\s<\p{L}\p{N}]/gu;
+
+export const tokenize = (value, { markup = false } = {}) => {
+  const text = markup ? value || "" : htmlToText(value || "");
+  return text.match(markup ? MARKUP_TOKENS : TEXT_TOKENS) || [];
+};
+
+const lcsDiff = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i * cols + j] = before[i] === after[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      ops.push({ type: "equal", value: before[i] });
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      ops.push({ type: "delete", value: before[i++] });
+    } else {
+      ops.push({ type: "insert", value: after[j++] });
+    }
+  }
+  while (i < before.length) ops.push({ type: "delete", value: before[i++] });
+  while (j < after.length) ops.push({ type: "insert", value: after[j++] });
+  return ops;
+};
+
+const isBlank = (op) => op.type !== "equal" && !op.value.trim();
+
+// A whitespace-only edit between unchanged words is not worth showing: the
+// new spacing is kept as unchanged text and the old one dropped.
+const ignoreSpacing = (ops) =>
+  ops.flatMap((op, index) => {
+    if (!isBlank(op)) return [op];
+    const previous = ops.slice(0, index).reverse().find((other) => !isBlank(other));
+    const next = ops.slice(index + 1).find((other) => !isBlank(other));
+    if ((previous && previous.type !== "equal") || (next && next.type !== "equal")) return [op];
+    return op.type === "insert" ? [{ type: "equal", value: op.value }] : [];
+  });
+
+// Joins neighbouring ops of one type, and turns a deletion directly followed
+// by an insertion into a single "change".
+const groupOps = (ops) => {
+  const merged = [];
+  for (const op of ignoreSpacing(ops)) {
+    const last = merged[merged.length - 1];
+    if (last?.type === op.type) {
+      last.value += op.value;
+    } else {
+      merged.push({ ...op });
+    }
+  }
+
+  const grouped = [];
+  for (let index = 0; index < merged.length; index++) {
+    const op = merged[index];
+    const next = merged[index + 1];
+    if (op.type === "delete" && next?.type === "insert") {
+      grouped.push({ type: "change", before: op.value, after: next.value });
+      index++;
+    } else {
+      grouped.push(op);
+    }
+  }
+  return grouped;
+};
+
+export const diffWords = (before, after, options) => {
+  const a = tokenize(before, options);
+  const b = tokenize(after, options);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+  const middleA = a.slice(start, a.length - end);
+  const middleB = b.slice(start, b.length - end);
+  const middle = (middleA.length + 1) * (middleB.length + 1) > MAX_CELLS
+    ? [
+      ...middleA.map((value) => ({ type: "delete", value })),
+      ...middleB.map((value) => ({ type: "insert", value })),
+    ]
+    : lcsDiff(middleA, middleB);
+
+  return groupOps([
+    ...a.slice(0, start).map((value) => ({ type: "equal", value })),
+    ...middle,
+    ...a.slice(a.length - end).map((value) => ({ type: "equal", value })),
+  ]);
+};
+
+const countWords = (value) => (value.match(/\S+/g) || []).length;
+
+export const summarizeDiff = (ops) =>
+  ops.reduce((summary, op) => {
+    if (op.type === "insert") summary.inserted += countWords(op.value);
+    if (op.type === "delete") summary.deleted += countWords(op.value);
+    if (op.type === "change") summary.changed += Math.max(countWords(op.before), countWords(op.after));
+    return summary;
+  }, { inserted: 0, deleted: 0, changed: 0 });
@@ -0,0 +1,223 @@
+import { TRANSLATION_KEYS } from "./content-types";
+import { ContentError } from "./content.server";
+
+const SHOP_LOCALES_QUERY = `
+  query getShopLocales {
+    shopLocales {
+      locale
+      name
+      primary
+      published
+    }
+  }
+`;
+
+const TRANSLATABLE_RESOURCE_QUERY = `
+  query getTranslatableResource($resourceId: ID!, $locale: String!) {
+    translatableResource(resourceId: $resourceId) {
+      resourceId
+      translatableContent {
+        key
+        value
+        digest
+      }
+      translations(locale: $locale) {
+        key
+        value
+        outdated
+      }
+    }
+  }
+`;
+
+const TRANSLATIONS_REGISTER_MUTATION = `
+  mutation translationsRegister($resourceId: ID!, $translations: [TranslationInput!]!) {
+    translationsRegister(resourceId: $resourceId, translations: $translations) {
+      translations {
+        key
+        locale
+        value
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const TRANSLATIONS_REMOVE_MUTATION = `
+  mutation translationsRemove($resourceId: ID!, $translationKeys: [String!]!, $locales: [String!]!) {
+    translationsRemove(resourceId: $resourceId, translationKeys: $translationKeys, locales: $locales) {
+      translations {
+        key
+        locale
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/;
+const OUR_KEYS = Object.values(TRANSLATION_KEYS);
+
+const throwUserErrors = (userErrors) => {
+  if (userErrors?.length > 0) {
+    throw new ContentError(
+      userErrors.map(err => `${err.field}: ${err.message}`).join(", "),
+      400
+    );
+  }
+};
+
+// Every enabled locale except the primary one, which is edited directly.
+export const fetchShopLocales = async (admin) => {
+  const response = await admin.graphql(SHOP_LOCALES_QUERY);
+  const json = await response.json();
+  return (json.data?.shopLocales || [])
+    .filter((shopLocale) => !shopLocale.primary)
+    .map(({ locale, name, published }) => ({ locale, name, published }));
+};
+
+// Current source values with their digests, plus the existing translations
+// for `locale`, keyed by translation key.
+export const fetchTranslatableResource = async (admin, resourceId, locale) => {
+  const response = await admin.graphql(TRANSLATABLE_RESOURCE_QUERY, {
+    variables: { resourceId, locale }
+  });
+  const json = await response.json();
+  const resource = json.data?.translatableResource;
+  if (!resource) {
+    throw new ContentError("This item cannot be translated", 404);
+  }
+
+  return {
+    content: Object.fromEntries(
+      resource.translatableContent
+        .filter(({ key }) => OUR_KEYS.includes(key))
+        .map(({ key, value, digest }) => [key, { value, digest }])
+    ),
+    translations: Object.fromEntries(
+      resource.translations
+        .filter(({ key }) => OUR_KEYS.includes(key))
+        .map(({ key, value, outdated }) => [key, { value, outdated }])
+    ),
+  };
+};
+
+// What `locale` currently has for `keys`, with `null` for keys that are not
+// translated yet. Stored before publishing so a locale can be reverted.
+export const snapshotTranslations = async (admin, { resourceId, locale, keys }) => {
+  const { translations } = await fetchTranslatableResource(admin, resourceId, locale);
+  return Object.fromEntries(keys.map((key) => [key, translations[key]?.value ?? null]));
+};
+
+// `values` maps translation keys to the text to register for `locale`.
+export const registerTranslations = async (admin, { resourceId, locale, values }) => {
+  const { content } = await fetchTranslatableResource(admin, resourceId, locale);
+
+  const inputs = Object.entries(values)
+    .filter(([key, value]) => value?.trim() && content[key])
+    .map(([key, value]) => ({
+      locale,
+      key,
+      value,
+      translatableContentDigest: content[key].digest,
+    }));
+
+  if (inputs.length === 0) {
+    throw new ContentError("There is no source content to translate for these fields", 400);
+  }
+
+  const response = await admin.graphql(TRANSLATIONS_REGISTER_MUTATION, {
+    variables: { resourceId, translations: inputs }
+  });
+  const json = await response.json();
+  const data = json.data?.translationsRegister;
+  if (!data) {
+    throw new ContentError("No data returned from GraphQL mutation", 500);
+  }
+  throwUserErrors(data.userErrors);
+
+  return inputs.map(({ key }) => key);
+};
+
+// Puts back a snapshot from `snapshotTranslations`: keys that had no
+// translation before are removed, the others are registered again.
+export const restoreTranslations = async (admin, { resourceId, locale, previous }) => {
+  const toRemove = Object.keys(previous).filter((key) => previous[key] === null && OUR_KEYS.includes(key));
+  const toRegister = Object.fromEntries(
+    Object.entries(previous).filter(([key, value]) => value !== null && OUR_KEYS.includes(key))
+  );
+
+  if (toRemove.length > 0) {
+    const response = await admin.graphql(TRANSLATIONS_REMOVE_MUTATION, {
+      variables: { resourceId, translationKeys: toRemove, locales: [locale] }
+    });
+    const json = await response.json();
+    const data = json.data?.translationsRemove;
+    if (!data) {
+      throw new ContentError("No data returned from GraphQL mutation", 500);
+    }
+    throwUserErrors(data.userErrors);
+  }
+
+  if (Object.keys(toRegister).length > 0) {
+    await registerTranslations(admin, { resourceId, locale, values: toRegister });
+  }
+};
+
+// For each item, which of our fields have a translation in each locale:
+// `{ [itemId]: { [locale]: { translated, total, outdated, values } } }`.
+export const fetchTranslationCoverage = async (admin, resourceIds, locales) => {
+  const validLocales = locales.filter(({ locale }) => LOCALE_PATTERN.test(locale));
+  if (resourceIds.length === 0 || validLocales.length === 0) return {};
+
+  // One aliased translations field per locale keeps this to a query per page.
+  const localeFields = validLocales
+    .map(({ locale }, index) => `l${index}: translations(locale: "${locale}") { key value outdated }`)
+    .join("\n");
+  const query = `
+    query getTranslationCoverage($first: Int!, $resourceIds: [ID!]!) {
+      translatableResourcesByIds(first: $first, resourceIds: $resourceIds) {
+        nodes {
+          resourceId
+          translatableContent {
+            key
+            value
+          }
+          ${localeFields}
+        }
+      }
+    }
+  `;
+
+  const coverage = {};
+  for (let start = 0; start < resourceIds.length; start += 50) {
+    const ids = resourceIds.slice(start, start + 50);
+    const response = await admin.graphql(query, { variables: { first: ids.length, resourceIds: ids } });
+    const json = await response.json();
+
+    for (const node of json.data?.translatableResourcesByIds?.nodes || []) {
+      const sourceKeys = node.translatableContent
+        .filter(({ key, value }) => OUR_KEYS.includes(key) && value?.trim())
+        .map(({ key }) => key);
+
+      coverage[node.resourceId] = Object.fromEntries(
+        validLocales.map(({ locale }, index) => {
+          const translations = node[`l${index}`].filter(({ key }) => sourceKeys.includes(key));
+          return [locale, {
+            translated: translations.length,
+            total: sourceKeys.length,
+            outdated: translations.filter(({ outdated }) => outdated).length,
+            values: Object.fromEntries(translations.map(({ key, value }) => [key, value])),
+          }];
+        })
+      );
+    }
+  }
+  return coverage;
+};
@@ -0,0 +1,33 @@
+-- CreateTable
+CREATE TABLE "GenerationJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "pageType" TEXT NOT NULL,
+    "contentTypes" TEXT NOT NULL,
+    "seoKeywords" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "GenerationJobItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "jobId" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "output" TEXT,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "GenerationJobItem_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "GenerationJob" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "GenerationJob_shop_createdAt_idx" ON "GenerationJob"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "GenerationJobItem_jobId_status_idx" ON "GenerationJobItem"("jobId", "status");
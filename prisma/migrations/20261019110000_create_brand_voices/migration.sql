@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "GenerationJob" ADD COLUMN "brandVoiceId" TEXT;
+
+-- CreateTable
+CREATE TABLE "BrandVoice" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "tone" TEXT,
+    "audience" TEXT,
+    "formality" TEXT NOT NULL DEFAULT 'neutral',
+    "bannedPhrases" TEXT,
+    "exampleCopy" TEXT,
+    "preferredLength" TEXT NOT NULL DEFAULT 'medium',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "BrandVoice_shop_idx" ON "BrandVoice"("shop");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ContentVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "pageType" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "author" TEXT,
+    "seoKeywords" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ContentVersion_shop_itemId_contentType_createdAt_idx" ON "ContentVersion"("shop", "itemId", "contentType", "createdAt");
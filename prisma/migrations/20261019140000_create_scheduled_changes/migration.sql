@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "ScheduledChange" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "pageType" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "seoKeywords" TEXT,
+    "author" TEXT,
+    "publishAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'scheduled',
+    "error" TEXT,
+    "publishedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "ScheduledChange_status_publishAt_idx" ON "ScheduledChange"("status", "publishAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledChange_shop_publishAt_idx" ON "ScheduledChange"("shop", "publishAt");
@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "requireApproval" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "ContentDraft" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "pageType" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "seoKeywords" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "authorId" TEXT,
+    "authorName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "DraftEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "draftId" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "comment" TEXT,
+    "userId" TEXT,
+    "userName" TEXT,
+    "userEmail" TEXT,
+    "accountOwner" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "DraftEvent_draftId_fkey" FOREIGN KEY ("draftId") REFERENCES "ContentDraft" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ContentDraft_shop_status_updatedAt_idx" ON "ContentDraft"("shop", "status", "updatedAt");
+
+-- CreateIndex
+CREATE INDEX "DraftEvent_draftId_createdAt_idx" ON "DraftEvent"("draftId", "createdAt");
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE "BulkAction" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "author" TEXT,
+    "seoKeywords" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "BulkActionItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "bulkActionId" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "pageType" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "original" TEXT,
+    "base" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "result" TEXT,
+    "output" TEXT,
+    "error" TEXT,
+    "versionId" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "BulkActionItem_bulkActionId_fkey" FOREIGN KEY ("bulkActionId") REFERENCES "BulkAction" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "BulkAction_shop_createdAt_idx" ON "BulkAction"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "BulkActionItem_bulkActionId_status_idx" ON "BulkActionItem"("bulkActionId", "status");
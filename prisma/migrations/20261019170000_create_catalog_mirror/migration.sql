@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "CatalogItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "pageType" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "handle" TEXT NOT NULL,
+    "status" TEXT,
+    "vendor" TEXT,
+    "tags" TEXT,
+    "skus" TEXT,
+    "description" TEXT NOT NULL DEFAULT '',
+    "descriptionHtml" TEXT NOT NULL DEFAULT '',
+    "seoTitle" TEXT,
+    "seoDescription" TEXT,
+    "imageUrl" TEXT,
+    "shopifyUpdatedAt" DATETIME NOT NULL,
+    "syncedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "CatalogSync" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "pageType" TEXT,
+    "operationId" TEXT,
+    "itemCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSyncedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CatalogItem_shop_itemId_key" ON "CatalogItem"("shop", "itemId");
+
+-- CreateIndex
+CREATE INDEX "CatalogItem_shop_pageType_title_idx" ON "CatalogItem"("shop", "pageType", "title");
+
+-- CreateIndex
+CREATE INDEX "CatalogItem_shop_pageType_shopifyUpdatedAt_idx" ON "CatalogItem"("shop", "pageType", "shopifyUpdatedAt");
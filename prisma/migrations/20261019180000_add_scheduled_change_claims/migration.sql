@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ScheduledChange" ADD COLUMN "claimedAt" DATETIME;
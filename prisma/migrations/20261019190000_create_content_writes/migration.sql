@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "ContentWrite" (
+    "shop" TEXT NOT NULL,
+    "itemId" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "writtenAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY ("shop", "itemId", "contentType")
+);